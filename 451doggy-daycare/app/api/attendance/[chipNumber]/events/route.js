@@ -0,0 +1,19 @@
+import { NextResponse } from "next/server";
+import { getAttendanceEvents } from "../../../../lib/attendance";
+import { requirePermission } from "../../../../lib/auth";
+
+// GET /api/attendance/:chipNumber/events -> check-in/check-out log, oldest first
+export async function GET(request, { params }) {
+  const auth = await requirePermission(request);
+  if (auth.response) return auth.response;
+
+  const { chipNumber } = await params;
+
+  try {
+    const events = await getAttendanceEvents(chipNumber);
+    return NextResponse.json(events);
+  } catch (err) {
+    console.error("Error reading attendance events:", err);
+    return NextResponse.json({ error: "Failed to load attendance history" }, { status: 500 });
+  }
+}
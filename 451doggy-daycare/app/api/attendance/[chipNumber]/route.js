@@ -0,0 +1,48 @@
+import { NextResponse } from "next/server";
+import { getDogAttendance } from "../../../lib/attendance";
+import { requirePermission } from "../../../lib/auth";
+import { PERMISSIONS } from "../../../lib/roles";
+import { saveStatusChange } from "../../../lib/statusChanges";
+
+// GET /api/attendance/:chipNumber -> { status, updatedAt } (404 if never changed)
+export async function GET(request, { params }) {
+  const auth = await requirePermission(request);
+  if (auth.response) return auth.response;
+
+  const { chipNumber } = await params;
+
+  try {
+    const record = await getDogAttendance(chipNumber);
+    if (!record) {
+      return NextResponse.json({ error: "No attendance recorded for this dog" }, { status: 404 });
+    }
+    return NextResponse.json(record);
+  } catch (err) {
+    console.error("Error reading attendance:", err);
+    return NextResponse.json({ error: "Failed to load attendance" }, { status: 500 });
+  }
+}
+
+// PUT /api/attendance/:chipNumber
+//   body: { status: "present" | "absent", note?, pickup?, undo?, endOfDay?, expectedStatus?, occurredAt? }
+// The staff member on the event is whoever is logged in.
+// 404 when the dog is not registered, 422 { error, archived } when checking in an archived dog.
+// expectedStatus/occurredAt are sent when replaying a change queued offline:
+// 409 { error, current } when the stored status is no longer expectedStatus.
+// 422 { error, expired } when checking in a dog with an expired required vaccination,
+// 422 { error, limit } when the day (or the dog's play group) is at capacity,
+// unless an admin sends override: true.
+// Checking out needs pickup: { personId, pin? } naming who collects the dog (see lib/pickups.js):
+// 422 { error, pickupRequired } without it (admins may override, or send endOfDay: true from the
+// Dog List's "Check out everyone"), 422 { error, refused } when that
+// person is not authorised or the PIN is wrong. Refused pickups are logged and cannot be overridden.
+// A check-in made by mistake can be undone (undo: true) without a pickup for a few minutes,
+// only by the staff member who made it.
+// The owner is notified of the check-in or check-out once the response has been sent.
+export async function PUT(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.TOGGLE_STATUS);
+  if (auth.response) return auth.response;
+
+  const { chipNumber } = await params;
+  return saveStatusChange(request, chipNumber, auth.user);
+}
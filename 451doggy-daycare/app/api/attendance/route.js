@@ -0,0 +1,17 @@
+import { NextResponse } from "next/server";
+import { getAttendance } from "../../lib/attendance";
+import { requirePermission } from "../../lib/auth";
+
+// GET /api/attendance -> { [chipNumber]: { status, updatedAt } }
+export async function GET(request) {
+  const auth = await requirePermission(request);
+  if (auth.response) return auth.response;
+
+  try {
+    const attendance = await getAttendance();
+    return NextResponse.json(attendance);
+  } catch (err) {
+    console.error("Error reading attendance:", err);
+    return NextResponse.json({ error: "Failed to load attendance" }, { status: 500 });
+  }
+}
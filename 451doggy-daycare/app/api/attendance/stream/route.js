@@ -0,0 +1,62 @@
+import { subscribeToAttendance } from "../../../lib/attendance";
+import { requirePermission } from "../../../lib/auth";
+
+// Never cache or prerender a live stream
+export const dynamic = "force-dynamic";
+
+const HEARTBEAT_INTERVAL = 25000; // ms, keeps proxies from closing an idle connection
+
+// GET /api/attendance/stream -> server-sent events, one "status" event per change:
+//   event: status
+//   data: { chipNumber, status, updatedAt }
+export async function GET(request) {
+  const auth = await requirePermission(request);
+  if (auth.response) return auth.response;
+
+  const encoder = new TextEncoder();
+  let cleanup = () => {};
+
+  const stream = new ReadableStream({
+    start(controller) {
+      const send = (text) => {
+        try {
+          controller.enqueue(encoder.encode(text));
+        } catch {
+          cleanup();
+        }
+      };
+
+      // Tell the browser to wait 3s before reconnecting after a drop
+      send("retry: 3000\n\n");
+
+      const unsubscribe = subscribeToAttendance((change) => {
+        send(`event: status\ndata: ${JSON.stringify(change)}\n\n`);
+      });
+      const heartbeat = setInterval(() => send(": heartbeat\n\n"), HEARTBEAT_INTERVAL);
+
+      cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      };
+      request.signal.addEventListener("abort", () => {
+        cleanup();
+        try {
+          controller.close();
+        } catch {
+          // already closed
+        }
+      });
+    },
+    cancel() {
+      cleanup();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+    },
+  });
+}
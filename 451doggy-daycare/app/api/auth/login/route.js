@@ -0,0 +1,34 @@
+import { NextResponse } from "next/server";
+import { verifyCredentials } from "../../../lib/users";
+import { createSessionToken, SESSION_COOKIE, SESSION_MAX_AGE } from "../../../lib/session";
+
+// POST /api/auth/login  body: { username, password } -> { user } and a session cookie
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    const user = await verifyCredentials(body?.username, body?.password);
+    if (!user) {
+      return NextResponse.json({ error: "Wrong username or password" }, { status: 401 });
+    }
+
+    const token = await createSessionToken({ sub: user.username, name: user.name, role: user.role });
+    const response = NextResponse.json({ user });
+    response.cookies.set(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: process.env.NODE_ENV === "production",
+      path: "/",
+      maxAge: SESSION_MAX_AGE,
+    });
+    return response;
+  } catch (err) {
+    console.error("Error logging in:", err);
+    return NextResponse.json({ error: "Failed to log in" }, { status: 500 });
+  }
+}
@@ -0,0 +1,11 @@
+import { NextResponse } from "next/server";
+import { getSessionUser } from "../../../lib/auth";
+
+// GET /api/auth/me -> { user } for the current session, 401 when logged out
+export async function GET(request) {
+  const user = await getSessionUser(request);
+  if (!user) {
+    return NextResponse.json({ error: "Not logged in" }, { status: 401 });
+  }
+  return NextResponse.json({ user: { username: user.sub, name: user.name, role: user.role } });
+}
@@ -0,0 +1,29 @@
+import { NextResponse } from "next/server";
+import { buildInvoice } from "../../../../lib/billing";
+import { isMonthKey } from "../../../../lib/billingRules";
+import { toDateKey } from "../../../../lib/dates";
+import { requirePermission } from "../../../../lib/auth";
+import { PERMISSIONS } from "../../../../lib/roles";
+
+// GET /api/billing/invoices/:ownerKey?month=YYYY-MM -> the owner's invoice for that month
+export async function GET(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.MANAGE_BILLING);
+  if (auth.response) return auth.response;
+
+  const { ownerKey } = await params;
+  const month = request.nextUrl.searchParams.get("month") || toDateKey(new Date()).slice(0, 7);
+  if (!isMonthKey(month)) {
+    return NextResponse.json({ error: "Month must be in YYYY-MM format" }, { status: 400 });
+  }
+
+  try {
+    const invoice = await buildInvoice(ownerKey, month);
+    if (!invoice) {
+      return NextResponse.json({ error: `Owner ${ownerKey} not found` }, { status: 404 });
+    }
+    return NextResponse.json(invoice);
+  } catch (err) {
+    console.error("Error building invoice:", err);
+    return NextResponse.json({ error: "Failed to build invoice" }, { status: 500 });
+  }
+}
@@ -0,0 +1,25 @@
+import { NextResponse } from "next/server";
+import { billingSummary } from "../../../lib/billing";
+import { isMonthKey } from "../../../lib/billingRules";
+import { toDateKey } from "../../../lib/dates";
+import { requirePermission } from "../../../lib/auth";
+import { PERMISSIONS } from "../../../lib/roles";
+
+// GET /api/billing/invoices?month=YYYY-MM (default this month)
+//   -> [{ number, owner, total, paid, balance, currency }] for owners with anything that month
+export async function GET(request) {
+  const auth = await requirePermission(request, PERMISSIONS.MANAGE_BILLING);
+  if (auth.response) return auth.response;
+
+  const month = request.nextUrl.searchParams.get("month") || toDateKey(new Date()).slice(0, 7);
+  if (!isMonthKey(month)) {
+    return NextResponse.json({ error: "Month must be in YYYY-MM format" }, { status: 400 });
+  }
+
+  try {
+    return NextResponse.json(await billingSummary(month));
+  } catch (err) {
+    console.error("Error building invoices:", err);
+    return NextResponse.json({ error: "Failed to build invoices" }, { status: 500 });
+  }
+}
@@ -0,0 +1,41 @@
+import { NextResponse } from "next/server";
+import { sellPackage, listPackages } from "../../../lib/billing";
+import { requirePermission } from "../../../lib/auth";
+import { PERMISSIONS } from "../../../lib/roles";
+
+// GET /api/billing/packages[?owner=ownerKey] -> packages, amounts in minor units
+export async function GET(request) {
+  const auth = await requirePermission(request, PERMISSIONS.MANAGE_BILLING);
+  if (auth.response) return auth.response;
+
+  try {
+    return NextResponse.json(await listPackages(request.nextUrl.searchParams.get("owner") || undefined));
+  } catch (err) {
+    console.error("Error reading packages:", err);
+    return NextResponse.json({ error: "Failed to load packages" }, { status: 500 });
+  }
+}
+
+// POST /api/billing/packages  body: { ownerKey, days, price (kronor) } -> 201 { package }
+export async function POST(request) {
+  const auth = await requirePermission(request, PERMISSIONS.MANAGE_BILLING);
+  if (auth.response) return auth.response;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    const result = await sellPackage(body, { soldBy: auth.user.name });
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+    return NextResponse.json({ package: result.package }, { status: 201 });
+  } catch (err) {
+    console.error("Error saving package:", err);
+    return NextResponse.json({ error: "Failed to save package" }, { status: 500 });
+  }
+}
@@ -0,0 +1,41 @@
+import { NextResponse } from "next/server";
+import { recordPayment, listPayments } from "../../../lib/billing";
+import { requirePermission } from "../../../lib/auth";
+import { PERMISSIONS } from "../../../lib/roles";
+
+// GET /api/billing/payments[?owner=ownerKey] -> payments, amounts in minor units
+export async function GET(request) {
+  const auth = await requirePermission(request, PERMISSIONS.MANAGE_BILLING);
+  if (auth.response) return auth.response;
+
+  try {
+    return NextResponse.json(await listPayments(request.nextUrl.searchParams.get("owner") || undefined));
+  } catch (err) {
+    console.error("Error reading payments:", err);
+    return NextResponse.json({ error: "Failed to load payments" }, { status: 500 });
+  }
+}
+
+// POST /api/billing/payments  body: { ownerKey, month: "YYYY-MM", amount (kronor), method, paidOn, note? } -> 201 { payment }
+export async function POST(request) {
+  const auth = await requirePermission(request, PERMISSIONS.MANAGE_BILLING);
+  if (auth.response) return auth.response;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    const result = await recordPayment(body, { recordedBy: auth.user.name });
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+    return NextResponse.json({ payment: result.payment }, { status: 201 });
+  } catch (err) {
+    console.error("Error saving payment:", err);
+    return NextResponse.json({ error: "Failed to save payment" }, { status: 500 });
+  }
+}
@@ -0,0 +1,41 @@
+import { NextResponse } from "next/server";
+import { getPricing, savePricing } from "../../../lib/billing";
+import { requirePermission } from "../../../lib/auth";
+import { PERMISSIONS } from "../../../lib/roles";
+
+// GET /api/billing/pricing -> prices, amounts in minor units (öre)
+export async function GET(request) {
+  const auth = await requirePermission(request, PERMISSIONS.MANAGE_BILLING);
+  if (auth.response) return auth.response;
+
+  try {
+    return NextResponse.json(await getPricing());
+  } catch (err) {
+    console.error("Error reading prices:", err);
+    return NextResponse.json({ error: "Failed to load prices" }, { status: 500 });
+  }
+}
+
+// PUT /api/billing/pricing  body: prices with amounts in kronor -> saved prices (minor units)
+export async function PUT(request) {
+  const auth = await requirePermission(request, PERMISSIONS.EDIT_PRICES);
+  if (auth.response) return auth.response;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    const result = await savePricing(body);
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+    return NextResponse.json(result.pricing);
+  } catch (err) {
+    console.error("Error saving prices:", err);
+    return NextResponse.json({ error: "Failed to save prices" }, { status: 500 });
+  }
+}
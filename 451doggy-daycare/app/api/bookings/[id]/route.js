@@ -0,0 +1,30 @@
+import { NextResponse } from "next/server";
+import { cancelBooking } from "../../../lib/bookings";
+import { isDateKey } from "../../../lib/dates";
+import { requirePermission } from "../../../lib/auth";
+import { PERMISSIONS } from "../../../lib/roles";
+
+// DELETE /api/bookings/:id[?date=YYYY-MM-DD]
+// Cancels the booking, or with a date only that day of a recurring booking.
+// -> { booking, promoted: bookings that moved off the waitlist into the freed places }
+export async function DELETE(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.MANAGE_BOOKINGS);
+  if (auth.response) return auth.response;
+
+  const { id } = await params;
+  const date = request.nextUrl.searchParams.get("date");
+  if (date && !isDateKey(date)) {
+    return NextResponse.json({ error: "Dates must be in YYYY-MM-DD format" }, { status: 400 });
+  }
+
+  try {
+    const result = await cancelBooking(id, date);
+    if (!result) {
+      return NextResponse.json({ error: `Booking ${id} not found` }, { status: 404 });
+    }
+    return NextResponse.json(result);
+  } catch (err) {
+    console.error("Error cancelling booking:", err);
+    return NextResponse.json({ error: "Failed to cancel booking" }, { status: 500 });
+  }
+}
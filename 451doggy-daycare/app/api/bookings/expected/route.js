@@ -0,0 +1,22 @@
+import { NextResponse } from "next/server";
+import { expectedOn } from "../../../lib/bookings";
+import { isDateKey, toDateKey } from "../../../lib/dates";
+import { requirePermission } from "../../../lib/auth";
+
+// GET /api/bookings/expected[?date=YYYY-MM-DD] -> [{ bookingId, chipNumber, name }] booked that day (default today)
+export async function GET(request) {
+  const auth = await requirePermission(request);
+  if (auth.response) return auth.response;
+
+  const date = request.nextUrl.searchParams.get("date") || toDateKey(new Date());
+  if (!isDateKey(date)) {
+    return NextResponse.json({ error: "Dates must be in YYYY-MM-DD format" }, { status: 400 });
+  }
+
+  try {
+    return NextResponse.json(await expectedOn(date));
+  } catch (err) {
+    console.error("Error reading expected arrivals:", err);
+    return NextResponse.json({ error: "Failed to load expected arrivals" }, { status: 500 });
+  }
+}
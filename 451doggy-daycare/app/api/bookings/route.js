@@ -0,0 +1,73 @@
+import { NextResponse } from "next/server";
+import { bookingCalendar, createBooking, listBookings } from "../../lib/bookings";
+import { BOOKING_STATUS, checkCalendarRange } from "../../lib/bookingRules";
+import { getCapacity } from "../../lib/capacity";
+import { toDateKey } from "../../lib/dates";
+import { requirePermission } from "../../lib/auth";
+import { PERMISSIONS } from "../../lib/roles";
+
+// GET /api/bookings?from=YYYY-MM-DD&to=YYYY-MM-DD[&chipNumber=]
+//   -> { bookings: active and waitlisted bookings, days: { date: [{ bookingId, chipNumber, name, waitlisted }] },
+//        capacity }
+// Both dates default to today.
+export async function GET(request) {
+  const auth = await requirePermission(request);
+  if (auth.response) return auth.response;
+
+  const params = request.nextUrl.searchParams;
+  const from = params.get("from") || toDateKey(new Date());
+  const to = params.get("to") || from;
+  const chipNumbers = params.get("chipNumber") ? [params.get("chipNumber")] : undefined;
+
+  const rangeError = checkCalendarRange(from, to);
+  if (rangeError) return NextResponse.json({ error: rangeError }, { status: 400 });
+
+  try {
+    const [bookings, days, capacity] = await Promise.all([
+      listBookings({ chipNumbers }),
+      bookingCalendar(from, to, { chipNumbers }),
+      getCapacity(),
+    ]);
+    return NextResponse.json({
+      bookings: bookings.filter((b) => b.status !== BOOKING_STATUS.CANCELLED),
+      days,
+      capacity,
+    });
+  } catch (err) {
+    console.error("Error reading bookings:", err);
+    return NextResponse.json({ error: "Failed to load bookings" }, { status: 500 });
+  }
+}
+
+// POST /api/bookings  body: { chipNumber, type: "single", date }
+//                       or { chipNumber, type: "recurring", weekdays: [1, 3, 5], startDate, endDate? }
+// plus waitlist: true to put days that are at capacity on the waitlist.
+// -> 201 { booking, waitlisted: [dates] }, or 409 { error, full: [dates] } without waitlist: true
+export async function POST(request) {
+  const auth = await requirePermission(request, PERMISSIONS.MANAGE_BOOKINGS);
+  if (auth.response) return auth.response;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    const result = await createBooking(body, { createdBy: auth.user.name });
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+    if (result.full) {
+      return NextResponse.json(
+        { error: `Fully booked on ${result.full.join(", ")}`, full: result.full },
+        { status: 409 }
+      );
+    }
+    return NextResponse.json({ booking: result.booking, waitlisted: result.waitlisted }, { status: 201 });
+  } catch (err) {
+    console.error("Error creating booking:", err);
+    return NextResponse.json({ error: "Failed to create booking" }, { status: 500 });
+  }
+}
@@ -0,0 +1,17 @@
+import { NextResponse } from "next/server";
+import { listOverdueCareTasks } from "../../../lib/care";
+import { requirePermission } from "../../../lib/auth";
+
+// GET /api/care/overdue -> [{ chipNumber, name, task }] today's overdue care tasks of the dogs
+// that are here now, earliest first
+export async function GET(request) {
+  const auth = await requirePermission(request);
+  if (auth.response) return auth.response;
+
+  try {
+    return NextResponse.json(await listOverdueCareTasks());
+  } catch (err) {
+    console.error("Error reading overdue care tasks:", err);
+    return NextResponse.json({ error: "Failed to load overdue care tasks" }, { status: 500 });
+  }
+}
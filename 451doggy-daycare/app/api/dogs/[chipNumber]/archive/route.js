@@ -0,0 +1,32 @@
+import { NextResponse } from "next/server";
+import { setDogArchived } from "../../../../lib/dogs";
+import { requirePermission } from "../../../../lib/auth";
+import { PERMISSIONS } from "../../../../lib/roles";
+
+async function archive(request, params, archived) {
+  const auth = await requirePermission(request, PERMISSIONS.EDIT_DOGS);
+  if (auth.response) return auth.response;
+
+  const { chipNumber } = await params;
+
+  try {
+    const dog = await setDogArchived(chipNumber, archived);
+    if (!dog) {
+      return NextResponse.json({ error: `Dog with ID ${chipNumber} not found` }, { status: 404 });
+    }
+    return NextResponse.json({ dog });
+  } catch (err) {
+    console.error("Error archiving dog:", err);
+    return NextResponse.json({ error: "Failed to archive dog" }, { status: 500 });
+  }
+}
+
+// POST /api/dogs/:chipNumber/archive -> hides the dog from the list, keeps its record
+export async function POST(request, { params }) {
+  return archive(request, params, true);
+}
+
+// DELETE /api/dogs/:chipNumber/archive -> restores an archived dog
+export async function DELETE(request, { params }) {
+  return archive(request, params, false);
+}
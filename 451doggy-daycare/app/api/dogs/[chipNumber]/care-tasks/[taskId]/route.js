@@ -0,0 +1,22 @@
+import { NextResponse } from "next/server";
+import { removeCareTask } from "../../../../../lib/care";
+import { requirePermission } from "../../../../../lib/auth";
+import { PERMISSIONS } from "../../../../../lib/roles";
+
+// DELETE /api/dogs/:chipNumber/care-tasks/:taskId -> { ok: true } or 404
+export async function DELETE(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.EDIT_DOGS);
+  if (auth.response) return auth.response;
+
+  const { chipNumber, taskId } = await params;
+
+  try {
+    if (!(await removeCareTask(chipNumber, taskId))) {
+      return NextResponse.json({ error: "Care task not found" }, { status: 404 });
+    }
+    return NextResponse.json({ ok: true });
+  } catch (err) {
+    console.error("Error removing care task:", err);
+    return NextResponse.json({ error: "Failed to remove the care task" }, { status: 500 });
+  }
+}
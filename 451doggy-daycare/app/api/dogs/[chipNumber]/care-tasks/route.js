@@ -0,0 +1,37 @@
+import { NextResponse } from "next/server";
+import { getDog } from "../../../../lib/dogs";
+import { addCareTask } from "../../../../lib/care";
+import { requirePermission } from "../../../../lib/auth";
+import { PERMISSIONS } from "../../../../lib/roles";
+
+// POST /api/dogs/:chipNumber/care-tasks  body: { kind, label, time: "HH:MM" }
+//   -> 201 { task } or 400 { error, fields }
+// The task is on the dog's schedule every day from now on.
+export async function POST(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.EDIT_DOGS);
+  if (auth.response) return auth.response;
+
+  const { chipNumber } = await params;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    if (!(await getDog(chipNumber))) {
+      return NextResponse.json({ error: `Dog with ID ${chipNumber} not found` }, { status: 404 });
+    }
+
+    const result = await addCareTask(chipNumber, body, { createdBy: auth.user.name });
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+    return NextResponse.json(result, { status: 201 });
+  } catch (err) {
+    console.error("Error saving care task:", err);
+    return NextResponse.json({ error: "Failed to save the care task" }, { status: 500 });
+  }
+}
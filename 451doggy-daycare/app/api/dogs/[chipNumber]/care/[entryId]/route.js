@@ -0,0 +1,22 @@
+import { NextResponse } from "next/server";
+import { removeCareEntry } from "../../../../../lib/care";
+import { requirePermission } from "../../../../../lib/auth";
+import { PERMISSIONS } from "../../../../../lib/roles";
+
+// DELETE /api/dogs/:chipNumber/care/:entryId -> { ok: true } or 404. Undoes a tick made by mistake.
+export async function DELETE(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.LOG_CARE);
+  if (auth.response) return auth.response;
+
+  const { chipNumber, entryId } = await params;
+
+  try {
+    if (!(await removeCareEntry(chipNumber, entryId))) {
+      return NextResponse.json({ error: "Care log entry not found" }, { status: 404 });
+    }
+    return NextResponse.json({ ok: true });
+  } catch (err) {
+    console.error("Error removing care log entry:", err);
+    return NextResponse.json({ error: "Failed to remove the care log entry" }, { status: 500 });
+  }
+}
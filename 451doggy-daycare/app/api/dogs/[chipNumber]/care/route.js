@@ -0,0 +1,69 @@
+import { NextResponse } from "next/server";
+import { getDog } from "../../../../lib/dogs";
+import { getCareDay, logCare } from "../../../../lib/care";
+import { isDateKey, toDateKey } from "../../../../lib/dates";
+import { requirePermission } from "../../../../lib/auth";
+import { PERMISSIONS } from "../../../../lib/roles";
+
+// GET /api/dogs/:chipNumber/care?date=YYYY-MM-DD (default today)
+//   -> { date, tasks: [{ ...task, entry, overdue }], entries }
+export async function GET(request, { params }) {
+  const auth = await requirePermission(request);
+  if (auth.response) return auth.response;
+
+  const { chipNumber } = await params;
+  const date = request.nextUrl.searchParams.get("date") || toDateKey(new Date());
+
+  if (!isDateKey(date)) {
+    return NextResponse.json({ error: "date must be YYYY-MM-DD" }, { status: 400 });
+  }
+
+  try {
+    if (!(await getDog(chipNumber))) {
+      return NextResponse.json({ error: `Dog with ID ${chipNumber} not found` }, { status: 404 });
+    }
+    return NextResponse.json(await getCareDay(chipNumber, date));
+  } catch (err) {
+    console.error("Error reading care log:", err);
+    return NextResponse.json({ error: "Failed to load the care log" }, { status: 500 });
+  }
+}
+
+// POST /api/dogs/:chipNumber/care
+//   body: { taskId, date?, note? } to tick off a scheduled task,
+//   or { kind, label?, note?, date? } for something done off schedule
+//   -> 201 { entry }, 400 { error, fields }, 409 { error, entry } when the task was already ticked off
+export async function POST(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.LOG_CARE);
+  if (auth.response) return auth.response;
+
+  const { chipNumber } = await params;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    if (!(await getDog(chipNumber))) {
+      return NextResponse.json({ error: `Dog with ID ${chipNumber} not found` }, { status: 404 });
+    }
+
+    const result = await logCare(chipNumber, body, { staff: auth.user.name });
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+    if (result.alreadyDone) {
+      return NextResponse.json(
+        { error: `Already done by ${result.alreadyDone.staff || "someone"}`, entry: result.alreadyDone },
+        { status: 409 }
+      );
+    }
+    return NextResponse.json(result, { status: 201 });
+  } catch (err) {
+    console.error("Error saving care log entry:", err);
+    return NextResponse.json({ error: "Failed to save the care log entry" }, { status: 500 });
+  }
+}
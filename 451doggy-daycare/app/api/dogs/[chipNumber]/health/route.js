@@ -0,0 +1,55 @@
+import { NextResponse } from "next/server";
+import { getDog } from "../../../../lib/dogs";
+import { getHealth, saveHealth } from "../../../../lib/health";
+import { checkVaccinations } from "../../../../lib/healthRules";
+import { requirePermission } from "../../../../lib/auth";
+import { PERMISSIONS } from "../../../../lib/roles";
+
+// GET /api/dogs/:chipNumber/health -> { health, check: { expired, expiringSoon, missing } }
+export async function GET(request, { params }) {
+  const auth = await requirePermission(request);
+  if (auth.response) return auth.response;
+
+  const { chipNumber } = await params;
+
+  try {
+    if (!(await getDog(chipNumber))) {
+      return NextResponse.json({ error: `Dog with ID ${chipNumber} not found` }, { status: 404 });
+    }
+    const health = await getHealth(chipNumber);
+    return NextResponse.json({ health, check: checkVaccinations(health.vaccinations) });
+  } catch (err) {
+    console.error("Error reading health record:", err);
+    return NextResponse.json({ error: "Failed to load health record" }, { status: 500 });
+  }
+}
+
+// PUT /api/dogs/:chipNumber/health  body: health record -> { health, check } or 400 { error, fields }
+export async function PUT(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.EDIT_HEALTH);
+  if (auth.response) return auth.response;
+
+  const { chipNumber } = await params;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    if (!(await getDog(chipNumber))) {
+      return NextResponse.json({ error: `Dog with ID ${chipNumber} not found` }, { status: 404 });
+    }
+
+    const result = await saveHealth(chipNumber, body);
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+    return NextResponse.json({ health: result.health, check: checkVaccinations(result.health.vaccinations) });
+  } catch (err) {
+    console.error("Error saving health record:", err);
+    return NextResponse.json({ error: "Failed to save health record" }, { status: 500 });
+  }
+}
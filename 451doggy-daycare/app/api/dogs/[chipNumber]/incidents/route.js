@@ -0,0 +1,87 @@
+import { NextResponse, after } from "next/server";
+import { getDog, listDogs } from "../../../../lib/dogs";
+import { listIncidents, createIncident, dogNamesFor } from "../../../../lib/incidents";
+import { notifyIncident } from "../../../../lib/notifications";
+import { INCIDENT_TYPES, TYPE_LABELS, SEVERITY_LABELS } from "../../../../lib/incidentRules";
+import { requirePermission } from "../../../../lib/auth";
+import { PERMISSIONS } from "../../../../lib/roles";
+
+// How much of the description goes into the owner's message
+const SUMMARY_LENGTH = 200;
+
+// GET /api/dogs/:chipNumber/incidents -> { incidents, dogNames }
+// Every report the dog is part of, also the ones written on another dog, serious first.
+export async function GET(request, { params }) {
+  const auth = await requirePermission(request);
+  if (auth.response) return auth.response;
+
+  const { chipNumber } = await params;
+
+  try {
+    if (!(await getDog(chipNumber))) {
+      return NextResponse.json({ error: `Dog with ID ${chipNumber} not found` }, { status: 404 });
+    }
+
+    const incidents = await listIncidents({ chipNumber });
+    return NextResponse.json({ incidents, dogNames: await dogNamesFor(incidents) });
+  } catch (err) {
+    console.error("Error reading incidents:", err);
+    return NextResponse.json({ error: "Failed to load incidents" }, { status: 500 });
+  }
+}
+
+// POST /api/dogs/:chipNumber/incidents
+//   body: { type, severity, occurredAt, description, involvedDogs?, staff?, photos?, followUps? }
+//   -> 201 { incident } or 400 { error, fields }
+// The owners of every dog involved are notified (not for good-behaviour notes).
+export async function POST(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.REPORT_INCIDENTS);
+  if (auth.response) return auth.response;
+
+  const { chipNumber } = await params;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    const dogs = await listDogs({ includeArchived: true });
+    if (!dogs.some((d) => d.chipNumber === chipNumber)) {
+      return NextResponse.json({ error: `Dog with ID ${chipNumber} not found` }, { status: 404 });
+    }
+
+    const result = await createIncident(chipNumber, body, {
+      chipNumbers: dogs.map((d) => d.chipNumber),
+      reportedBy: auth.user.name,
+    });
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+
+    const { incident } = result;
+    if (incident.type !== INCIDENT_TYPES.GOOD_BEHAVIOUR) {
+      const description =
+        incident.description.length > SUMMARY_LENGTH
+          ? `${incident.description.slice(0, SUMMARY_LENGTH - 1)}…`
+          : incident.description;
+      const details = {
+        severity: SEVERITY_LABELS[incident.severity].toLowerCase(),
+        summary: `${TYPE_LABELS[incident.type]} - ${description}`,
+        occurredAt: incident.occurredAt,
+      };
+      after(async () => {
+        for (const chip of [incident.chipNumber, ...incident.involvedDogs]) {
+          await notifyIncident(chip, details);
+        }
+      });
+    }
+
+    return NextResponse.json(result, { status: 201 });
+  } catch (err) {
+    console.error("Error saving incident:", err);
+    return NextResponse.json({ error: "Failed to save incident" }, { status: 500 });
+  }
+}
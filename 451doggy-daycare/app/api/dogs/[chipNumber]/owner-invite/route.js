@@ -0,0 +1,29 @@
+import { NextResponse } from "next/server";
+import { getDog } from "../../../../lib/dogs";
+import { createOwnerInvite } from "../../../../lib/ownerAccounts";
+import { requirePermission } from "../../../../lib/auth";
+import { PERMISSIONS } from "../../../../lib/roles";
+
+// POST /api/dogs/:chipNumber/owner-invite -> { code, expiresAt } for the dog's owner to sign up to the portal
+export async function POST(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.VIEW_OWNER_CONTACT);
+  if (auth.response) return auth.response;
+
+  const { chipNumber } = await params;
+
+  try {
+    const dog = await getDog(chipNumber);
+    if (!dog) {
+      return NextResponse.json({ error: `Dog with ID ${chipNumber} not found` }, { status: 404 });
+    }
+
+    const invite = await createOwnerInvite(dog.ownerId);
+    if (!invite) {
+      return NextResponse.json({ error: "The owner has no phone number on file" }, { status: 400 });
+    }
+    return NextResponse.json(invite);
+  } catch (err) {
+    console.error("Error creating owner invite:", err);
+    return NextResponse.json({ error: "Failed to create invite" }, { status: 500 });
+  }
+}
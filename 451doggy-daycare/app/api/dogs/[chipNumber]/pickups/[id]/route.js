@@ -0,0 +1,22 @@
+import { NextResponse } from "next/server";
+import { removePickupPerson } from "../../../../../lib/pickups";
+import { requirePermission } from "../../../../../lib/auth";
+import { PERMISSIONS } from "../../../../../lib/roles";
+
+// DELETE /api/dogs/:chipNumber/pickups/:id -> { ok: true } or 404
+export async function DELETE(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.EDIT_DOGS);
+  if (auth.response) return auth.response;
+
+  const { chipNumber, id } = await params;
+
+  try {
+    if (!(await removePickupPerson(chipNumber, id))) {
+      return NextResponse.json({ error: "Pickup person not found" }, { status: 404 });
+    }
+    return NextResponse.json({ ok: true });
+  } catch (err) {
+    console.error("Error removing pickup person:", err);
+    return NextResponse.json({ error: "Failed to remove pickup person" }, { status: 500 });
+  }
+}
@@ -0,0 +1,63 @@
+import { NextResponse } from "next/server";
+import { getDog } from "../../../../lib/dogs";
+import { listPickupPeople, addPickupPerson, listRefusedPickups } from "../../../../lib/pickups";
+import { requirePermission } from "../../../../lib/auth";
+import { PERMISSIONS, can } from "../../../../lib/roles";
+
+// GET /api/dogs/:chipNumber/pickups -> { people, refusals }
+// people: authorised pickup people (phone numbers only for staff who may see owner contacts),
+// refusals: pickups that were refused at check-out, newest first.
+export async function GET(request, { params }) {
+  const auth = await requirePermission(request);
+  if (auth.response) return auth.response;
+
+  const { chipNumber } = await params;
+
+  try {
+    if (!(await getDog(chipNumber))) {
+      return NextResponse.json({ error: `Dog with ID ${chipNumber} not found` }, { status: 404 });
+    }
+
+    const [people, refusals] = await Promise.all([listPickupPeople(chipNumber), listRefusedPickups(chipNumber)]);
+    return NextResponse.json({
+      people: can(auth.user, PERMISSIONS.VIEW_OWNER_CONTACT)
+        ? people
+        : people.map(({ phoneNumber: _hidden, ...person }) => person),
+      refusals,
+    });
+  } catch (err) {
+    console.error("Error reading pickup people:", err);
+    return NextResponse.json({ error: "Failed to load pickup people" }, { status: 500 });
+  }
+}
+
+// POST /api/dogs/:chipNumber/pickups  body: { name, relationship, phoneNumber, photo?, pin? }
+//   -> 201 { person } or 400 { error, fields }
+export async function POST(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.EDIT_DOGS);
+  if (auth.response) return auth.response;
+
+  const { chipNumber } = await params;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    if (!(await getDog(chipNumber))) {
+      return NextResponse.json({ error: `Dog with ID ${chipNumber} not found` }, { status: 404 });
+    }
+
+    const result = await addPickupPerson(chipNumber, body, { createdBy: auth.user.name });
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+    return NextResponse.json({ person: result.person }, { status: 201 });
+  } catch (err) {
+    console.error("Error saving pickup person:", err);
+    return NextResponse.json({ error: "Failed to save pickup person" }, { status: 500 });
+  }
+}
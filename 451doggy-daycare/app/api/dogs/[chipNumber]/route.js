@@ -0,0 +1,61 @@
+import { NextResponse } from "next/server";
+import { getDog, updateDog, withoutOwnerContact } from "../../../lib/dogs";
+import { findNeighbours } from "../../../lib/dogQuery";
+import { parseListQuery } from "../../../lib/dogQueryRules";
+import { requirePermission } from "../../../lib/auth";
+import { PERMISSIONS, can } from "../../../lib/roles";
+
+// GET /api/dogs/:chipNumber[?q=&status=&sort=...] -> { dog, prevChipNumber, nextChipNumber }
+// prev/next follow the Dog List as filtered and sorted by the same query parameters as GET /api/dogs.
+export async function GET(request, { params }) {
+  const auth = await requirePermission(request);
+  if (auth.response) return auth.response;
+
+  const { chipNumber } = await params;
+
+  try {
+    const dog = await getDog(chipNumber);
+    if (!dog) {
+      return NextResponse.json({ error: `Dog with ID ${chipNumber} not found` }, { status: 404 });
+    }
+
+    const searchPhone = can(auth.user, PERMISSIONS.VIEW_OWNER_CONTACT);
+    const neighbours = await findNeighbours(chipNumber, {
+      ...parseListQuery(request.nextUrl.searchParams),
+      searchPhone,
+    });
+    return NextResponse.json({ dog: searchPhone ? dog : withoutOwnerContact(dog), ...neighbours });
+  } catch (err) {
+    console.error("Error reading dog:", err);
+    return NextResponse.json({ error: "Failed to load dog" }, { status: 500 });
+  }
+}
+
+// PUT /api/dogs/:chipNumber  body: dog record -> { dog } or 400 { error, fields }
+export async function PUT(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.EDIT_DOGS);
+  if (auth.response) return auth.response;
+
+  const { chipNumber } = await params;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    const result = await updateDog(chipNumber, body);
+    if (!result) {
+      return NextResponse.json({ error: `Dog with ID ${chipNumber} not found` }, { status: 404 });
+    }
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+    return NextResponse.json(result);
+  } catch (err) {
+    console.error("Error updating dog:", err);
+    return NextResponse.json({ error: "Failed to save dog" }, { status: 500 });
+  }
+}
@@ -0,0 +1,79 @@
+import { NextResponse } from "next/server";
+import { listDogs, createDog, withoutOwnerContact } from "../../lib/dogs";
+import { requirePermission } from "../../lib/auth";
+import { PERMISSIONS, can } from "../../lib/roles";
+import { queryDogs } from "../../lib/dogQuery";
+import { MAX_PAGE_SIZE, parseListQuery } from "../../lib/dogQueryRules";
+
+// GET /api/dogs -> array of dog records (archived dogs left out unless ?archived=include)
+// GET /api/dogs?limit=24[&offset=0&q=&status=&sort=&dir=asc|desc][&breed=&sex=&age=&vaccination=]
+//   -> one page for the Dog List: { dogs, total, offset, limit, facets: { breed: [{ value, count }], ... } },
+//      each dog with status, lastCheckIn and vaccination. Facet params may repeat (?breed=a&breed=b).
+//      q also searches owner phone numbers for staff allowed to see them.
+export async function GET(request) {
+  const auth = await requirePermission(request);
+  if (auth.response) return auth.response;
+
+  const params = request.nextUrl.searchParams;
+  const includeArchived = params.get("archived") === "include";
+
+  if (params.has("limit")) {
+    const limit = Number(params.get("limit"));
+    const offset = Number(params.get("offset") || 0);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE || !Number.isInteger(offset) || offset < 0) {
+      return NextResponse.json(
+        { error: `limit must be 1-${MAX_PAGE_SIZE} and offset 0 or more` },
+        { status: 400 }
+      );
+    }
+
+    try {
+      const page = await queryDogs({
+        offset,
+        limit,
+        ...parseListQuery(params),
+        searchPhone: can(auth.user, PERMISSIONS.VIEW_OWNER_CONTACT),
+      });
+      if (!can(auth.user, PERMISSIONS.VIEW_OWNER_CONTACT)) page.dogs = page.dogs.map(withoutOwnerContact);
+      return NextResponse.json(page);
+    } catch (err) {
+      console.error("Error searching dogs:", err);
+      return NextResponse.json({ error: "Failed to load dogs" }, { status: 500 });
+    }
+  }
+
+  try {
+    const dogs = await listDogs({ includeArchived });
+    return NextResponse.json(
+      can(auth.user, PERMISSIONS.VIEW_OWNER_CONTACT) ? dogs : dogs.map(withoutOwnerContact)
+    );
+  } catch (err) {
+    console.error("Error reading dogs:", err);
+    return NextResponse.json({ error: "Failed to load dogs" }, { status: 500 });
+  }
+}
+
+// POST /api/dogs  body: dog record with ownerId, or with owner: { name, lastName, phoneNumber, ... }
+//   to register a new owner at the same time -> 201 { dog } or 400 { error, fields }
+export async function POST(request) {
+  const auth = await requirePermission(request, PERMISSIONS.EDIT_DOGS);
+  if (auth.response) return auth.response;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    const result = await createDog(body);
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+    return NextResponse.json(result, { status: 201 });
+  } catch (err) {
+    console.error("Error creating dog:", err);
+    return NextResponse.json({ error: "Failed to save dog" }, { status: 500 });
+  }
+}
@@ -0,0 +1,22 @@
+import { NextResponse } from "next/server";
+import { listExpiringVaccinations } from "../../../lib/health";
+import { EXPIRY_WARNING_DAYS } from "../../../lib/healthRules";
+import { requirePermission } from "../../../lib/auth";
+
+// GET /api/health/expiring?days=30 -> [{ chipNumber, name, expired, expiringSoon }], soonest first
+export async function GET(request) {
+  const auth = await requirePermission(request);
+  if (auth.response) return auth.response;
+
+  const days = Number(request.nextUrl.searchParams.get("days") || EXPIRY_WARNING_DAYS);
+  if (!Number.isInteger(days) || days < 0 || days > 365) {
+    return NextResponse.json({ error: "days must be a whole number between 0 and 365" }, { status: 400 });
+  }
+
+  try {
+    return NextResponse.json(await listExpiringVaccinations(days));
+  } catch (err) {
+    console.error("Error listing expiring vaccinations:", err);
+    return NextResponse.json({ error: "Failed to load vaccinations" }, { status: 500 });
+  }
+}
@@ -0,0 +1,35 @@
+import { NextResponse } from "next/server";
+import { setFollowUpDone } from "../../../../../lib/incidents";
+import { requirePermission } from "../../../../../lib/auth";
+import { PERMISSIONS } from "../../../../../lib/roles";
+
+// PUT /api/incidents/:id/follow-ups/:followUpId  body: { done: boolean } -> { incident }
+// The follow-up records who ticked it off and when.
+export async function PUT(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.REPORT_INCIDENTS);
+  if (auth.response) return auth.response;
+
+  const { id, followUpId } = await params;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  if (typeof body?.done !== "boolean") {
+    return NextResponse.json({ error: "done must be true or false" }, { status: 400 });
+  }
+
+  try {
+    const result = await setFollowUpDone(id, followUpId, body.done, { staff: auth.user.name });
+    if (!result) {
+      return NextResponse.json({ error: "Follow-up not found" }, { status: 404 });
+    }
+    return NextResponse.json(result);
+  } catch (err) {
+    console.error("Error saving follow-up:", err);
+    return NextResponse.json({ error: "Failed to save follow-up" }, { status: 500 });
+  }
+}
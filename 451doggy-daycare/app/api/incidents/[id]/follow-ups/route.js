@@ -0,0 +1,33 @@
+import { NextResponse } from "next/server";
+import { addFollowUp } from "../../../../lib/incidents";
+import { requirePermission } from "../../../../lib/auth";
+import { PERMISSIONS } from "../../../../lib/roles";
+
+// POST /api/incidents/:id/follow-ups  body: { action, dueDate? } -> 201 { incident } or 400 { error, fields }
+export async function POST(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.REPORT_INCIDENTS);
+  if (auth.response) return auth.response;
+
+  const { id } = await params;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    const result = await addFollowUp(id, body);
+    if (!result) {
+      return NextResponse.json({ error: `Incident ${id} not found` }, { status: 404 });
+    }
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+    return NextResponse.json(result, { status: 201 });
+  } catch (err) {
+    console.error("Error saving follow-up:", err);
+    return NextResponse.json({ error: "Failed to save follow-up" }, { status: 500 });
+  }
+}
@@ -0,0 +1,53 @@
+import { NextResponse } from "next/server";
+import { getIncident, setIncidentStatus } from "../../../lib/incidents";
+import { requirePermission } from "../../../lib/auth";
+import { PERMISSIONS } from "../../../lib/roles";
+
+// GET /api/incidents/:id -> { incident }
+export async function GET(request, { params }) {
+  const auth = await requirePermission(request);
+  if (auth.response) return auth.response;
+
+  const { id } = await params;
+
+  try {
+    const incident = await getIncident(id);
+    if (!incident) {
+      return NextResponse.json({ error: `Incident ${id} not found` }, { status: 404 });
+    }
+    return NextResponse.json({ incident });
+  } catch (err) {
+    console.error("Error reading incident:", err);
+    return NextResponse.json({ error: "Failed to load incident" }, { status: 500 });
+  }
+}
+
+// PUT /api/incidents/:id  body: { status: "resolved", resolution? } or { status: "open" }
+//   -> { incident } or 400 { error, fields }
+export async function PUT(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.MANAGE_INCIDENTS);
+  if (auth.response) return auth.response;
+
+  const { id } = await params;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    const result = await setIncidentStatus(id, body || {}, { staff: auth.user.name });
+    if (!result) {
+      return NextResponse.json({ error: `Incident ${id} not found` }, { status: 404 });
+    }
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+    return NextResponse.json(result);
+  } catch (err) {
+    console.error("Error saving incident:", err);
+    return NextResponse.json({ error: "Failed to save incident" }, { status: 500 });
+  }
+}
@@ -0,0 +1,25 @@
+import { NextResponse } from "next/server";
+import { listIncidents, dogNamesFor } from "../../lib/incidents";
+import { INCIDENT_STATUS } from "../../lib/incidentRules";
+import { requirePermission } from "../../lib/auth";
+import { PERMISSIONS } from "../../lib/roles";
+
+// GET /api/incidents?status=open|resolved|all -> { incidents, dogNames }, serious first.
+// Without a status only the open incidents are listed.
+export async function GET(request) {
+  const auth = await requirePermission(request, PERMISSIONS.MANAGE_INCIDENTS);
+  if (auth.response) return auth.response;
+
+  const status = request.nextUrl.searchParams.get("status") || INCIDENT_STATUS.OPEN;
+  if (status !== "all" && !Object.values(INCIDENT_STATUS).includes(status)) {
+    return NextResponse.json({ error: "status must be open, resolved or all" }, { status: 400 });
+  }
+
+  try {
+    const incidents = await listIncidents({ status: status === "all" ? undefined : status });
+    return NextResponse.json({ incidents, dogNames: await dogNamesFor(incidents) });
+  } catch (err) {
+    console.error("Error reading incidents:", err);
+    return NextResponse.json({ error: "Failed to load incidents" }, { status: 500 });
+  }
+}
@@ -0,0 +1,27 @@
+import { NextResponse } from "next/server";
+import { listDeliveries } from "../../lib/notifications";
+import { requirePermission } from "../../lib/auth";
+import { PERMISSIONS } from "../../lib/roles";
+
+const DEFAULT_LIMIT = 200;
+
+// GET /api/notifications?ownerId=&chipNumber=&limit= -> delivery log, newest first
+export async function GET(request) {
+  const auth = await requirePermission(request, PERMISSIONS.MANAGE_NOTIFICATIONS);
+  if (auth.response) return auth.response;
+
+  const params = request.nextUrl.searchParams;
+  const limit = Number(params.get("limit")) || DEFAULT_LIMIT;
+
+  try {
+    const deliveries = await listDeliveries({
+      ownerId: params.get("ownerId") || undefined,
+      chipNumber: params.get("chipNumber") || undefined,
+      limit,
+    });
+    return NextResponse.json(deliveries);
+  } catch (err) {
+    console.error("Error reading notification log:", err);
+    return NextResponse.json({ error: "Failed to load the notification log" }, { status: 500 });
+  }
+}
@@ -0,0 +1,42 @@
+import { NextResponse } from "next/server";
+import { getTemplates, setTemplates } from "../../../lib/notifications";
+import { requirePermission } from "../../../lib/auth";
+import { PERMISSIONS } from "../../../lib/roles";
+
+// GET /api/notifications/templates -> { [event]: { subject, body } }
+export async function GET(request) {
+  const auth = await requirePermission(request, PERMISSIONS.MANAGE_NOTIFICATIONS);
+  if (auth.response) return auth.response;
+
+  try {
+    return NextResponse.json(await getTemplates());
+  } catch (err) {
+    console.error("Error reading notification templates:", err);
+    return NextResponse.json({ error: "Failed to load templates" }, { status: 500 });
+  }
+}
+
+// PUT /api/notifications/templates  body: { [event]: { subject, body } } -> the saved templates
+//   or 400 { error, fields }
+export async function PUT(request) {
+  const auth = await requirePermission(request, PERMISSIONS.MANAGE_NOTIFICATIONS);
+  if (auth.response) return auth.response;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    const result = await setTemplates(body);
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+    return NextResponse.json(result.templates);
+  } catch (err) {
+    console.error("Error saving notification templates:", err);
+    return NextResponse.json({ error: "Failed to save templates" }, { status: 500 });
+  }
+}
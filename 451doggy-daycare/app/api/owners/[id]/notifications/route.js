@@ -0,0 +1,57 @@
+import { NextResponse } from "next/server";
+import { getOwner } from "../../../../lib/owners";
+import { getPreferences, setPreferences, listDeliveries } from "../../../../lib/notifications";
+import { requirePermission } from "../../../../lib/auth";
+import { PERMISSIONS } from "../../../../lib/roles";
+
+const RECENT_DELIVERIES = 20;
+
+// GET /api/owners/:id/notifications -> { preferences, deliveries } with the latest deliveries
+export async function GET(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.VIEW_OWNER_CONTACT);
+  if (auth.response) return auth.response;
+
+  const { id } = await params;
+
+  try {
+    if (!(await getOwner(id))) {
+      return NextResponse.json({ error: `Owner ${id} not found` }, { status: 404 });
+    }
+    return NextResponse.json({
+      preferences: await getPreferences(id),
+      deliveries: await listDeliveries({ ownerId: id, limit: RECENT_DELIVERIES }),
+    });
+  } catch (err) {
+    console.error("Error reading notification preferences:", err);
+    return NextResponse.json({ error: "Failed to load notification preferences" }, { status: 500 });
+  }
+}
+
+// PUT /api/owners/:id/notifications  body: { email: [event], sms: [event] } -> { preferences }
+export async function PUT(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.EDIT_OWNERS);
+  if (auth.response) return auth.response;
+
+  const { id } = await params;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    if (!(await getOwner(id))) {
+      return NextResponse.json({ error: `Owner ${id} not found` }, { status: 404 });
+    }
+    const result = await setPreferences(id, body);
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+    return NextResponse.json(result);
+  } catch (err) {
+    console.error("Error saving notification preferences:", err);
+    return NextResponse.json({ error: "Failed to save notification preferences" }, { status: 500 });
+  }
+}
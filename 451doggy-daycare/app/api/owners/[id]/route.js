@@ -0,0 +1,83 @@
+import { NextResponse } from "next/server";
+import { getOwner, updateOwner, deleteOwner } from "../../../lib/owners";
+import { listDogs } from "../../../lib/dogs";
+import { requirePermission } from "../../../lib/auth";
+import { PERMISSIONS } from "../../../lib/roles";
+
+async function dogsOf(ownerId) {
+  const dogs = await listDogs({ includeArchived: true });
+  return dogs.filter((dog) => dog.ownerId === ownerId);
+}
+
+// GET /api/owners/:id -> { owner, dogs } (archived dogs included)
+export async function GET(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.VIEW_OWNER_CONTACT);
+  if (auth.response) return auth.response;
+
+  const { id } = await params;
+
+  try {
+    const owner = await getOwner(id);
+    if (!owner) {
+      return NextResponse.json({ error: `Owner ${id} not found` }, { status: 404 });
+    }
+    return NextResponse.json({ owner, dogs: await dogsOf(id) });
+  } catch (err) {
+    console.error("Error reading owner:", err);
+    return NextResponse.json({ error: "Failed to load owner" }, { status: 500 });
+  }
+}
+
+// PUT /api/owners/:id  body: owner record -> { owner } or 400 { error, fields }
+// Every dog of the owner shows the new details straight away.
+export async function PUT(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.EDIT_OWNERS);
+  if (auth.response) return auth.response;
+
+  const { id } = await params;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    const result = await updateOwner(id, body);
+    if (!result) {
+      return NextResponse.json({ error: `Owner ${id} not found` }, { status: 404 });
+    }
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+    return NextResponse.json(result);
+  } catch (err) {
+    console.error("Error saving owner:", err);
+    return NextResponse.json({ error: "Failed to save owner" }, { status: 500 });
+  }
+}
+
+// DELETE /api/owners/:id -> { ok: true }, 409 while dogs (also archived ones) still belong to the owner
+export async function DELETE(request, { params }) {
+  const auth = await requirePermission(request, PERMISSIONS.EDIT_OWNERS);
+  if (auth.response) return auth.response;
+
+  const { id } = await params;
+
+  try {
+    if ((await dogsOf(id)).length > 0) {
+      return NextResponse.json(
+        { error: "The owner still has dogs, move them to another owner first" },
+        { status: 409 }
+      );
+    }
+    if (!(await deleteOwner(id))) {
+      return NextResponse.json({ error: `Owner ${id} not found` }, { status: 404 });
+    }
+    return NextResponse.json({ ok: true });
+  } catch (err) {
+    console.error("Error deleting owner:", err);
+    return NextResponse.json({ error: "Failed to delete owner" }, { status: 500 });
+  }
+}
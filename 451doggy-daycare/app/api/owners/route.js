@@ -0,0 +1,50 @@
+import { NextResponse } from "next/server";
+import { listOwnerRecords, createOwner } from "../../lib/owners";
+import { listDogs } from "../../lib/dogs";
+import { requirePermission } from "../../lib/auth";
+import { PERMISSIONS } from "../../lib/roles";
+
+// GET /api/owners -> owner records sorted by last name, each with dogs: [{ chipNumber, name, archived }]
+export async function GET(request) {
+  const auth = await requirePermission(request, PERMISSIONS.VIEW_OWNER_CONTACT);
+  if (auth.response) return auth.response;
+
+  try {
+    const [owners, dogs] = await Promise.all([listOwnerRecords(), listDogs({ includeArchived: true })]);
+    return NextResponse.json(
+      owners.map((owner) => ({
+        ...owner,
+        dogs: dogs
+          .filter((dog) => dog.ownerId === owner.id)
+          .map((dog) => ({ chipNumber: dog.chipNumber, name: dog.name, archived: !!dog.archived })),
+      }))
+    );
+  } catch (err) {
+    console.error("Error reading owners:", err);
+    return NextResponse.json({ error: "Failed to load owners" }, { status: 500 });
+  }
+}
+
+// POST /api/owners  body: owner record -> 201 { owner } or 400 { error, fields }
+export async function POST(request) {
+  const auth = await requirePermission(request, PERMISSIONS.EDIT_OWNERS);
+  if (auth.response) return auth.response;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    const result = await createOwner(body);
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+    return NextResponse.json(result, { status: 201 });
+  } catch (err) {
+    console.error("Error creating owner:", err);
+    return NextResponse.json({ error: "Failed to save owner" }, { status: 500 });
+  }
+}
@@ -0,0 +1,23 @@
+import { NextResponse } from "next/server";
+import { getAttendance } from "../../../lib/attendance";
+import { dogsForOwner } from "../../../lib/ownerAccounts";
+import { requireOwner } from "../../../lib/auth";
+
+// GET /api/portal/attendance -> same shape as /api/attendance, only the owner's dogs
+export async function GET(request) {
+  const auth = await requireOwner(request);
+  if (auth.response) return auth.response;
+
+  try {
+    const [attendance, dogs] = await Promise.all([getAttendance(), dogsForOwner(auth.user.sub)]);
+
+    const own = {};
+    for (const dog of dogs) {
+      if (attendance[dog.chipNumber]) own[dog.chipNumber] = attendance[dog.chipNumber];
+    }
+    return NextResponse.json(own);
+  } catch (err) {
+    console.error("Error reading owner attendance:", err);
+    return NextResponse.json({ error: "Failed to load attendance" }, { status: 500 });
+  }
+}
@@ -0,0 +1,33 @@
+import { NextResponse } from "next/server";
+import { cancelBooking, getBooking } from "../../../../lib/bookings";
+import { dogsForOwner } from "../../../../lib/ownerAccounts";
+import { isDateKey } from "../../../../lib/dates";
+import { requireOwner } from "../../../../lib/auth";
+
+// DELETE /api/portal/bookings/:id[?date=YYYY-MM-DD] -> cancels one of the owner's bookings
+export async function DELETE(request, { params }) {
+  const auth = await requireOwner(request);
+  if (auth.response) return auth.response;
+
+  const { id } = await params;
+  const date = request.nextUrl.searchParams.get("date");
+  if (date && !isDateKey(date)) {
+    return NextResponse.json({ error: "Dates must be in YYYY-MM-DD format" }, { status: 400 });
+  }
+
+  try {
+    const booking = await getBooking(id);
+    const chipNumbers = (await dogsForOwner(auth.user.sub)).map((d) => d.chipNumber);
+    // Someone else's booking looks the same as a missing one
+    if (!booking || !chipNumbers.includes(booking.chipNumber)) {
+      return NextResponse.json({ error: `Booking ${id} not found` }, { status: 404 });
+    }
+
+    // Who got promoted from the waitlist is other owners' business
+    const { createdBy, ...cancelled } = (await cancelBooking(id, date)).booking;
+    return NextResponse.json({ booking: cancelled });
+  } catch (err) {
+    console.error("Error cancelling owner booking:", err);
+    return NextResponse.json({ error: "Failed to cancel booking" }, { status: 500 });
+  }
+}
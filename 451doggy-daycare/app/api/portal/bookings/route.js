@@ -0,0 +1,71 @@
+import { NextResponse } from "next/server";
+import { bookingCalendar, createBooking, listBookings } from "../../../lib/bookings";
+import { BOOKING_STATUS, checkCalendarRange } from "../../../lib/bookingRules";
+import { dogsForOwner } from "../../../lib/ownerAccounts";
+import { toDateKey } from "../../../lib/dates";
+import { requireOwner } from "../../../lib/auth";
+
+// Only what an owner needs to see of their own bookings
+function forOwner({ createdBy, ...booking }) {
+  return booking;
+}
+
+// GET /api/portal/bookings?from=&to= -> { bookings, days } for the owner's dogs only
+export async function GET(request) {
+  const auth = await requireOwner(request);
+  if (auth.response) return auth.response;
+
+  const params = request.nextUrl.searchParams;
+  const from = params.get("from") || toDateKey(new Date());
+  const to = params.get("to") || from;
+
+  const rangeError = checkCalendarRange(from, to);
+  if (rangeError) return NextResponse.json({ error: rangeError }, { status: 400 });
+
+  try {
+    const chipNumbers = (await dogsForOwner(auth.user.sub)).map((d) => d.chipNumber);
+    const [bookings, days] = await Promise.all([
+      listBookings({ chipNumbers }),
+      bookingCalendar(from, to, { chipNumbers }),
+    ]);
+    return NextResponse.json({
+      bookings: bookings.filter((b) => b.status !== BOOKING_STATUS.CANCELLED).map(forOwner),
+      days,
+    });
+  } catch (err) {
+    console.error("Error reading owner bookings:", err);
+    return NextResponse.json({ error: "Failed to load bookings" }, { status: 500 });
+  }
+}
+
+// POST /api/portal/bookings  body: same as POST /api/bookings, for one of the owner's dogs
+// -> 201 { booking, waitlisted }, or 409 { error, full } like POST /api/bookings
+export async function POST(request) {
+  const auth = await requireOwner(request);
+  if (auth.response) return auth.response;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    const chipNumbers = (await dogsForOwner(auth.user.sub)).map((d) => d.chipNumber);
+    const result = await createBooking(body, { createdBy: auth.user.name, chipNumbers });
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+    if (result.full) {
+      return NextResponse.json(
+        { error: `Fully booked on ${result.full.join(", ")}`, full: result.full },
+        { status: 409 }
+      );
+    }
+    return NextResponse.json({ booking: forOwner(result.booking), waitlisted: result.waitlisted }, { status: 201 });
+  } catch (err) {
+    console.error("Error creating owner booking:", err);
+    return NextResponse.json({ error: "Failed to create booking" }, { status: 500 });
+  }
+}
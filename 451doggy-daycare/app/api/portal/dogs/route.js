@@ -0,0 +1,32 @@
+import { NextResponse } from "next/server";
+import { getAttendanceEvents } from "../../../lib/attendance";
+import { dogsForOwner } from "../../../lib/ownerAccounts";
+import { requireOwner } from "../../../lib/auth";
+
+const RECENT_EVENTS = 10;
+
+// GET /api/portal/dogs -> the owner's dogs, each with its latest check-ins/check-outs (newest first)
+export async function GET(request) {
+  const auth = await requireOwner(request);
+  if (auth.response) return auth.response;
+
+  try {
+    const dogs = await dogsForOwner(auth.user.sub);
+    const events = await getAttendanceEvents();
+
+    const result = dogs.map((dog) => ({
+      ...dog,
+      recentEvents: events
+        .filter((e) => e.chipNumber === dog.chipNumber)
+        .slice(-RECENT_EVENTS)
+        .reverse()
+        // Staff names and internal notes stay in the daycare
+        .map(({ id, direction, timestamp }) => ({ id, direction, timestamp })),
+    }));
+
+    return NextResponse.json(result);
+  } catch (err) {
+    console.error("Error reading owner dogs:", err);
+    return NextResponse.json({ error: "Failed to load dogs" }, { status: 500 });
+  }
+}
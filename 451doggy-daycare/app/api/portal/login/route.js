@@ -0,0 +1,36 @@
+import { NextResponse } from "next/server";
+import { verifyOwnerCredentials } from "../../../lib/ownerAccounts";
+import { createSessionToken, SESSION_COOKIE, SESSION_MAX_AGE } from "../../../lib/session";
+import { OWNER_ROLE } from "../../../lib/roles";
+
+// POST /api/portal/login  body: { phoneNumber, password } -> { user } and a session cookie
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    const owner = await verifyOwnerCredentials(body?.phoneNumber, body?.password);
+    if (!owner) {
+      return NextResponse.json({ error: "Wrong phone number or password" }, { status: 401 });
+    }
+
+    const user = { username: owner.ownerKey, name: owner.name, role: OWNER_ROLE };
+    const token = await createSessionToken({ sub: owner.ownerKey, name: owner.name, role: OWNER_ROLE });
+    const response = NextResponse.json({ user });
+    response.cookies.set(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: process.env.NODE_ENV === "production",
+      path: "/",
+      maxAge: SESSION_MAX_AGE,
+    });
+    return response;
+  } catch (err) {
+    console.error("Error logging in owner:", err);
+    return NextResponse.json({ error: "Failed to log in" }, { status: 500 });
+  }
+}
@@ -0,0 +1,40 @@
+import { NextResponse } from "next/server";
+import { getPreferences, setPreferences } from "../../../lib/notifications";
+import { requireOwner } from "../../../lib/auth";
+
+// GET /api/portal/notifications -> { preferences } of the logged-in owner
+export async function GET(request) {
+  const auth = await requireOwner(request);
+  if (auth.response) return auth.response;
+
+  try {
+    return NextResponse.json({ preferences: await getPreferences(auth.user.sub) });
+  } catch (err) {
+    console.error("Error reading notification preferences:", err);
+    return NextResponse.json({ error: "Failed to load your notification settings" }, { status: 500 });
+  }
+}
+
+// PUT /api/portal/notifications  body: { email: [event], sms: [event] } -> { preferences }
+export async function PUT(request) {
+  const auth = await requireOwner(request);
+  if (auth.response) return auth.response;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    const result = await setPreferences(auth.user.sub, body);
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+    return NextResponse.json(result);
+  } catch (err) {
+    console.error("Error saving notification preferences:", err);
+    return NextResponse.json({ error: "Failed to save your notification settings" }, { status: 500 });
+  }
+}
@@ -0,0 +1,23 @@
+import { NextResponse } from "next/server";
+import { registerOwner } from "../../../lib/ownerAccounts";
+
+// POST /api/portal/register  body: { phoneNumber, code, password } -> { ok } once the password is set
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    const result = await registerOwner(body?.phoneNumber, body?.code, body?.password);
+    if (result.error) {
+      return NextResponse.json({ error: result.error }, { status: 400 });
+    }
+    return NextResponse.json({ ok: true });
+  } catch (err) {
+    console.error("Error registering owner:", err);
+    return NextResponse.json({ error: "Failed to register" }, { status: 500 });
+  }
+}
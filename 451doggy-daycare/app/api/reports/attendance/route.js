@@ -0,0 +1,48 @@
+import { NextResponse } from "next/server";
+import { buildAttendanceReport, reportToCsv } from "../../../lib/reports";
+import { isDateKey, toDateKey, countDays } from "../../../lib/dates";
+import { requirePermission } from "../../../lib/auth";
+import { PERMISSIONS } from "../../../lib/roles";
+
+const MAX_DAYS = 366;
+
+// GET /api/reports/attendance?from=YYYY-MM-DD&to=YYYY-MM-DD[&format=csv][&detail=daily]
+// Both dates default to today.
+export async function GET(request) {
+  const auth = await requirePermission(request, PERMISSIONS.VIEW_REPORTS);
+  if (auth.response) return auth.response;
+
+  const params = request.nextUrl.searchParams;
+  const today = toDateKey(new Date());
+  const from = params.get("from") || today;
+  const to = params.get("to") || from;
+
+  if (!isDateKey(from) || !isDateKey(to)) {
+    return NextResponse.json({ error: "Dates must be in YYYY-MM-DD format" }, { status: 400 });
+  }
+  if (from > to) {
+    return NextResponse.json({ error: "\"from\" must be on or before \"to\"" }, { status: 400 });
+  }
+  if (countDays(from, to) > MAX_DAYS) {
+    return NextResponse.json({ error: `A report can cover at most ${MAX_DAYS} days` }, { status: 400 });
+  }
+
+  try {
+    const report = await buildAttendanceReport(from, to);
+
+    if (params.get("format") === "csv") {
+      const daily = params.get("detail") === "daily";
+      return new NextResponse(reportToCsv(report, { daily }), {
+        headers: {
+          "Content-Type": "text/csv; charset=utf-8",
+          "Content-Disposition": `attachment; filename="attendance-${from}-to-${to}${daily ? "-daily" : ""}.csv"`,
+        },
+      });
+    }
+
+    return NextResponse.json(report);
+  } catch (err) {
+    console.error("Error building attendance report:", err);
+    return NextResponse.json({ error: "Failed to build report" }, { status: 500 });
+  }
+}
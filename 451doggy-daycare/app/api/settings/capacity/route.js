@@ -0,0 +1,41 @@
+import { NextResponse } from "next/server";
+import { getCapacity, saveCapacity } from "../../../lib/capacity";
+import { requirePermission } from "../../../lib/auth";
+import { PERMISSIONS } from "../../../lib/roles";
+
+// GET /api/settings/capacity -> { daily, playGroups: [{ name, limit }] }
+export async function GET(request) {
+  const auth = await requirePermission(request);
+  if (auth.response) return auth.response;
+
+  try {
+    return NextResponse.json(await getCapacity());
+  } catch (err) {
+    console.error("Error reading capacity:", err);
+    return NextResponse.json({ error: "Failed to load capacity" }, { status: 500 });
+  }
+}
+
+// PUT /api/settings/capacity  body: { daily: number | null, playGroups: [{ name, limit }] }
+export async function PUT(request) {
+  const auth = await requirePermission(request, PERMISSIONS.MANAGE_CAPACITY);
+  if (auth.response) return auth.response;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    const result = await saveCapacity(body);
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+    return NextResponse.json(result.capacity);
+  } catch (err) {
+    console.error("Error saving capacity:", err);
+    return NextResponse.json({ error: "Failed to save capacity" }, { status: 500 });
+  }
+}
@@ -0,0 +1,41 @@
+import { NextResponse } from "next/server";
+import { listUsers, createUser } from "../../lib/users";
+import { requirePermission } from "../../lib/auth";
+import { PERMISSIONS } from "../../lib/roles";
+
+// GET /api/users -> staff accounts (admin only)
+export async function GET(request) {
+  const auth = await requirePermission(request, PERMISSIONS.MANAGE_USERS);
+  if (auth.response) return auth.response;
+
+  try {
+    return NextResponse.json(await listUsers());
+  } catch (err) {
+    console.error("Error reading users:", err);
+    return NextResponse.json({ error: "Failed to load users" }, { status: 500 });
+  }
+}
+
+// POST /api/users  body: { username, name, role, password } -> 201 { user } or 400 { error, fields }
+export async function POST(request) {
+  const auth = await requirePermission(request, PERMISSIONS.MANAGE_USERS);
+  if (auth.response) return auth.response;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  try {
+    const result = await createUser(body);
+    if (result.errors) {
+      return NextResponse.json({ error: "Some fields are invalid", fields: result.errors }, { status: 400 });
+    }
+    return NextResponse.json(result, { status: 201 });
+  } catch (err) {
+    console.error("Error creating user:", err);
+    return NextResponse.json({ error: "Failed to save user" }, { status: 500 });
+  }
+}
@@ -0,0 +1,300 @@
+"use client";
+
+import { use, useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import { toDateKey } from "../../lib/dates";
+import { formatMoney, fromMinorUnits, PAYMENT_METHODS } from "../../lib/billingRules";
+import styles from "../../reports/styles.module.css";
+
+const INVOICES_API_URL = "/api/billing/invoices";
+const PAYMENTS_API_URL = "/api/billing/payments";
+const PACKAGES_API_URL = "/api/billing/packages";
+
+// Posts a billing form. Resolves to field errors, or null when it was saved.
+async function postForm(url, values) {
+  const resp = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(values),
+  });
+  const body = await resp.json().catch(() => ({}));
+
+  if (resp.status === 400 && body.fields) return body.fields;
+  if (!resp.ok) throw new Error(body.error || `Failed to save (Status: ${resp.status})`);
+  return null;
+}
+
+export default function Invoice({ params, searchParams }) {
+  const { ownerKey } = use(params);
+  const month = use(searchParams).month || toDateKey(new Date()).slice(0, 7);
+
+  // ------------------------------------------------------
+  // ============ Const declaration and initializations ======
+  // ------------------------------------------------------
+  const [invoice, setInvoice] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [payment, setPayment] = useState({ amount: "", method: PAYMENT_METHODS[0], paidOn: toDateKey(new Date()), note: "" });
+  const [paymentErrors, setPaymentErrors] = useState({});
+  const [pkg, setPkg] = useState({ days: "10", price: "" });
+  const [packageErrors, setPackageErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const router = useRouter();
+
+  // ------------------------------------------------------------------
+  // ================= API FETCH ======================================
+  // ------------------------------------------------------------------
+  const fetchInvoice = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const resp = await fetch(`${INVOICES_API_URL}/${ownerKey}?month=${month}`);
+      const body = await resp.json().catch(() => ({}));
+
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to load invoice (Status: ${resp.status})`);
+      }
+      setInvoice(body);
+      setPayment((prev) => ({ ...prev, amount: body.balance > 0 ? fromMinorUnits(body.balance) : "" }));
+    } catch (err) {
+      console.error("Error fetching invoice:", err);
+      setError(err.message || "Failed to load invoice");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [ownerKey, month]);
+
+  useEffect(() => {
+    fetchInvoice();
+  }, [fetchInvoice]);
+
+  const save = async (url, values, setFieldErrors, reset) => {
+    try {
+      setIsSaving(true);
+      setError(null);
+      const fieldErrors = await postForm(url, values);
+      setFieldErrors(fieldErrors || {});
+      if (!fieldErrors) {
+        reset();
+        fetchInvoice();
+      }
+    } catch (err) {
+      console.error("Error saving billing entry:", err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const recordPayment = (e) => {
+    e.preventDefault();
+    save(PAYMENTS_API_URL, { ...payment, ownerKey, month }, setPaymentErrors, () =>
+      setPayment((prev) => ({ ...prev, note: "" }))
+    );
+  };
+
+  const sellPackage = (e) => {
+    e.preventDefault();
+    save(PACKAGES_API_URL, { ...pkg, ownerKey }, setPackageErrors, () => setPkg({ days: "10", price: "" }));
+  };
+
+  const money = (amount) => formatMoney(amount, invoice.currency);
+
+  // ------------------------------------------------------
+  // ============ Start Return ============================
+  // ------------------------------------------------------
+  return (
+    <div className={styles.report}>
+      <div className={styles.noPrint}>
+        <label>
+          Month
+          <input
+            type="month"
+            value={month}
+            onChange={(e) => e.target.value && router.replace(`/billing/${ownerKey}?month=${e.target.value}`)}
+          />
+        </label>
+        <button onClick={() => window.print()}>Print / Save as PDF</button>
+      </div>
+
+      {error && (
+        <div className={styles.noPrint}>
+          <span>
+            Oops! Something went wrong. Please try again in a moment.
+            <br />
+            If the problem persists, please contact support and provide them with the error message: {error}
+          </span>
+          <button onClick={fetchInvoice}>Try Again</button>
+        </div>
+      )}
+
+      {isLoading && <div>Loading...</div>}
+
+      {invoice && (
+        <>
+          <h1>Invoice {invoice.number}</h1>
+          <p>
+            {invoice.owner.name} {invoice.owner.lastName}
+            <br />
+            {invoice.owner.phoneNumber}
+            <br />
+            Period {invoice.from} – {invoice.to}
+          </p>
+
+          {invoice.lines.length === 0 ? (
+            <p>No charges this month.</p>
+          ) : (
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Dog</th>
+                  <th>Item</th>
+                  <th>Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {invoice.lines.map((line, index) => (
+                  <tr key={index}>
+                    <td>{line.date}</td>
+                    <td>{line.dogName}</td>
+                    <td>{line.description}</td>
+                    <td>{money(line.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <th colSpan={3}>Total</th>
+                  <th>{money(invoice.total)}</th>
+                </tr>
+              </tfoot>
+            </table>
+          )}
+
+          <h2>Payments</h2>
+          {invoice.payments.length === 0 ? (
+            <p>No payments recorded.</p>
+          ) : (
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Paid on</th>
+                  <th>Method</th>
+                  <th>Note</th>
+                  <th>Recorded by</th>
+                  <th>Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {invoice.payments.map((p) => (
+                  <tr key={p.id}>
+                    <td>{p.paidOn}</td>
+                    <td>{p.method}</td>
+                    <td>{p.note}</td>
+                    <td>{p.recordedBy}</td>
+                    <td>{money(p.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <p>
+            <strong>Paid:</strong> {money(invoice.paid)}
+            <br />
+            <strong>{invoice.balance < 0 ? "Credit" : "Balance due"}:</strong> {money(Math.abs(invoice.balance))}
+          </p>
+
+          {invoice.packages.length > 0 && (
+            <>
+              <h2>Prepaid packages</h2>
+              <ul>
+                {invoice.packages.map((p) => (
+                  <li key={p.id}>
+                    {p.days} days bought {p.purchasedAt.slice(0, 10)}: {p.remaining} left at the end of {invoice.month}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          <div className={styles.noPrint}>
+            <h2>Record payment</h2>
+            <form onSubmit={recordPayment} noValidate>
+              <label>
+                Amount
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={payment.amount}
+                  onChange={(e) => setPayment((prev) => ({ ...prev, amount: e.target.value }))}
+                />
+              </label>
+              <label>
+                Method
+                <select value={payment.method} onChange={(e) => setPayment((prev) => ({ ...prev, method: e.target.value }))}>
+                  {PAYMENT_METHODS.map((m) => (
+                    <option key={m} value={m}>{m}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Paid on
+                <input
+                  type="date"
+                  value={payment.paidOn}
+                  onChange={(e) => setPayment((prev) => ({ ...prev, paidOn: e.target.value }))}
+                />
+              </label>
+              <label>
+                Note
+                <input
+                  type="text"
+                  value={payment.note}
+                  onChange={(e) => setPayment((prev) => ({ ...prev, note: e.target.value }))}
+                />
+              </label>
+              <button type="submit" disabled={isSaving}>Record</button>
+              {Object.values(paymentErrors).map((message) => (
+                <p key={message} role="alert">{message}</p>
+              ))}
+            </form>
+
+            <h2>Sell prepaid package</h2>
+            <form onSubmit={sellPackage} noValidate>
+              <label>
+                Days
+                <input
+                  type="number"
+                  min="1"
+                  value={pkg.days}
+                  onChange={(e) => setPkg((prev) => ({ ...prev, days: e.target.value }))}
+                />
+              </label>
+              <label>
+                Price
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={pkg.price}
+                  onChange={(e) => setPkg((prev) => ({ ...prev, price: e.target.value }))}
+                />
+              </label>
+              <button type="submit" disabled={isSaving}>Sell</button>
+              {Object.values(packageErrors).map((message) => (
+                <p key={message} role="alert">{message}</p>
+              ))}
+            </form>
+          </div>
+        </>
+      )}
+
+      <button className={styles.noPrint} onClick={() => router.push(`/billing?month=${month}`)}>
+        ← Back to Billing
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+"use client";
+
+import { use, useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+import { toDateKey } from "../lib/dates";
+import { formatMoney } from "../lib/billingRules";
+import styles from "../reports/styles.module.css";
+
+const INVOICES_API_URL = "/api/billing/invoices";
+
+export default function Billing({ searchParams }) {
+  const initialMonth = use(searchParams).month;
+  const [month, setMonth] = useState(() => initialMonth || toDateKey(new Date()).slice(0, 7));
+  const [invoices, setInvoices] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const router = useRouter();
+
+  const fetchInvoices = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const resp = await fetch(`${INVOICES_API_URL}?month=${month}`);
+      const body = await resp.json().catch(() => ({}));
+
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to load invoices (Status: ${resp.status})`);
+      }
+      setInvoices(body);
+    } catch (err) {
+      console.error("Error fetching invoices:", err);
+      setError(err.message || "Failed to load invoices");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [month]);
+
+  useEffect(() => {
+    fetchInvoices();
+  }, [fetchInvoices]);
+
+  const currency = invoices[0]?.currency;
+  const totals = invoices.reduce(
+    (sum, i) => ({ total: sum.total + i.total, paid: sum.paid + i.paid, balance: sum.balance + i.balance }),
+    { total: 0, paid: 0, balance: 0 }
+  );
+
+  return (
+    <div>
+      <h1>Billing</h1>
+
+      <label>
+        Month
+        <input type="month" value={month} onChange={(e) => e.target.value && setMonth(e.target.value)} />
+      </label>
+      <button onClick={() => router.push("/billing/pricing")}>Prices</button>
+
+      {error && (
+        <div>
+          <span>
+            Oops! Something went wrong. Please try again in a moment.
+            <br />
+            If the problem persists, please contact support and provide them with the error message: {error}
+          </span>
+          <button onClick={fetchInvoices}>Try Again</button>
+        </div>
+      )}
+
+      {isLoading && <div>Loading...</div>}
+
+      {!isLoading && !error && invoices.length === 0 && <div>Nothing to bill for {month}.</div>}
+
+      {invoices.length > 0 && (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th>Invoice</th>
+              <th>Owner</th>
+              <th>Total</th>
+              <th>Paid</th>
+              <th>Balance</th>
+            </tr>
+          </thead>
+          <tbody>
+            {invoices.map((invoice) => (
+              <tr key={invoice.number}>
+                <td>
+                  <Link href={`/billing/${invoice.owner.ownerKey}?month=${month}`}>{invoice.number}</Link>
+                </td>
+                <td>
+                  {invoice.owner.name} {invoice.owner.lastName}
+                </td>
+                <td>{formatMoney(invoice.total, invoice.currency)}</td>
+                <td>{formatMoney(invoice.paid, invoice.currency)}</td>
+                <td>{formatMoney(invoice.balance, invoice.currency)}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <th colSpan={2}>Total ({invoices.length} owners)</th>
+              <th>{formatMoney(totals.total, currency)}</th>
+              <th>{formatMoney(totals.paid, currency)}</th>
+              <th>{formatMoney(totals.balance, currency)}</th>
+            </tr>
+          </tfoot>
+        </table>
+      )}
+
+      <button onClick={() => router.push("/dogs")}>← Back to Dog List</button>
+    </div>
+  );
+}
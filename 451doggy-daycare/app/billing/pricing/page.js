@@ -0,0 +1,144 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import { useSession } from "../../context/SessionContext";
+import { PERMISSIONS } from "../../lib/roles";
+import { hasErrors } from "../../lib/dogValidation";
+import { fromMinorUnits, validatePricing } from "../../lib/billingRules";
+
+const PRICING_API_URL = "/api/billing/pricing";
+
+const FIELDS = [
+  { name: "currency", label: "Currency", type: "text" },
+  { name: "fullDay", label: "Full day", type: "number", money: true },
+  { name: "halfDay", label: "Half day", type: "number", money: true },
+  { name: "halfDayMaxHours", label: "Half day is up to (hours)", type: "number" },
+  { name: "siblingDiscountPercent", label: "Sibling discount (%)", type: "number" },
+  { name: "latePickupAfter", label: "Late pickup after", type: "time" },
+  { name: "latePickupFee", label: "Late pickup fee", type: "number", money: true },
+];
+
+// Prices come in minor units, the form shows kronor
+const toFormValues = (pricing) =>
+  Object.fromEntries(FIELDS.map((f) => [f.name, f.money ? fromMinorUnits(pricing[f.name]) : String(pricing[f.name])]));
+
+export default function Pricing() {
+  const [values, setValues] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const { can } = useSession();
+  const router = useRouter();
+
+  const fetchPricing = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const resp = await fetch(PRICING_API_URL);
+      const body = await resp.json().catch(() => ({}));
+
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to load prices (Status: ${resp.status})`);
+      }
+      setValues(toFormValues(body));
+    } catch (err) {
+      console.error("Error fetching prices:", err);
+      setError(err.message || "Failed to load prices");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPricing();
+  }, [fetchPricing]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaved(false);
+
+    const { errors: fieldErrors } = validatePricing(values);
+    setErrors(fieldErrors);
+    if (hasErrors(fieldErrors)) return;
+
+    try {
+      setIsSaving(true);
+      setError(null);
+
+      const resp = await fetch(PRICING_API_URL, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(values),
+      });
+      const body = await resp.json().catch(() => ({}));
+
+      if (resp.status === 400 && body.fields) {
+        setErrors(body.fields);
+        return;
+      }
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to save prices (Status: ${resp.status})`);
+      }
+      setValues(toFormValues(body));
+      setSaved(true);
+    } catch (err) {
+      console.error("Error saving prices:", err);
+      setError(err.message || "Failed to save prices");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <h1>Prices</h1>
+      <p>New prices apply from today, earlier days stay billed at the prices of the time.</p>
+
+      {error && (
+        <div>
+          <span>
+            Oops! Something went wrong. Please try again in a moment.
+            <br />
+            If the problem persists, please contact support and provide them with the error message: {error}
+          </span>
+          <button onClick={fetchPricing}>Try Again</button>
+        </div>
+      )}
+
+      {isLoading && <div>Loading...</div>}
+
+      {values && (
+        <form onSubmit={handleSubmit} noValidate>
+          <fieldset disabled={!can(PERMISSIONS.EDIT_PRICES)}>
+            {FIELDS.map((field) => (
+              <div key={field.name}>
+                <label>
+                  {field.label}
+                  <input
+                    type={field.type}
+                    step={field.money ? "0.01" : undefined}
+                    value={values[field.name]}
+                    onChange={(e) => setValues((prev) => ({ ...prev, [field.name]: e.target.value }))}
+                    aria-invalid={!!errors[field.name]}
+                  />
+                </label>
+                {errors[field.name] && <span role="alert">{errors[field.name]}</span>}
+              </div>
+            ))}
+
+            <button type="submit" disabled={isSaving}>
+              {isSaving ? "Saving..." : "Save"}
+            </button>
+            {saved && <span role="status">Saved</span>}
+          </fieldset>
+        </form>
+      )}
+
+      <button onClick={() => router.push("/billing")}>← Back to Billing</button>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import BookingCalendar from "../components/BookingCalendar";
+import { useSession } from "../context/SessionContext";
+import { PERMISSIONS } from "../lib/roles";
+
+const DOGS_API_URL = "/api/dogs";
+const BOOKINGS_API_URL = "/api/bookings";
+
+export default function Bookings() {
+  const [dogs, setDogs] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { can } = useSession();
+  const router = useRouter();
+
+  const fetchDogs = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const resp = await fetch(DOGS_API_URL);
+
+      if (!resp.ok) {
+        throw new Error(`Failed to fetch dogs (Status: ${resp.status})`);
+      }
+      setDogs(await resp.json());
+    } catch (err) {
+      console.error("Error fetching dogs:", err);
+      setError(err.message || "Failed to load dogs");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDogs();
+  }, [fetchDogs]);
+
+  return (
+    <div>
+      <h1>Bookings</h1>
+
+      {error && (
+        <div>
+          <span>
+            Oops! Something went wrong. Please try again in a moment.
+            <br />
+            If the problem persists, please contact support and provide them with the error message: {error}
+          </span>
+          <button onClick={fetchDogs}>Try Again</button>
+        </div>
+      )}
+
+      {isLoading && <div>Loading...</div>}
+
+      {!isLoading && !error && (
+        <BookingCalendar apiUrl={BOOKINGS_API_URL} dogs={dogs} canManage={can(PERMISSIONS.MANAGE_BOOKINGS)} />
+      )}
+
+      <button onClick={() => router.push("/dogs")}>← Back to Dog List</button>
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+import { useSession } from "../context/SessionContext";
+import { PERMISSIONS } from "../lib/roles";
+import { toDateKey } from "../lib/dates";
+import { CARE_KIND_LABELS } from "../lib/careRules";
+
+const OVERDUE_API_URL = "/api/care/overdue";
+
+// Tasks fall overdue as the day goes on, so the list reloads itself this often
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+// Today's overdue care tasks across every dog that is here now, earliest first,
+// ticked off straight from the list.
+export default function OverdueCare() {
+  const [overdue, setOverdue] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [savingId, setSavingId] = useState(null);
+  const [tickError, setTickError] = useState(null);
+  const router = useRouter();
+  const { can } = useSession();
+
+  const fetchOverdue = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const resp = await fetch(OVERDUE_API_URL);
+      const body = await resp.json().catch(() => ({}));
+
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to load overdue care tasks (Status: ${resp.status})`);
+      }
+      setOverdue(body);
+    } catch (err) {
+      console.error("Error fetching overdue care tasks:", err);
+      setError(err.message || "Failed to load overdue care tasks");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchOverdue();
+    const id = setInterval(fetchOverdue, REFRESH_INTERVAL_MS);
+    return () => clearInterval(id);
+  }, [fetchOverdue]);
+
+  const tickOff = async ({ chipNumber, task }) => {
+    try {
+      setSavingId(task.id);
+      setTickError(null);
+
+      const resp = await fetch(`/api/dogs/${encodeURIComponent(chipNumber)}/care`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ taskId: task.id, date: toDateKey(new Date()) }),
+      });
+      const body = await resp.json().catch(() => ({}));
+
+      // 409: someone else got there first, which is just as done
+      if (!resp.ok && resp.status !== 409) {
+        throw new Error(body.error || `Failed to tick off the task (Status: ${resp.status})`);
+      }
+      setOverdue((prev) => prev.filter((o) => o.task.id !== task.id));
+    } catch (err) {
+      console.error("Error ticking off care task:", err);
+      setTickError(err.message || "Failed to tick off the task");
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  return (
+    <div>
+      <h1>Overdue care tasks</h1>
+      <button onClick={() => router.push("/dogs")}>← Back to Dog List</button>
+
+      {error && (
+        <div>
+          <span>
+            Oops! Something went wrong. Please try again in a moment.
+            <br />
+            If the problem persists, please contact support and provide them with the error message: {error}
+          </span>
+          <button onClick={fetchOverdue}>Try Again</button>
+        </div>
+      )}
+
+      {isLoading && overdue.length === 0 && <div>Loading...</div>}
+
+      {!isLoading && !error && overdue.length === 0 && <p role="status">Nothing overdue. Good dogs, good staff.</p>}
+
+      {tickError && <p role="alert">{tickError}</p>}
+
+      {overdue.length > 0 && (
+        <ul>
+          {overdue.map(({ chipNumber, name, task }) => (
+            <li key={task.id}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={false}
+                  disabled={savingId === task.id || !can(PERMISSIONS.LOG_CARE)}
+                  onChange={() => tickOff({ chipNumber, task })}
+                />
+                {task.time} <Link href={`/dogs/${chipNumber}`}>{name}</Link>: {CARE_KIND_LABELS[task.kind]},{" "}
+                {task.label}
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
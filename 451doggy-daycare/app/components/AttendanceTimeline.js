@@ -0,0 +1,84 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+
+const formatTime = (iso) =>
+  new Date(iso).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+
+export function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+// A check-out closes the latest open check-in, that gap is the stay duration
+function withDurations(events) {
+  let openCheckIn = null;
+
+  return events.map((event) => {
+    if (event.direction === "in") {
+      openCheckIn = event;
+      return { ...event, duration: null };
+    }
+
+    const duration = openCheckIn
+      ? new Date(event.timestamp) - new Date(openCheckIn.timestamp)
+      : null;
+    openCheckIn = null;
+    return { ...event, duration };
+  });
+}
+
+// refreshKey changes whenever the dog's status changes, so the log is refetched
+export default function AttendanceTimeline({ chipNumber, refreshKey }) {
+  const [events, setEvents] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchEvents = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const res = await fetch(`/api/attendance/${encodeURIComponent(chipNumber)}/events`);
+
+      if (!res.ok) {
+        throw new Error(`Failed to load attendance history (Status: ${res.status})`);
+      }
+
+      setEvents(withDurations(await res.json()));
+    } catch (err) {
+      console.error("Error fetching attendance history:", err);
+      setError(err.message || "Failed to load attendance history");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [chipNumber]);
+
+  useEffect(() => {
+    fetchEvents();
+  }, [fetchEvents, refreshKey]);
+
+  return (
+    <div>
+      <h3>Attendance history</h3>
+
+      {error && <p role="alert">{error}</p>}
+      {isLoading && events.length === 0 && <p>Loading history...</p>}
+      {!isLoading && !error && events.length === 0 && <p>No check-ins recorded yet.</p>}
+
+      {/* Newest first */}
+      <ol>
+        {[...events].reverse().map((event) => (
+          <li key={event.id}>
+            <strong>{event.direction === "in" ? "Checked in" : "Checked out"}</strong>{" "}
+            {formatTime(event.timestamp)}
+            {event.staff && <> by {event.staff}</>}
+            {event.duration !== null && <> (stayed {formatDuration(event.duration)})</>}
+            {event.note && <div>Note: {event.note}</div>}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,201 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import BookingForm from "./BookingForm";
+import { describeBooking, WEEKDAYS } from "../lib/bookingRules";
+import { addDays, startOfDay, toDateKey } from "../lib/dates";
+import styles from "../bookings/styles.module.css";
+
+// Monday of the week the given day is in
+const weekStart = (dateKey) => addDays(dateKey, -((startOfDay(dateKey).getDay() + 6) % 7));
+
+const monthLabel = (monthKey) =>
+  startOfDay(monthKey).toLocaleDateString(undefined, { month: "long", year: "numeric" });
+
+const shiftMonth = (monthKey, months) => {
+  const d = startOfDay(monthKey);
+  return toDateKey(new Date(d.getFullYear(), d.getMonth() + months, 1));
+};
+
+// Month calendar of bookings plus the list of standing bookings.
+// Staff use it with /api/bookings, owners with /api/portal/bookings; both answer the same shape.
+// dogs: [{ chipNumber, name }] that may be booked. canManage shows the form and cancel buttons.
+export default function BookingCalendar({ apiUrl, dogs, canManage }) {
+  const today = toDateKey(new Date());
+  const [month, setMonth] = useState(() => `${today.slice(0, 7)}-01`);
+  const [days, setDays] = useState({});
+  const [bookings, setBookings] = useState([]);
+  // Only the staff api sends the limits
+  const [capacity, setCapacity] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Whole weeks, so the grid always starts on a Monday
+  const from = weekStart(month);
+  const to = addDays(weekStart(addDays(shiftMonth(month, 1), -1)), 6);
+
+  const dogName = (chipNumber) => dogs.find((d) => d.chipNumber === chipNumber)?.name || chipNumber;
+
+  const fetchBookings = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const resp = await fetch(`${apiUrl}?from=${from}&to=${to}`);
+      const body = await resp.json().catch(() => ({}));
+
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to load bookings (Status: ${resp.status})`);
+      }
+      setDays(body.days);
+      setBookings(body.bookings);
+      setCapacity(body.capacity || null);
+    } catch (err) {
+      console.error("Error fetching bookings:", err);
+      setError(err.message || "Failed to load bookings");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [apiUrl, from, to]);
+
+  useEffect(() => {
+    fetchBookings();
+  }, [fetchBookings]);
+
+  // Days at capacity get a second try on the waitlist if the user agrees
+  const createBooking = async (booking, { waitlist = false } = {}) => {
+    setNotice(null);
+    const resp = await fetch(apiUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...booking, waitlist }),
+    });
+    const body = await resp.json().catch(() => ({}));
+
+    if (resp.status === 400 && body.fields) return body.fields;
+    if (resp.status === 409 && body.full) {
+      if (window.confirm(`${body.error}. Join the waitlist for ${body.full.length === 1 ? "that day" : "those days"}?`)) {
+        return createBooking(booking, { waitlist: true });
+      }
+      return;
+    }
+    if (!resp.ok) {
+      setError(body.error || `Failed to create booking (Status: ${resp.status})`);
+      return;
+    }
+    if (body.waitlisted?.length > 0) {
+      setNotice(`On the waitlist for ${body.waitlisted.join(", ")}. A place is given automatically when someone cancels.`);
+    }
+    fetchBookings();
+  };
+
+  // Without a date the whole booking goes
+  const cancelBooking = async (bookingId, date) => {
+    const message = date ? `Cancel the booking on ${date}?` : "Cancel this booking and every day it covers?";
+    if (!window.confirm(message)) return;
+
+    setNotice(null);
+    const resp = await fetch(`${apiUrl}/${bookingId}${date ? `?date=${date}` : ""}`, { method: "DELETE" });
+    const body = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      setError(body.error || `Failed to cancel booking (Status: ${resp.status})`);
+      return;
+    }
+    if (body.promoted?.length > 0) {
+      setNotice(
+        `Moved off the waitlist: ${body.promoted.map((b) => `${dogName(b.chipNumber)} on ${b.date}`).join(", ")}`
+      );
+    }
+    fetchBookings();
+  };
+
+  const currentMonth = month.slice(0, 7);
+  // Bookings that are over only clutter the list, the calendar still shows them
+  const upcoming = bookings.filter((b) => (b.date || b.endDate || today) >= today);
+
+  return (
+    <div>
+      {canManage && (
+        <section>
+          <h2>New booking</h2>
+          <BookingForm dogs={dogs} onSubmit={createBooking} />
+        </section>
+      )}
+
+      {notice && <p role="status">{notice}</p>}
+
+      {error && (
+        <div>
+          <span>
+            Oops! Something went wrong. Please try again in a moment.
+            <br />
+            If the problem persists, please contact support and provide them with the error message: {error}
+          </span>
+          <button onClick={fetchBookings}>Try Again</button>
+        </div>
+      )}
+
+      <h2>
+        <button onClick={() => setMonth(shiftMonth(month, -1))} aria-label="Previous month">
+          ←
+        </button>
+        {monthLabel(month)}
+        <button onClick={() => setMonth(shiftMonth(month, 1))} aria-label="Next month">
+          →
+        </button>
+      </h2>
+
+      {isLoading && <div>Loading...</div>}
+
+      <div className={styles.calendar}>
+        {[1, 2, 3, 4, 5, 6, 0].map((d) => (
+          <div key={d} className={styles.weekday}>
+            {WEEKDAYS[d]}
+          </div>
+        ))}
+        {Object.entries(days).map(([date, booked]) => (
+          <div
+            key={date}
+            className={[
+              styles.day,
+              date === today && styles.today,
+              !date.startsWith(currentMonth) && styles.otherMonth,
+            ]
+              .filter(Boolean)
+              .join(" ")}
+          >
+            <div>
+              {Number(date.slice(8))}
+              {capacity?.daily && ` · ${booked.filter((b) => !b.waitlisted).length}/${capacity.daily}`}
+            </div>
+            {booked.map((b) => (
+              <div key={b.bookingId}>
+                {b.name}
+                {b.waitlisted && " (waitlist)"}
+                {canManage && date >= today && (
+                  <button onClick={() => cancelBooking(b.bookingId, date)} aria-label={`Cancel ${b.name} on ${date}`}>
+                    ✕
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <h2>Bookings</h2>
+      {!isLoading && upcoming.length === 0 && <div>No upcoming bookings.</div>}
+      <ul>
+        {upcoming.map((booking) => (
+          <li key={booking.id}>
+            {dogName(booking.chipNumber)}: {describeBooking(booking)}
+            {booking.cancelledDates.length > 0 && ` (not on ${booking.cancelledDates.join(", ")})`}
+            {booking.promotedAt && " (moved off the waitlist)"}
+            {canManage && <button onClick={() => cancelBooking(booking.id)}>Cancel booking</button>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
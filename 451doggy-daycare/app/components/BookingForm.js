@@ -0,0 +1,150 @@
+"use client";
+
+import { useState } from "react";
+import { validateBooking, BOOKING_HORIZON_DAYS, BOOKING_TYPES, WEEKDAYS } from "../lib/bookingRules";
+import { hasErrors } from "../lib/dogValidation";
+import { addDays, toDateKey } from "../lib/dates";
+
+// Monday first, the way the daycare week runs
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// Books one day or a repeating pattern for one of the given dogs.
+// onSubmit gets the cleaned booking and resolves to field errors from the server (or nothing).
+export default function BookingForm({ dogs, onSubmit }) {
+  const today = toDateKey(new Date());
+  const horizon = addDays(today, BOOKING_HORIZON_DAYS);
+  const [values, setValues] = useState({
+    chipNumber: dogs.length === 1 ? dogs[0].chipNumber : "",
+    type: BOOKING_TYPES.SINGLE,
+    date: today,
+    weekdays: [],
+    startDate: today,
+    endDate: "",
+  });
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  const setField = (field, value) => {
+    setValues((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const toggleWeekday = (day) => {
+    setValues((prev) => ({
+      ...prev,
+      weekdays: prev.weekdays.includes(day) ? prev.weekdays.filter((d) => d !== day) : [...prev.weekdays, day],
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const { booking, errors: fieldErrors } = validateBooking(values, {
+      today,
+      chipNumbers: dogs.map((d) => d.chipNumber),
+    });
+    setErrors(fieldErrors);
+    if (hasErrors(fieldErrors)) return;
+
+    try {
+      setIsSaving(true);
+      const serverErrors = await onSubmit(booking);
+      setErrors(serverErrors || {});
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const fieldError = (field) => errors[field] && <span role="alert">{errors[field]}</span>;
+
+  return (
+    <form onSubmit={handleSubmit} noValidate>
+      <div>
+        <label>
+          Dog
+          <select value={values.chipNumber} onChange={(e) => setField("chipNumber", e.target.value)}>
+            <option value="">Choose a dog</option>
+            {dogs.map((dog) => (
+              <option key={dog.chipNumber} value={dog.chipNumber}>
+                {dog.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        {fieldError("chipNumber")}
+      </div>
+
+      <div>
+        <label>
+          <input
+            type="radio"
+            checked={values.type === BOOKING_TYPES.SINGLE}
+            onChange={() => setField("type", BOOKING_TYPES.SINGLE)}
+          />
+          One day
+        </label>
+        <label>
+          <input
+            type="radio"
+            checked={values.type === BOOKING_TYPES.RECURRING}
+            onChange={() => setField("type", BOOKING_TYPES.RECURRING)}
+          />
+          Every week
+        </label>
+      </div>
+
+      {values.type === BOOKING_TYPES.SINGLE ? (
+        <div>
+          <label>
+            Date
+            <input type="date" min={today} value={values.date} onChange={(e) => setField("date", e.target.value)} />
+          </label>
+          {fieldError("date")}
+        </div>
+      ) : (
+        <>
+          <div>
+            {WEEK_ORDER.map((day) => (
+              <label key={day}>
+                <input
+                  type="checkbox"
+                  checked={values.weekdays.includes(day)}
+                  onChange={() => toggleWeekday(day)}
+                />
+                {WEEKDAYS[day]}
+              </label>
+            ))}
+            {fieldError("weekdays")}
+          </div>
+          <div>
+            <label>
+              From
+              <input
+                type="date"
+                min={today}
+                max={horizon}
+                value={values.startDate}
+                onChange={(e) => setField("startDate", e.target.value)}
+              />
+            </label>
+            {fieldError("startDate")}
+            <label>
+              Until (optional, {BOOKING_HORIZON_DAYS} days ahead at most)
+              <input
+                type="date"
+                min={values.startDate}
+                max={horizon}
+                value={values.endDate}
+                onChange={(e) => setField("endDate", e.target.value)}
+              />
+            </label>
+            {fieldError("endDate")}
+          </div>
+        </>
+      )}
+
+      <button type="submit" disabled={isSaving}>
+        {isSaving ? "Booking..." : "Book"}
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,271 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useSession } from "../context/SessionContext";
+import { PERMISSIONS } from "../lib/roles";
+import { toDateKey } from "../lib/dates";
+import { CARE_KINDS, CARE_KIND_LABELS } from "../lib/careRules";
+
+const CARE_URL = (chipNumber) => `/api/dogs/${encodeURIComponent(chipNumber)}/care`;
+const CARE_TASKS_URL = (chipNumber) => `/api/dogs/${encodeURIComponent(chipNumber)}/care-tasks`;
+
+const EMPTY_TASK = { kind: CARE_KINDS.MEDICATION, label: "", time: "12:00" };
+const EMPTY_ENTRY = { kind: CARE_KINDS.POTTY, label: "", note: "" };
+
+const formatTime = (iso) => new Date(iso).toLocaleTimeString(undefined, { timeStyle: "short" });
+
+// Sends a change to a care route. Resolves to the response body, rejects with the field
+// messages joined up or the server's error.
+async function send(url, method, values) {
+  const resp = await fetch(url, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: values && JSON.stringify(values),
+  });
+  const body = await resp.json().catch(() => ({}));
+
+  if (!resp.ok) {
+    const fields = body.fields && Object.values(body.fields).join(", ");
+    throw new Error(fields || body.error || `Failed to save (Status: ${resp.status})`);
+  }
+  return body;
+}
+
+// Daily care log on DogDetails: the dog's scheduled meals, medication, walks and potty breaks
+// for a day with who ticked them off and when, plus anything done off schedule.
+export default function CareLogSection({ chipNumber }) {
+  const [date, setDate] = useState(() => toDateKey(new Date()));
+  const [day, setDay] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [entry, setEntry] = useState(null);
+  const [task, setTask] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const { can } = useSession();
+
+  const fetchDay = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const res = await fetch(`${CARE_URL(chipNumber)}?date=${date}`);
+      const body = await res.json().catch(() => ({}));
+
+      if (!res.ok) {
+        throw new Error(body.error || `Failed to load the care log (Status: ${res.status})`);
+      }
+      setDay(body);
+    } catch (err) {
+      console.error("Error fetching care log:", err);
+      setError(err.message || "Failed to load the care log");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [chipNumber, date]);
+
+  useEffect(() => {
+    fetchDay();
+  }, [fetchDay]);
+
+  // Runs a change, then reloads the day so ticks, overdue marks and the entries agree
+  const save = async (change) => {
+    try {
+      setIsSaving(true);
+      setError(null);
+      await change();
+      await fetchDay();
+      return true;
+    } catch (err) {
+      console.error("Error saving care log:", err);
+      setError(err.message || "Failed to save the care log");
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const undoEntry = (id) => save(() => send(`${CARE_URL(chipNumber)}/${encodeURIComponent(id)}`, "DELETE"));
+
+  // Unticking undoes the entry that ticked the task off
+  const toggleTask = (t) =>
+    t.entry ? undoEntry(t.entry.id) : save(() => send(CARE_URL(chipNumber), "POST", { taskId: t.id, date }));
+
+  const logEntry = async (e) => {
+    e.preventDefault();
+    if (await save(() => send(CARE_URL(chipNumber), "POST", { ...entry, date }))) setEntry(null);
+  };
+
+  const addTask = async (e) => {
+    e.preventDefault();
+    if (await save(() => send(CARE_TASKS_URL(chipNumber), "POST", task))) setTask(null);
+  };
+
+  const removeTask = (t) => {
+    if (!window.confirm(`Take "${t.label}" at ${t.time} off this dog's daily schedule?`)) return;
+    save(() => send(`${CARE_TASKS_URL(chipNumber)}/${encodeURIComponent(t.id)}`, "DELETE"));
+  };
+
+  const kindOptions = Object.values(CARE_KINDS).map((kind) => (
+    <option key={kind} value={kind}>
+      {CARE_KIND_LABELS[kind]}
+    </option>
+  ));
+
+  if (isLoading && !day) return <div>Loading care log...</div>;
+
+  const offSchedule = day ? day.entries.filter((e) => !e.taskId) : [];
+
+  return (
+    <div>
+      <h3>Care log</h3>
+
+      <label>
+        Day
+        <input
+          type="date"
+          value={date}
+          max={toDateKey(new Date())}
+          onChange={(e) => e.target.value && setDate(e.target.value)}
+        />
+      </label>
+      {date !== toDateKey(new Date()) && (
+        <button onClick={() => setDate(toDateKey(new Date()))}>Today</button>
+      )}
+
+      {error && (
+        <p role="alert">
+          {error} <button onClick={fetchDay}>Try Again</button>
+        </p>
+      )}
+
+      {day && (
+        <>
+          <h4>Schedule</h4>
+          {day.tasks.length === 0 ? (
+            <p>No scheduled care.</p>
+          ) : (
+            <ul>
+              {day.tasks.map((t) => (
+                <li key={t.id}>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={!!t.entry}
+                      disabled={isSaving || !can(PERMISSIONS.LOG_CARE)}
+                      onChange={() => toggleTask(t)}
+                    />
+                    {t.time} {CARE_KIND_LABELS[t.kind]}: {t.label}
+                  </label>
+                  {t.overdue && <strong> overdue</strong>}
+                  {t.entry && (
+                    <small>
+                      {" "}
+                      done by {t.entry.staff || "unknown"} at {formatTime(t.entry.doneAt)}
+                    </small>
+                  )}
+                  {can(PERMISSIONS.EDIT_DOGS) && (
+                    <button onClick={() => removeTask(t)} disabled={isSaving}>
+                      Remove
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {can(PERMISSIONS.EDIT_DOGS) && !task && <button onClick={() => setTask(EMPTY_TASK)}>+ Scheduled task</button>}
+
+          {task && (
+            <form onSubmit={addTask} noValidate>
+              <label>
+                Kind
+                <select value={task.kind} onChange={(e) => setTask((prev) => ({ ...prev, kind: e.target.value }))}>
+                  {kindOptions}
+                </select>
+              </label>
+              <label>
+                What
+                <input
+                  type="text"
+                  value={task.label}
+                  placeholder="e.g. Insulin 2 units"
+                  onChange={(e) => setTask((prev) => ({ ...prev, label: e.target.value }))}
+                />
+              </label>
+              <label>
+                Time
+                <input
+                  type="time"
+                  value={task.time}
+                  onChange={(e) => setTask((prev) => ({ ...prev, time: e.target.value }))}
+                />
+              </label>
+              <button type="submit" disabled={isSaving}>
+                {isSaving ? "Saving..." : "Add to schedule"}
+              </button>
+              <button type="button" onClick={() => setTask(null)} disabled={isSaving}>
+                Cancel
+              </button>
+            </form>
+          )}
+
+          <h4>Off schedule</h4>
+          {offSchedule.length === 0 ? (
+            <p>Nothing else logged.</p>
+          ) : (
+            <ul>
+              {offSchedule.map((e) => (
+                <li key={e.id}>
+                  {formatTime(e.doneAt)} {CARE_KIND_LABELS[e.kind]}
+                  {e.label && `: ${e.label}`}
+                  {e.note && ` – ${e.note}`}
+                  <small> by {e.staff || "unknown"}</small>
+                  {can(PERMISSIONS.LOG_CARE) && (
+                    <button onClick={() => undoEntry(e.id)} disabled={isSaving}>
+                      Undo
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {can(PERMISSIONS.LOG_CARE) && !entry && <button onClick={() => setEntry(EMPTY_ENTRY)}>+ Log care</button>}
+
+          {entry && (
+            <form onSubmit={logEntry} noValidate>
+              <label>
+                Kind
+                <select value={entry.kind} onChange={(e) => setEntry((prev) => ({ ...prev, kind: e.target.value }))}>
+                  {kindOptions}
+                </select>
+              </label>
+              <label>
+                What (optional)
+                <input
+                  type="text"
+                  value={entry.label}
+                  onChange={(e) => setEntry((prev) => ({ ...prev, label: e.target.value }))}
+                />
+              </label>
+              <label>
+                Note (optional)
+                <input
+                  type="text"
+                  value={entry.note}
+                  onChange={(e) => setEntry((prev) => ({ ...prev, note: e.target.value }))}
+                />
+              </label>
+              <button type="submit" disabled={isSaving}>
+                {isSaving ? "Saving..." : "Log it"}
+              </button>
+              <button type="button" onClick={() => setEntry(null)} disabled={isSaving}>
+                Cancel
+              </button>
+            </form>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,274 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { validateDog, hasErrors, SEXES } from "../lib/dogValidation";
+import { validateOwner, ownerName, EMPTY_OWNER } from "../lib/ownerRules";
+
+const OWNERS_API_URL = "/api/owners";
+// Value of the owner select that opens the new owner fields
+const NEW_OWNER = "new";
+
+const EMPTY_DOG = {
+  name: "",
+  sex: "female",
+  age: "",
+  breed: "",
+  img: "",
+  chipNumber: "",
+  playGroup: "",
+  ownerId: "",
+};
+
+// Shared by the "New dog" page and the edit mode on DogDetails.
+// onSubmit gets the cleaned dog and resolves to field errors from the server (or nothing).
+// The dog gets an existing owner (dog.ownerId) or, only when enrolling, a new one (dog.owner).
+export default function DogForm({ initialDog, isNew = false, submitLabel = "Save", onSubmit, onCancel }) {
+  const [values, setValues] = useState(() => ({
+    ...EMPTY_DOG,
+    ...initialDog,
+    ownerId: initialDog?.ownerId || (isNew ? NEW_OWNER : ""),
+  }));
+  const [newOwner, setNewOwner] = useState(EMPTY_OWNER);
+  const [owners, setOwners] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    fetch(OWNERS_API_URL)
+      .then((resp) => (resp.ok ? resp.json() : []))
+      .then(setOwners)
+      .catch((err) => console.error("Error loading owners:", err));
+  }, []);
+
+  const setField = (field, value) => {
+    setValues((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const setOwnerField = (field, value) => {
+    setNewOwner((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const isNewOwner = isNew && values.ownerId === NEW_OWNER;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Same rules as the server, checked here first so staff get instant feedback
+    const { dog, errors: fieldErrors } = validateDog(values, { newOwner: isNewOwner });
+    const owner = isNewOwner ? validateOwner(newOwner) : null;
+    for (const [field, message] of Object.entries(owner?.errors || {})) {
+      fieldErrors[`owner.${field}`] = message;
+    }
+    setErrors(fieldErrors);
+    if (hasErrors(fieldErrors)) return;
+
+    try {
+      setIsSaving(true);
+      const serverErrors = await onSubmit(isNewOwner ? { ...dog, owner: owner.owner } : dog);
+      if (serverErrors) setErrors(serverErrors);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const fieldError = (field) =>
+    errors[field] && (
+      <span role="alert" id={`${field}-error`}>
+        {errors[field]}
+      </span>
+    );
+
+  return (
+    <form onSubmit={handleSubmit} noValidate>
+      <div>
+        <label>
+          Name
+          <input
+            type="text"
+            value={values.name}
+            onChange={(e) => setField("name", e.target.value)}
+            aria-invalid={!!errors.name}
+          />
+        </label>
+        {fieldError("name")}
+      </div>
+
+      <div>
+        <label>
+          Sex
+          <select value={values.sex} onChange={(e) => setField("sex", e.target.value)}>
+            {SEXES.map((sex) => (
+              <option key={sex} value={sex}>
+                {sex === "male" ? "♂️ Male" : "♀️ Female"}
+              </option>
+            ))}
+          </select>
+        </label>
+        {fieldError("sex")}
+      </div>
+
+      <div>
+        <label>
+          Age (years)
+          <input
+            type="number"
+            min="0"
+            max="30"
+            value={values.age}
+            onChange={(e) => setField("age", e.target.value)}
+            aria-invalid={!!errors.age}
+          />
+        </label>
+        {fieldError("age")}
+      </div>
+
+      <div>
+        <label>
+          Breed
+          <input
+            type="text"
+            value={values.breed}
+            onChange={(e) => setField("breed", e.target.value)}
+            aria-invalid={!!errors.breed}
+          />
+        </label>
+        {fieldError("breed")}
+      </div>
+
+      <div>
+        <label>
+          Play group (optional)
+          <input
+            type="text"
+            value={values.playGroup}
+            onChange={(e) => setField("playGroup", e.target.value)}
+          />
+        </label>
+      </div>
+
+      <div>
+        <label>
+          Image link
+          <input
+            type="url"
+            value={values.img}
+            onChange={(e) => setField("img", e.target.value)}
+            aria-invalid={!!errors.img}
+          />
+        </label>
+        {fieldError("img")}
+      </div>
+
+      <div>
+        <label>
+          Chip number
+          <input
+            type="text"
+            value={values.chipNumber}
+            onChange={(e) => setField("chipNumber", e.target.value)}
+            readOnly={!isNew}
+            aria-invalid={!!errors.chipNumber}
+          />
+        </label>
+        {fieldError("chipNumber")}
+      </div>
+
+      <fieldset>
+        <legend>Owner</legend>
+
+        <div>
+          <label>
+            Owner
+            <select
+              value={values.ownerId}
+              onChange={(e) => setField("ownerId", e.target.value)}
+              aria-invalid={!!errors.ownerId}
+            >
+              <option value="">Choose an owner...</option>
+              {isNew && <option value={NEW_OWNER}>New owner</option>}
+              {/* The current owner stays selectable while the list is still loading */}
+              {!owners.some((o) => o.id === values.ownerId) && initialDog?.owner?.id === values.ownerId && (
+                <option value={values.ownerId}>{ownerName(initialDog.owner)}</option>
+              )}
+              {owners.map((owner) => (
+                <option key={owner.id} value={owner.id}>
+                  {owner.lastName}, {owner.name} ({owner.phoneNumber})
+                </option>
+              ))}
+            </select>
+          </label>
+          {fieldError("ownerId")}
+        </div>
+
+        {isNewOwner && (
+          <>
+            <div>
+              <label>
+                First name
+                <input
+                  type="text"
+                  value={newOwner.name}
+                  onChange={(e) => setOwnerField("name", e.target.value)}
+                  aria-invalid={!!errors["owner.name"]}
+                />
+              </label>
+              {fieldError("owner.name")}
+            </div>
+
+            <div>
+              <label>
+                Last name
+                <input
+                  type="text"
+                  value={newOwner.lastName}
+                  onChange={(e) => setOwnerField("lastName", e.target.value)}
+                  aria-invalid={!!errors["owner.lastName"]}
+                />
+              </label>
+              {fieldError("owner.lastName")}
+            </div>
+
+            <div>
+              <label>
+                Phone
+                <input
+                  type="tel"
+                  value={newOwner.phoneNumber}
+                  onChange={(e) => setOwnerField("phoneNumber", e.target.value)}
+                  aria-invalid={!!errors["owner.phoneNumber"]}
+                />
+              </label>
+              {fieldError("owner.phoneNumber")}
+            </div>
+
+            <div>
+              <label>
+                Email (optional)
+                <input
+                  type="email"
+                  value={newOwner.email}
+                  onChange={(e) => setOwnerField("email", e.target.value)}
+                  aria-invalid={!!errors["owner.email"]}
+                />
+              </label>
+              {fieldError("owner.email")}
+            </div>
+
+            <p>
+              <small>Address and emergency contacts can be added on the owner&apos;s page afterwards.</small>
+            </p>
+          </>
+        )}
+      </fieldset>
+
+      <button type="submit" disabled={isSaving}>
+        {isSaving ? "Saving..." : submitLabel}
+      </button>
+      {onCancel && (
+        <button type="button" onClick={onCancel} disabled={isSaving}>
+          Cancel
+        </button>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,33 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import QRCode from "qrcode";
+
+// QR code for a dog's collar tag, linking to /dogs/[chipNumber] on this server.
+// Drawn in the browser, so no chip number is sent to an outside QR service.
+export default function DogQrCode({ chipNumber, size = 160 }) {
+  const [svg, setSvg] = useState(null);
+
+  useEffect(() => {
+    let isCurrent = true;
+    const url = `${window.location.origin}/dogs/${encodeURIComponent(chipNumber)}`;
+
+    QRCode.toString(url, { type: "svg", width: size, margin: 1 })
+      .then((markup) => isCurrent && setSvg(markup))
+      .catch((err) => console.error("Error drawing QR code:", err));
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [chipNumber, size]);
+
+  // The markup comes from the qrcode package, not from user input
+  return (
+    <div
+      role="img"
+      aria-label={`QR code linking to the page of chip ${chipNumber}`}
+      style={{ width: size, height: size }}
+      dangerouslySetInnerHTML={svg ? { __html: svg } : undefined}
+    />
+  );
+}
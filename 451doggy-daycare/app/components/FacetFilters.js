@@ -0,0 +1,53 @@
+"use client";
+
+import { FACETS, AGE_RANGES } from "../lib/dogQueryRules";
+import { VACCINATION_STATUS_LABELS } from "../lib/healthRules";
+
+const FACET_TITLES = {
+  [FACETS.BREED]: "Breed",
+  [FACETS.SEX]: "Sex",
+  [FACETS.AGE]: "Age",
+  [FACETS.VACCINATION]: "Vaccinations",
+};
+
+const VALUE_LABELS = {
+  [FACETS.SEX]: { male: "♂️ Male", female: "♀️ Female" },
+  [FACETS.AGE]: Object.fromEntries(AGE_RANGES.map((range) => [range.value, range.label])),
+  [FACETS.VACCINATION]: VACCINATION_STATUS_LABELS,
+};
+
+// Checkbox groups for the Dog List facets, with the number of matching dogs next to each value.
+// facets: counts from GET /api/dogs, selected: { breed: [...], ... }, onChange(facet, values).
+export default function FacetFilters({ facets, selected, onChange }) {
+  if (!facets) return null;
+
+  const toggle = (name, value) => {
+    const current = selected[name] || [];
+    onChange(name, current.includes(value) ? current.filter((v) => v !== value) : [...current, value]);
+  };
+
+  return (
+    <div>
+      {Object.values(FACETS).map((name) => (
+        <fieldset key={name}>
+          <legend>{FACET_TITLES[name]}</legend>
+          {facets[name].map(({ value, count }) => {
+            const checked = (selected[name] || []).includes(value);
+            return (
+              <label key={value}>
+                <input
+                  type="checkbox"
+                  checked={checked}
+                  // Nothing to find there, unless it is already picked
+                  disabled={count === 0 && !checked}
+                  onChange={() => toggle(name, value)}
+                />
+                {VALUE_LABELS[name]?.[value] || value} ({count})
+              </label>
+            );
+          })}
+        </fieldset>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,253 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useSession } from "../context/SessionContext";
+import { PERMISSIONS } from "../lib/roles";
+import { VACCINATION_TYPES } from "../lib/healthRules";
+
+const HEALTH_URL = (chipNumber) => `/api/dogs/${encodeURIComponent(chipNumber)}/health`;
+
+const EMPTY_VACCINATION = { type: "rabies", givenAt: "", expiresAt: "" };
+const EMPTY_MEDICATION = { name: "", dose: "", instructions: "" };
+
+// Vaccinations, allergies, medications and vet on DogDetails.
+// onCheckChange gets { expired, expiringSoon, missing } whenever the record is (re)loaded.
+export default function HealthSection({ chipNumber, onCheckChange }) {
+  const [health, setHealth] = useState(null);
+  const [check, setCheck] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const { can } = useSession();
+
+  const applyResponse = useCallback((body) => {
+    setHealth(body.health);
+    setCheck(body.check);
+    onCheckChange?.(body.check);
+  }, [onCheckChange]);
+
+  const fetchHealth = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const res = await fetch(HEALTH_URL(chipNumber));
+      const body = await res.json().catch(() => ({}));
+
+      if (!res.ok) {
+        throw new Error(body.error || `Failed to load health record (Status: ${res.status})`);
+      }
+      applyResponse(body);
+    } catch (err) {
+      console.error("Error fetching health record:", err);
+      setError(err.message || "Failed to load health record");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [chipNumber, applyResponse]);
+
+  useEffect(() => {
+    fetchHealth();
+  }, [fetchHealth]);
+
+  const startEditing = () => {
+    setFieldErrors({});
+    setDraft({
+      ...health,
+      allergiesText: health.allergies.join(", "),
+      vet: { ...health.vet },
+    });
+  };
+
+  const updateList = (list, index, field, value) =>
+    setDraft((prev) => ({
+      ...prev,
+      [list]: prev[list].map((item, i) => (i === index ? { ...item, [field]: value } : item)),
+    }));
+
+  const addToList = (list, item) => setDraft((prev) => ({ ...prev, [list]: [...prev[list], item] }));
+
+  const removeFromList = (list, index) =>
+    setDraft((prev) => ({ ...prev, [list]: prev[list].filter((_, i) => i !== index) }));
+
+  const saveHealth = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setError(null);
+      setFieldErrors({});
+
+      const { allergiesText, ...record } = draft;
+      const res = await fetch(HEALTH_URL(chipNumber), {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...record, allergies: allergiesText.split(",") }),
+      });
+      const body = await res.json().catch(() => ({}));
+
+      if (res.status === 400 && body.fields) {
+        setFieldErrors(body.fields);
+        return;
+      }
+      if (!res.ok) {
+        throw new Error(body.error || `Failed to save health record (Status: ${res.status})`);
+      }
+
+      applyResponse(body);
+      setDraft(null);
+    } catch (err) {
+      console.error("Error saving health record:", err);
+      setError(err.message || "Failed to save health record");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const fieldError = (field) => fieldErrors[field] && <span role="alert">{fieldErrors[field]}</span>;
+
+  if (isLoading && !health) return <div>Loading health record...</div>;
+
+  return (
+    <div>
+      <h3>Health</h3>
+
+      {error && <p role="alert">{error}</p>}
+
+      {check && check.expired.length > 0 && (
+        <p role="alert">
+          ⚠️ Expired: {check.expired.map((v) => `${v.label} (${v.expiresAt})`).join(", ")}. The dog cannot be checked in.
+        </p>
+      )}
+      {check && check.expiringSoon.length > 0 && (
+        <p>Expires soon: {check.expiringSoon.map((v) => `${v.label} (${v.expiresAt})`).join(", ")}</p>
+      )}
+      {check && check.missing.length > 0 && (
+        <p>No record of: {check.missing.map((v) => v.label).join(", ")}</p>
+      )}
+
+      {health && !draft && (
+        <>
+          <h4>Vaccinations</h4>
+          {health.vaccinations.length === 0 ? (
+            <p>None recorded.</p>
+          ) : (
+            <ul>
+              {health.vaccinations.map((v, i) => (
+                <li key={i}>
+                  {VACCINATION_TYPES[v.type] || v.type}: {v.givenAt ? `given ${v.givenAt}, ` : ""}expires {v.expiresAt}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <p><strong>Allergies:</strong> {health.allergies.length > 0 ? health.allergies.join(", ") : "None known"}</p>
+
+          <h4>Medications</h4>
+          {health.medications.length === 0 ? (
+            <p>None.</p>
+          ) : (
+            <ul>
+              {health.medications.map((m, i) => (
+                <li key={i}>
+                  {m.name}{m.dose && ` – ${m.dose}`}{m.instructions && ` (${m.instructions})`}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <h4>Vet</h4>
+          {health.vet.name || health.vet.clinic ? (
+            <p>
+              {[health.vet.name, health.vet.clinic].filter(Boolean).join(", ")}
+              {health.vet.phoneNumber && ` – ${health.vet.phoneNumber}`}
+            </p>
+          ) : (
+            <p>No vet on file.</p>
+          )}
+
+          {can(PERMISSIONS.EDIT_HEALTH) && <button onClick={startEditing}>Edit health record</button>}
+        </>
+      )}
+
+      {draft && (
+        <form onSubmit={saveHealth} noValidate>
+          <fieldset>
+            <legend>Vaccinations</legend>
+            {draft.vaccinations.map((v, i) => (
+              <div key={i}>
+                <select value={v.type} onChange={(e) => updateList("vaccinations", i, "type", e.target.value)} aria-label="Vaccination">
+                  {Object.entries(VACCINATION_TYPES).map(([type, label]) => (
+                    <option key={type} value={type}>{label}</option>
+                  ))}
+                </select>
+                <label>
+                  Given
+                  <input type="date" value={v.givenAt} onChange={(e) => updateList("vaccinations", i, "givenAt", e.target.value)} />
+                </label>
+                <label>
+                  Expires
+                  <input type="date" value={v.expiresAt} onChange={(e) => updateList("vaccinations", i, "expiresAt", e.target.value)} />
+                </label>
+                <button type="button" onClick={() => removeFromList("vaccinations", i)}>Remove</button>
+                {fieldError(`vaccinations.${i}.type`)}
+                {fieldError(`vaccinations.${i}.givenAt`)}
+                {fieldError(`vaccinations.${i}.expiresAt`)}
+              </div>
+            ))}
+            <button type="button" onClick={() => addToList("vaccinations", EMPTY_VACCINATION)}>+ Vaccination</button>
+          </fieldset>
+
+          <label>
+            Allergies (comma separated)
+            <input
+              type="text"
+              value={draft.allergiesText}
+              onChange={(e) => setDraft((prev) => ({ ...prev, allergiesText: e.target.value }))}
+            />
+          </label>
+
+          <fieldset>
+            <legend>Medications</legend>
+            {draft.medications.map((m, i) => (
+              <div key={i}>
+                <input type="text" placeholder="Name" value={m.name} onChange={(e) => updateList("medications", i, "name", e.target.value)} />
+                <input type="text" placeholder="Dose" value={m.dose} onChange={(e) => updateList("medications", i, "dose", e.target.value)} />
+                <input type="text" placeholder="Instructions" value={m.instructions} onChange={(e) => updateList("medications", i, "instructions", e.target.value)} />
+                <button type="button" onClick={() => removeFromList("medications", i)}>Remove</button>
+                {fieldError(`medications.${i}.name`)}
+              </div>
+            ))}
+            <button type="button" onClick={() => addToList("medications", EMPTY_MEDICATION)}>+ Medication</button>
+          </fieldset>
+
+          <fieldset>
+            <legend>Vet</legend>
+            {[
+              ["name", "Vet name"],
+              ["clinic", "Clinic"],
+              ["phoneNumber", "Phone"],
+            ].map(([field, label]) => (
+              <div key={field}>
+                <label>
+                  {label}
+                  <input
+                    type="text"
+                    value={draft.vet[field]}
+                    onChange={(e) => setDraft((prev) => ({ ...prev, vet: { ...prev.vet, [field]: e.target.value } }))}
+                  />
+                </label>
+                {fieldError(`vet.${field}`)}
+              </div>
+            ))}
+          </fieldset>
+
+          <button type="submit" disabled={isSaving}>{isSaving ? "Saving..." : "Save health record"}</button>
+          <button type="button" onClick={() => setDraft(null)} disabled={isSaving}>Cancel</button>
+        </form>
+      )}
+    </div>
+  );
+}
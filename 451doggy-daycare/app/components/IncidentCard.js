@@ -0,0 +1,182 @@
+"use client";
+
+import { useState } from "react";
+import Link from "next/link";
+import { useSession } from "../context/SessionContext";
+import { PERMISSIONS } from "../lib/roles";
+import { toDateKey } from "../lib/dates";
+import { TYPE_LABELS, SEVERITY_LABELS, INCIDENT_STATUS, overdueFollowUps } from "../lib/incidentRules";
+
+const INCIDENTS_API_URL = "/api/incidents";
+
+const formatTime = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+
+// Sends a change to an incident route. Resolves to the updated incident.
+async function send(url, method, values) {
+  const resp = await fetch(url, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(values),
+  });
+  const body = await resp.json().catch(() => ({}));
+
+  if (!resp.ok) {
+    const fields = body.fields && Object.values(body.fields).join(", ");
+    throw new Error(fields || body.error || `Failed to save (Status: ${resp.status})`);
+  }
+  return body.incident;
+}
+
+// One incident report with its follow-ups, shared by DogDetails and the incidents dashboard.
+// dogNames maps chip numbers to names; onChange gets the incident after every saved change.
+export default function IncidentCard({ incident, dogNames = {}, onChange }) {
+  const [followUp, setFollowUp] = useState({ action: "", dueDate: "" });
+  const [resolution, setResolution] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const { can } = useSession();
+
+  const url = `${INCIDENTS_API_URL}/${encodeURIComponent(incident.id)}`;
+  const overdue = overdueFollowUps(incident, toDateKey(new Date()));
+  const isOpen = incident.status === INCIDENT_STATUS.OPEN;
+
+  const save = async (path, method, values) => {
+    try {
+      setIsSaving(true);
+      setError(null);
+      onChange(await send(`${url}${path}`, method, values));
+      return true;
+    } catch (err) {
+      console.error("Error saving incident:", err);
+      setError(err.message || "Failed to save incident");
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const addFollowUp = async (e) => {
+    e.preventDefault();
+    if (await save("/follow-ups", "POST", followUp)) setFollowUp({ action: "", dueDate: "" });
+  };
+
+  const dogLink = (chip) => <Link href={`/dogs/${chip}`}>{dogNames[chip] || chip}</Link>;
+
+  return (
+    <article>
+      <h4>
+        {incident.id} · {TYPE_LABELS[incident.type]} · {SEVERITY_LABELS[incident.severity]}
+        {isOpen ? " · open" : " · resolved"}
+      </h4>
+      <p>
+        {formatTime(incident.occurredAt)}, {dogLink(incident.chipNumber)}
+        {incident.involvedDogs.length > 0 && (
+          <>
+            {" "}
+            with{" "}
+            {incident.involvedDogs.map((chip, index) => (
+              <span key={chip}>
+                {index > 0 && ", "}
+                {dogLink(chip)}
+              </span>
+            ))}
+          </>
+        )}
+      </p>
+      <p>{incident.description}</p>
+      {incident.staff.length > 0 && <p>Staff: {incident.staff.join(", ")}</p>}
+      {incident.photos.length > 0 && (
+        <p>
+          {incident.photos.map((photo) => (
+            <a key={photo} href={photo} target="_blank" rel="noreferrer">
+              <img src={photo} alt={`Photo for ${incident.id}`} width="120" height="120" />
+            </a>
+          ))}
+        </p>
+      )}
+      <p>
+        <small>
+          Reported by {incident.reportedBy || "unknown"} on {formatTime(incident.reportedAt)}
+          {!isOpen && incident.resolvedAt && (
+            <>
+              , resolved by {incident.resolvedBy || "unknown"} on {formatTime(incident.resolvedAt)}
+            </>
+          )}
+        </small>
+      </p>
+      {!isOpen && incident.resolution && <p>Resolution: {incident.resolution}</p>}
+
+      {error && <p role="alert">{error}</p>}
+
+      {incident.followUps.length > 0 && (
+        <ul>
+          {incident.followUps.map((f) => (
+            <li key={f.id}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={f.done}
+                  disabled={isSaving || !can(PERMISSIONS.REPORT_INCIDENTS)}
+                  onChange={() => save(`/follow-ups/${encodeURIComponent(f.id)}`, "PUT", { done: !f.done })}
+                />
+                {f.action}
+              </label>
+              {f.dueDate && ` (due ${f.dueDate})`}
+              {overdue.includes(f) && <strong> overdue</strong>}
+              {f.done && f.doneAt && (
+                <small>
+                  {" "}
+                  done by {f.doneBy || "unknown"} {formatTime(f.doneAt)}
+                </small>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {isOpen && can(PERMISSIONS.REPORT_INCIDENTS) && (
+        <form onSubmit={addFollowUp}>
+          <label>
+            Follow-up
+            <input
+              type="text"
+              value={followUp.action}
+              onChange={(e) => setFollowUp((prev) => ({ ...prev, action: e.target.value }))}
+            />
+          </label>
+          <label>
+            Due
+            <input
+              type="date"
+              value={followUp.dueDate}
+              onChange={(e) => setFollowUp((prev) => ({ ...prev, dueDate: e.target.value }))}
+            />
+          </label>
+          <button type="submit" disabled={isSaving || !followUp.action.trim()}>
+            Add follow-up
+          </button>
+        </form>
+      )}
+
+      {can(PERMISSIONS.MANAGE_INCIDENTS) &&
+        (isOpen ? (
+          <div>
+            <label>
+              Resolution (optional)
+              <input type="text" value={resolution} onChange={(e) => setResolution(e.target.value)} />
+            </label>
+            <button
+              onClick={() => save("", "PUT", { status: INCIDENT_STATUS.RESOLVED, resolution })}
+              disabled={isSaving}
+            >
+              Mark resolved
+            </button>
+          </div>
+        ) : (
+          <button onClick={() => save("", "PUT", { status: INCIDENT_STATUS.OPEN })} disabled={isSaving}>
+            Reopen
+          </button>
+        ))}
+    </article>
+  );
+}
@@ -0,0 +1,283 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { useSession } from "../context/SessionContext";
+import { hasErrors, normalizeChipNumber } from "../lib/dogValidation";
+import { MAX_PAGE_SIZE } from "../lib/dogQueryRules";
+import { toDateKey } from "../lib/dates";
+import {
+  INCIDENT_TYPES,
+  TYPE_LABELS,
+  SEVERITIES,
+  SEVERITY_LABELS,
+  validateIncident,
+  validateFollowUp,
+} from "../lib/incidentRules";
+
+// Value for <input type="datetime-local">, in local time
+function toDateTimeInput(date) {
+  const d = new Date(date);
+  const hours = String(d.getHours()).padStart(2, "0");
+  const minutes = String(d.getMinutes()).padStart(2, "0");
+  return `${toDateKey(d)}T${hours}:${minutes}`;
+}
+
+// New incident or behaviour report on the dog with chipNumber.
+// onSaved gets the created incident.
+export default function IncidentForm({ chipNumber, onSaved, onCancel }) {
+  const { user } = useSession();
+  const [values, setValues] = useState(() => ({
+    type: INCIDENT_TYPES.SCUFFLE,
+    severity: "minor",
+    occurredAt: toDateTimeInput(new Date()),
+    description: "",
+    involvedDogs: [],
+    staff: user?.name || "",
+    photos: "",
+    followUp: "",
+  }));
+  const [otherDog, setOtherDog] = useState("");
+  const [dogs, setDogs] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Names for the "other dogs involved" picker
+  useEffect(() => {
+    fetch(`/api/dogs?limit=${MAX_PAGE_SIZE}`)
+      .then((resp) => (resp.ok ? resp.json() : { dogs: [] }))
+      .then((body) => setDogs(body.dogs.filter((dog) => dog.chipNumber !== chipNumber)))
+      .catch((err) => console.error("Error loading dogs:", err));
+  }, [chipNumber]);
+
+  const setField = (field, value) => {
+    setValues((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const setType = (type) => {
+    // A good-behaviour note is rarely "serious", start it at none
+    setValues((prev) => ({
+      ...prev,
+      type,
+      severity: type === INCIDENT_TYPES.GOOD_BEHAVIOUR ? "none" : prev.severity,
+    }));
+  };
+
+  const addOtherDog = () => {
+    // Accepts a chip number or a name from the list
+    const byName = dogs.find((dog) => dog.name.toLowerCase() === otherDog.trim().toLowerCase());
+    const chip = byName ? byName.chipNumber : normalizeChipNumber(otherDog);
+    if (chip && !values.involvedDogs.includes(chip)) {
+      setField("involvedDogs", [...values.involvedDogs, chip]);
+    }
+    setOtherDog("");
+  };
+
+  const nameOf = (chip) => dogs.find((dog) => dog.chipNumber === chip)?.name;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const input = {
+      type: values.type,
+      severity: values.severity,
+      occurredAt: values.occurredAt && new Date(values.occurredAt).toISOString(),
+      description: values.description,
+      involvedDogs: values.involvedDogs,
+      staff: values.staff.split(","),
+      photos: values.photos.split("\n"),
+      followUps: values.followUp.trim() ? [{ action: values.followUp }] : [],
+    };
+
+    // Same rules as the server, checked here first so staff get instant feedback
+    const fieldErrors = validateIncident({ ...input, chipNumber }).errors;
+    if (input.followUps[0]) {
+      for (const [field, message] of Object.entries(validateFollowUp(input.followUps[0]).errors)) {
+        fieldErrors[`followUps.0.${field}`] = message;
+      }
+    }
+    setErrors(fieldErrors);
+    if (hasErrors(fieldErrors)) return;
+
+    try {
+      setIsSaving(true);
+      setError(null);
+
+      const resp = await fetch(`/api/dogs/${encodeURIComponent(chipNumber)}/incidents`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(input),
+      });
+      const body = await resp.json().catch(() => ({}));
+
+      if (resp.status === 400 && body.fields) {
+        setErrors(body.fields);
+        return;
+      }
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to save incident (Status: ${resp.status})`);
+      }
+      onSaved(body.incident);
+    } catch (err) {
+      console.error("Error saving incident:", err);
+      setError(err.message || "Failed to save incident");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const fieldError = (field) =>
+    errors[field] && (
+      <span role="alert" id={`${field}-error`}>
+        {errors[field]}
+      </span>
+    );
+
+  return (
+    <form onSubmit={handleSubmit} noValidate>
+      <h4>Report an incident</h4>
+
+      {error && <p role="alert">{error}</p>}
+
+      <div>
+        <label>
+          What happened
+          <select value={values.type} onChange={(e) => setType(e.target.value)}>
+            {Object.values(INCIDENT_TYPES).map((type) => (
+              <option key={type} value={type}>
+                {TYPE_LABELS[type]}
+              </option>
+            ))}
+          </select>
+        </label>
+        {fieldError("type")}
+      </div>
+
+      <div>
+        <label>
+          Severity
+          <select value={values.severity} onChange={(e) => setField("severity", e.target.value)}>
+            {SEVERITIES.map((severity) => (
+              <option key={severity} value={severity}>
+                {SEVERITY_LABELS[severity]}
+              </option>
+            ))}
+          </select>
+        </label>
+        {fieldError("severity")}
+      </div>
+
+      <div>
+        <label>
+          When
+          <input
+            type="datetime-local"
+            value={values.occurredAt}
+            onChange={(e) => setField("occurredAt", e.target.value)}
+            aria-invalid={!!errors.occurredAt}
+          />
+        </label>
+        {fieldError("occurredAt")}
+      </div>
+
+      <div>
+        <label>
+          Description
+          <textarea
+            rows={4}
+            value={values.description}
+            onChange={(e) => setField("description", e.target.value)}
+            aria-invalid={!!errors.description}
+          />
+        </label>
+        {fieldError("description")}
+      </div>
+
+      <div>
+        <label>
+          Other dogs involved
+          <input
+            type="text"
+            list="incident-dogs"
+            value={otherDog}
+            placeholder="Name or chip number"
+            onChange={(e) => setOtherDog(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") {
+                e.preventDefault();
+                addOtherDog();
+              }
+            }}
+          />
+        </label>
+        <datalist id="incident-dogs">
+          {dogs.map((dog) => (
+            <option key={dog.chipNumber} value={dog.name}>
+              {dog.chipNumber}
+            </option>
+          ))}
+        </datalist>
+        <button type="button" onClick={addOtherDog} disabled={!otherDog.trim()}>
+          Add
+        </button>
+        {values.involvedDogs.length > 0 && (
+          <ul>
+            {values.involvedDogs.map((chip) => (
+              <li key={chip}>
+                {nameOf(chip) ? `${nameOf(chip)} (${chip})` : chip}{" "}
+                <button
+                  type="button"
+                  onClick={() => setField("involvedDogs", values.involvedDogs.filter((c) => c !== chip))}
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        {fieldError("involvedDogs")}
+      </div>
+
+      <div>
+        <label>
+          Staff involved (separate names with commas)
+          <input type="text" value={values.staff} onChange={(e) => setField("staff", e.target.value)} />
+        </label>
+        {fieldError("staff")}
+      </div>
+
+      <div>
+        <label>
+          Photo links (one per line, optional)
+          <textarea
+            rows={2}
+            value={values.photos}
+            onChange={(e) => setField("photos", e.target.value)}
+            aria-invalid={!!errors.photos}
+          />
+        </label>
+        {fieldError("photos")}
+      </div>
+
+      <div>
+        <label>
+          Follow-up action (optional)
+          <input
+            type="text"
+            value={values.followUp}
+            placeholder="e.g. Call the owner, check the wound tomorrow"
+            onChange={(e) => setField("followUp", e.target.value)}
+          />
+        </label>
+        {fieldError("followUps.0.action")}
+      </div>
+
+      <button type="submit" disabled={isSaving}>
+        {isSaving ? "Saving..." : "Save report"}
+      </button>
+      <button type="button" onClick={onCancel} disabled={isSaving}>
+        Cancel
+      </button>
+    </form>
+  );
+}
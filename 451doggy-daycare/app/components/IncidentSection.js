@@ -0,0 +1,84 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useSession } from "../context/SessionContext";
+import { PERMISSIONS } from "../lib/roles";
+import IncidentCard from "./IncidentCard";
+import IncidentForm from "./IncidentForm";
+
+const INCIDENTS_URL = (chipNumber) => `/api/dogs/${encodeURIComponent(chipNumber)}/incidents`;
+
+// Incident and behaviour reports on DogDetails, including the ones written on another dog
+// that this dog was part of
+export default function IncidentSection({ chipNumber }) {
+  const [incidents, setIncidents] = useState([]);
+  const [dogNames, setDogNames] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isReporting, setIsReporting] = useState(false);
+  const { can } = useSession();
+
+  const fetchIncidents = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const res = await fetch(INCIDENTS_URL(chipNumber));
+      const body = await res.json().catch(() => ({}));
+
+      if (!res.ok) {
+        throw new Error(body.error || `Failed to load incidents (Status: ${res.status})`);
+      }
+      setIncidents(body.incidents);
+      setDogNames(body.dogNames);
+    } catch (err) {
+      console.error("Error fetching incidents:", err);
+      setError(err.message || "Failed to load incidents");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [chipNumber]);
+
+  useEffect(() => {
+    fetchIncidents();
+  }, [fetchIncidents]);
+
+  const replaceIncident = (updated) => {
+    setIncidents((prev) => prev.map((i) => (i.id === updated.id ? updated : i)));
+  };
+
+  if (isLoading && incidents.length === 0) return <div>Loading incidents...</div>;
+
+  return (
+    <div>
+      <h3>Incidents and behaviour</h3>
+
+      {error && (
+        <p role="alert">
+          {error} <button onClick={fetchIncidents}>Try Again</button>
+        </p>
+      )}
+
+      {can(PERMISSIONS.REPORT_INCIDENTS) &&
+        (isReporting ? (
+          <IncidentForm
+            chipNumber={chipNumber}
+            onSaved={() => {
+              setIsReporting(false);
+              // Reload for the names of the other dogs involved
+              fetchIncidents();
+            }}
+            onCancel={() => setIsReporting(false)}
+          />
+        ) : (
+          <button onClick={() => setIsReporting(true)}>Report an incident</button>
+        ))}
+
+      {!error && incidents.length === 0 && <p>Nothing reported.</p>}
+
+      {incidents.map((incident) => (
+        <IncidentCard key={incident.id} incident={incident} dogNames={dogNames} onChange={replaceIncident} />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,146 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { NOTIFICATION_EVENTS, EVENT_LABELS, CHANNELS, CHANNEL_LABELS } from "../lib/notificationRules";
+
+const formatTime = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+
+// Which messages an owner gets on which channel. url answers GET { preferences, deliveries? }
+// and PUT { email: [event], sms: [event] }; the owner page and the portal use different ones.
+// Deliveries, when the url sends them, are listed under the choices.
+export default function NotificationPreferences({ url, canEdit = true }) {
+  const [preferences, setPreferences] = useState(null);
+  const [deliveries, setDeliveries] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchPreferences = useCallback(async () => {
+    try {
+      setError(null);
+      const resp = await fetch(url);
+      const body = await resp.json().catch(() => ({}));
+
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to load notification settings (Status: ${resp.status})`);
+      }
+      setPreferences(body.preferences);
+      setDeliveries(body.deliveries || null);
+    } catch (err) {
+      console.error("Error fetching notification settings:", err);
+      setError(err.message || "Failed to load notification settings");
+    }
+  }, [url]);
+
+  useEffect(() => {
+    fetchPreferences();
+  }, [fetchPreferences]);
+
+  const toggle = (channel, event) => {
+    setSaved(false);
+    setPreferences((prev) => ({
+      ...prev,
+      [channel]: prev[channel].includes(event)
+        ? prev[channel].filter((e) => e !== event)
+        : [...prev[channel], event],
+    }));
+  };
+
+  const save = async () => {
+    try {
+      setIsSaving(true);
+      setError(null);
+
+      const resp = await fetch(url, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(preferences),
+      });
+      const body = await resp.json().catch(() => ({}));
+
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to save notification settings (Status: ${resp.status})`);
+      }
+      setPreferences(body.preferences);
+      setSaved(true);
+    } catch (err) {
+      console.error("Error saving notification settings:", err);
+      setError(err.message || "Failed to save notification settings");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <section>
+      <h2>Notifications</h2>
+
+      {error && (
+        <p role="alert">
+          {error} <button onClick={fetchPreferences}>Try Again</button>
+        </p>
+      )}
+
+      {!preferences && !error && <div>Loading...</div>}
+
+      {preferences && (
+        <>
+          <table>
+            <thead>
+              <tr>
+                <th>Message</th>
+                {Object.values(CHANNELS).map((channel) => (
+                  <th key={channel}>{CHANNEL_LABELS[channel]}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {Object.values(NOTIFICATION_EVENTS).map((event) => (
+                <tr key={event}>
+                  <td>{EVENT_LABELS[event]}</td>
+                  {Object.values(CHANNELS).map((channel) => (
+                    <td key={channel}>
+                      <input
+                        type="checkbox"
+                        aria-label={`${EVENT_LABELS[event]} by ${CHANNEL_LABELS[channel].toLowerCase()}`}
+                        checked={preferences[channel].includes(event)}
+                        onChange={() => toggle(channel, event)}
+                        disabled={!canEdit || isSaving}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {canEdit && (
+            <button onClick={save} disabled={isSaving}>
+              {isSaving ? "Saving..." : "Save notification settings"}
+            </button>
+          )}
+          {saved && <span role="status"> Saved.</span>}
+        </>
+      )}
+
+      {deliveries && (
+        <>
+          <h3>Recent messages</h3>
+          {deliveries.length === 0 ? (
+            <p>No messages sent yet.</p>
+          ) : (
+            <ul>
+              {deliveries.map((d) => (
+                <li key={d.id}>
+                  {formatTime(d.createdAt)} · {EVENT_LABELS[d.event]} by {CHANNEL_LABELS[d.channel].toLowerCase()}
+                  {d.to && ` to ${d.to}`}: {d.status}
+                  {d.error && ` (${d.error})`}
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,157 @@
+"use client";
+
+import { useState } from "react";
+import { hasErrors } from "../lib/dogValidation";
+import { validateOwner, EMPTY_OWNER, EMPTY_EMERGENCY_CONTACT, MAX_EMERGENCY_CONTACTS } from "../lib/ownerRules";
+
+// Shared by the "New owner" page and the edit mode on the owner page.
+// onSubmit gets the cleaned owner and resolves to field errors from the server (or nothing).
+export default function OwnerForm({ initialOwner, submitLabel = "Save", onSubmit, onCancel }) {
+  const [values, setValues] = useState(() => ({
+    ...EMPTY_OWNER,
+    ...initialOwner,
+    emergencyContacts: initialOwner?.emergencyContacts?.map((c) => ({ ...c })) || [],
+  }));
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  const setField = (field, value) => {
+    setValues((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const setContactField = (index, field, value) => {
+    setValues((prev) => ({
+      ...prev,
+      emergencyContacts: prev.emergencyContacts.map((c, i) => (i === index ? { ...c, [field]: value } : c)),
+    }));
+  };
+
+  const addContact = () => {
+    setValues((prev) => ({ ...prev, emergencyContacts: [...prev.emergencyContacts, { ...EMPTY_EMERGENCY_CONTACT }] }));
+  };
+
+  const removeContact = (index) => {
+    setValues((prev) => ({ ...prev, emergencyContacts: prev.emergencyContacts.filter((_, i) => i !== index) }));
+    // Error keys carry the row index, so they would point at the wrong rows now
+    setErrors({});
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Same rules as the server, checked here first so staff get instant feedback
+    const { owner, errors: fieldErrors } = validateOwner(values);
+    setErrors(fieldErrors);
+    if (hasErrors(fieldErrors)) return;
+
+    try {
+      setIsSaving(true);
+      const serverErrors = await onSubmit(owner);
+      if (serverErrors) setErrors(serverErrors);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const fieldError = (field) =>
+    errors[field] && (
+      <span role="alert" id={`${field}-error`}>
+        {errors[field]}
+      </span>
+    );
+
+  const input = (field, label, type = "text") => (
+    <div>
+      <label>
+        {label}
+        <input
+          type={type}
+          value={values[field]}
+          onChange={(e) => setField(field, e.target.value)}
+          aria-invalid={!!errors[field]}
+        />
+      </label>
+      {fieldError(field)}
+    </div>
+  );
+
+  return (
+    <form onSubmit={handleSubmit} noValidate>
+      {input("name", "First name")}
+      {input("lastName", "Last name")}
+      {input("phoneNumber", "Phone", "tel")}
+      {input("email", "Email (optional)", "email")}
+
+      <div>
+        <label>
+          Address (optional)
+          <textarea
+            rows={3}
+            value={values.address}
+            onChange={(e) => setField("address", e.target.value)}
+            aria-invalid={!!errors.address}
+          />
+        </label>
+        {fieldError("address")}
+      </div>
+
+      <fieldset>
+        <legend>Emergency contacts</legend>
+        {values.emergencyContacts.length === 0 && <p>No emergency contacts yet.</p>}
+
+        {values.emergencyContacts.map((contact, index) => (
+          <div key={index}>
+            <label>
+              Name
+              <input
+                type="text"
+                value={contact.name}
+                onChange={(e) => setContactField(index, "name", e.target.value)}
+                aria-invalid={!!errors[`emergencyContacts.${index}.name`]}
+              />
+            </label>
+            {fieldError(`emergencyContacts.${index}.name`)}
+            <label>
+              Relationship
+              <input
+                type="text"
+                value={contact.relationship}
+                placeholder="e.g. neighbour"
+                onChange={(e) => setContactField(index, "relationship", e.target.value)}
+              />
+            </label>
+            <label>
+              Phone
+              <input
+                type="tel"
+                value={contact.phoneNumber}
+                onChange={(e) => setContactField(index, "phoneNumber", e.target.value)}
+                aria-invalid={!!errors[`emergencyContacts.${index}.phoneNumber`]}
+              />
+            </label>
+            {fieldError(`emergencyContacts.${index}.phoneNumber`)}
+            <button type="button" onClick={() => removeContact(index)}>
+              Remove
+            </button>
+          </div>
+        ))}
+
+        {values.emergencyContacts.length < MAX_EMERGENCY_CONTACTS && (
+          <button type="button" onClick={addContact}>
+            + Add emergency contact
+          </button>
+        )}
+        {fieldError("emergencyContacts")}
+      </fieldset>
+
+      <button type="submit" disabled={isSaving}>
+        {isSaving ? "Saving..." : submitLabel}
+      </button>
+      {onCancel && (
+        <button type="button" onClick={onCancel} disabled={isSaving}>
+          Cancel
+        </button>
+      )}
+    </form>
+  );
+}
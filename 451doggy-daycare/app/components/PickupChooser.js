@@ -0,0 +1,117 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { OWNER_PICKUP_ID, describePickupPerson } from "../lib/pickupRules";
+
+const PICKUPS_URL = (chipNumber) => `/api/dogs/${encodeURIComponent(chipNumber)}/pickups`;
+// The radio value for a person who is not on the dog's list
+const SOMEONE_ELSE = "someone-else";
+
+// "Who is collecting?" at check-out, on DogDetails and the kiosk.
+// onChange gets the pickup to send with the check-out ({ personId, pin } or { name } for someone
+// not on the list, which the server refuses and logs), or null while nothing usable is chosen.
+export default function PickupChooser({ chipNumber, owner, onChange }) {
+  const [people, setPeople] = useState([]);
+  const [error, setError] = useState(null);
+  const [choice, setChoice] = useState("");
+  const [pin, setPin] = useState("");
+  const [otherName, setOtherName] = useState("");
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    (async () => {
+      try {
+        const res = await fetch(PICKUPS_URL(chipNumber));
+        const body = await res.json().catch(() => ({}));
+        if (!res.ok) {
+          throw new Error(body.error || `Failed to load pickup people (Status: ${res.status})`);
+        }
+        if (isCurrent) setPeople(body.people);
+      } catch (err) {
+        console.error("Error fetching pickup people:", err);
+        if (isCurrent) setError(err.message || "Failed to load pickup people");
+      }
+    })();
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [chipNumber]);
+
+  const chosenPerson = people.find((person) => person.id === choice);
+
+  useEffect(() => {
+    if (choice === OWNER_PICKUP_ID) onChange({ personId: OWNER_PICKUP_ID });
+    else if (choice === SOMEONE_ELSE) onChange(otherName.trim() ? { name: otherName.trim() } : null);
+    else if (chosenPerson) onChange(!chosenPerson.hasPin || pin ? { personId: chosenPerson.id, pin } : null);
+    else onChange(null);
+  }, [choice, pin, otherName, chosenPerson, onChange]);
+
+  return (
+    <fieldset>
+      <legend>Who is collecting the dog?</legend>
+      {error && <p role="alert">{error}</p>}
+
+      <label>
+        <input
+          type="radio"
+          name={`pickup-${chipNumber}`}
+          checked={choice === OWNER_PICKUP_ID}
+          onChange={() => setChoice(OWNER_PICKUP_ID)}
+        />
+        {owner.name} {owner.lastName} (owner)
+      </label>
+
+      {people.map((person) => (
+        <label key={person.id}>
+          <input
+            type="radio"
+            name={`pickup-${chipNumber}`}
+            checked={choice === person.id}
+            onChange={() => {
+              setChoice(person.id);
+              setPin("");
+            }}
+          />
+          {person.photo && <img src={person.photo} alt={`Photo of ${person.name}`} width="48" height="48" />}
+          {describePickupPerson(person)}
+          {person.hasPin && " – PIN required"}
+        </label>
+      ))}
+
+      <label>
+        <input
+          type="radio"
+          name={`pickup-${chipNumber}`}
+          checked={choice === SOMEONE_ELSE}
+          onChange={() => setChoice(SOMEONE_ELSE)}
+        />
+        Someone not on the list
+      </label>
+
+      {chosenPerson?.hasPin && (
+        <label>
+          PIN
+          <input
+            type="password"
+            inputMode="numeric"
+            autoComplete="off"
+            value={pin}
+            onChange={(e) => setPin(e.target.value)}
+          />
+        </label>
+      )}
+
+      {choice === SOMEONE_ELSE && (
+        <>
+          <label>
+            Their name
+            <input type="text" value={otherName} onChange={(e) => setOtherName(e.target.value)} />
+          </label>
+          <p role="alert">Do not hand the dog over. Checking out will be refused and the attempt logged.</p>
+        </>
+      )}
+    </fieldset>
+  );
+}
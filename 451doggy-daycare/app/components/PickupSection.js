@@ -0,0 +1,177 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useSession } from "../context/SessionContext";
+import { PERMISSIONS } from "../lib/roles";
+import { describePickupPerson } from "../lib/pickupRules";
+
+const PICKUPS_URL = (chipNumber) => `/api/dogs/${encodeURIComponent(chipNumber)}/pickups`;
+
+const EMPTY_PERSON = { name: "", relationship: "", phoneNumber: "", photo: "", pin: "" };
+
+// How many refused pickups DogDetails lists
+const MAX_REFUSALS_SHOWN = 10;
+
+// Authorised pickup people and refused pickups on DogDetails.
+// refreshKey reloads the list, e.g. after a check-out was refused.
+export default function PickupSection({ chipNumber, refreshKey }) {
+  const [people, setPeople] = useState([]);
+  const [refusals, setRefusals] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const { can } = useSession();
+
+  const fetchPickups = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const res = await fetch(PICKUPS_URL(chipNumber));
+      const body = await res.json().catch(() => ({}));
+
+      if (!res.ok) {
+        throw new Error(body.error || `Failed to load pickup people (Status: ${res.status})`);
+      }
+      setPeople(body.people);
+      setRefusals(body.refusals);
+    } catch (err) {
+      console.error("Error fetching pickup people:", err);
+      setError(err.message || "Failed to load pickup people");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [chipNumber]);
+
+  useEffect(() => {
+    fetchPickups();
+  }, [fetchPickups, refreshKey]);
+
+  const addPerson = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setError(null);
+      setFieldErrors({});
+
+      const res = await fetch(PICKUPS_URL(chipNumber), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(draft),
+      });
+      const body = await res.json().catch(() => ({}));
+
+      if (res.status === 400 && body.fields) {
+        setFieldErrors(body.fields);
+        return;
+      }
+      if (!res.ok) {
+        throw new Error(body.error || `Failed to save pickup person (Status: ${res.status})`);
+      }
+
+      setPeople((prev) => [...prev, body.person]);
+      setDraft(null);
+    } catch (err) {
+      console.error("Error saving pickup person:", err);
+      setError(err.message || "Failed to save pickup person");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const removePerson = async (person) => {
+    if (!window.confirm(`Remove ${person.name} from the people allowed to collect this dog?`)) return;
+
+    try {
+      setError(null);
+
+      const res = await fetch(`${PICKUPS_URL(chipNumber)}/${encodeURIComponent(person.id)}`, { method: "DELETE" });
+      const body = await res.json().catch(() => ({}));
+
+      if (!res.ok) {
+        throw new Error(body.error || `Failed to remove pickup person (Status: ${res.status})`);
+      }
+      setPeople((prev) => prev.filter((p) => p.id !== person.id));
+    } catch (err) {
+      console.error("Error removing pickup person:", err);
+      setError(err.message || "Failed to remove pickup person");
+    }
+  };
+
+  const fieldError = (field) => fieldErrors[field] && <span role="alert">{fieldErrors[field]}</span>;
+
+  if (isLoading && people.length === 0) return <div>Loading pickup people...</div>;
+
+  return (
+    <div>
+      <h3>Pickup</h3>
+
+      {error && <p role="alert">{error}</p>}
+
+      <p>The owner may always collect the dog. Also allowed:</p>
+      {people.length === 0 ? (
+        <p>Nobody else.</p>
+      ) : (
+        <ul>
+          {people.map((person) => (
+            <li key={person.id}>
+              {person.photo && <img src={person.photo} alt={`Photo of ${person.name}`} width="64" height="64" />}
+              {describePickupPerson(person)}
+              {person.phoneNumber && ` – ${person.phoneNumber}`}
+              {person.hasPin && " – PIN set"}
+              {can(PERMISSIONS.EDIT_DOGS) && <button onClick={() => removePerson(person)}>Remove</button>}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {can(PERMISSIONS.EDIT_DOGS) && !draft && (
+        <button onClick={() => { setFieldErrors({}); setDraft(EMPTY_PERSON); }}>+ Pickup person</button>
+      )}
+
+      {draft && (
+        <form onSubmit={addPerson} noValidate>
+          {[
+            ["name", "Name", "text"],
+            ["relationship", "Relationship", "text"],
+            ["phoneNumber", "Phone", "tel"],
+            ["photo", "Photo link (optional)", "text"],
+            ["pin", "PIN, 4-6 digits (optional)", "password"],
+          ].map(([field, label, type]) => (
+            <div key={field}>
+              <label>
+                {label}
+                <input
+                  type={type}
+                  value={draft[field]}
+                  onChange={(e) => setDraft((prev) => ({ ...prev, [field]: e.target.value }))}
+                  autoComplete="off"
+                />
+              </label>
+              {fieldError(field)}
+            </div>
+          ))}
+          <button type="submit" disabled={isSaving}>{isSaving ? "Saving..." : "Add pickup person"}</button>
+          <button type="button" onClick={() => setDraft(null)} disabled={isSaving}>Cancel</button>
+        </form>
+      )}
+
+      {refusals.length > 0 && (
+        <>
+          <h4>Refused pickups</h4>
+          <ul>
+            {refusals.slice(0, MAX_REFUSALS_SHOWN).map((refusal) => (
+              <li key={refusal.id}>
+                {new Date(refusal.at).toLocaleString()}: {refusal.reason}
+                {refusal.staff && <> (recorded by {refusal.staff})</>}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
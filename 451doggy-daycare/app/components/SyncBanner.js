@@ -0,0 +1,64 @@
+"use client";
+
+import { useState } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { useDogStatus } from "../context/DogStatusContext";
+
+const statusLabel = (status) => (status === null ? "not recorded" : status);
+
+// Offline/sync state of the status queue, shown on every page
+export default function SyncBanner() {
+  const { isOnline, isSyncing, queuedDogs, syncConflicts, resolveConflict, syncNow } = useDogStatus();
+  const router = useRouter();
+  // { chipNumber, error } when sending this device's status again was refused
+  const [resolveError, setResolveError] = useState(null);
+  const queuedCount = Object.keys(queuedDogs).length;
+
+  // A check-out that can no longer go through without a pickup is finished on the dog's page
+  const keepMine = async (chipNumber) => {
+    setResolveError(null);
+    const result = await resolveConflict(chipNumber, true);
+    if (result.pickupRequired) router.push(`/dogs/${encodeURIComponent(chipNumber)}`);
+    else if (!result.ok) setResolveError({ chipNumber, error: result.error });
+  };
+
+  if (isOnline && queuedCount === 0 && syncConflicts.length === 0 && !resolveError) return null;
+
+  return (
+    <div role="status">
+      {!isOnline && <p>You are offline. Status changes are saved on this device and sent when the connection returns.</p>}
+
+      {queuedCount > 0 && (
+        <p>
+          {queuedCount} {queuedCount === 1 ? "dog has" : "dogs have"} changes waiting to sync.{" "}
+          {isSyncing ? (
+            "Syncing..."
+          ) : (
+            isOnline && <button onClick={syncNow}>Sync now</button>
+          )}
+        </p>
+      )}
+
+      {syncConflicts.map((conflict) => (
+        <div key={conflict.chipNumber} role="alert">
+          <p>
+            Sync conflict for <Link href={`/dogs/${conflict.chipNumber}`}>{conflict.chipNumber}</Link>: this
+            device marked the dog {conflict.wantedStatus} at{" "}
+            {new Date(conflict.occurredAt).toLocaleTimeString()}, but someone else changed it to{" "}
+            {statusLabel(conflict.serverStatus)} in the meantime.
+          </p>
+          <button onClick={() => resolveConflict(conflict.chipNumber, false)}>Keep {statusLabel(conflict.serverStatus)}</button>
+          <button onClick={() => keepMine(conflict.chipNumber)}>Mark {conflict.wantedStatus} anyway</button>
+        </div>
+      ))}
+
+      {resolveError && (
+        <p role="alert">
+          Could not mark <Link href={`/dogs/${resolveError.chipNumber}`}>{resolveError.chipNumber}</Link> again:{" "}
+          {resolveError.error} <button onClick={() => setResolveError(null)}>Dismiss</button>
+        </p>
+      )}
+    </div>
+  );
+}
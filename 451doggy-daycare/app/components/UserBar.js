@@ -0,0 +1,27 @@
+"use client";
+
+import { useRouter } from "next/navigation";
+import { useSession } from "../context/SessionContext";
+import { ROLE_LABELS, OWNER_ROLE } from "../lib/roles";
+
+// Shown on every page: who is logged in and a way out
+export default function UserBar() {
+  const { user, logout } = useSession();
+  const router = useRouter();
+
+  if (!user) return null;
+
+  const handleLogout = async () => {
+    await logout();
+    router.push(user.role === OWNER_ROLE ? "/portal/login" : "/login");
+  };
+
+  return (
+    <div>
+      <span>
+        Logged in as {user.name} ({ROLE_LABELS[user.role] || user.role})
+      </span>{" "}
+      <button onClick={handleLogout}>Log out</button>
+    </div>
+  );
+}
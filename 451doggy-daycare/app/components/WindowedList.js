@@ -0,0 +1,76 @@
+"use client";
+
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// Renders only the items near the viewport, so hundreds of dog cards stay smooth on slow tablets.
+// The page keeps its normal scrolling. Every row is as tall as the tallest item rendered so far,
+// starting at itemHeight, so items whose text wraps push the rows apart instead of overlapping.
+// onEndReached is called when the last items come into view (used to load the next page).
+export default function WindowedList({ items, itemHeight, getKey, renderItem, onEndReached, overscan = 3 }) {
+  const containerRef = useRef(null);
+  const observerRef = useRef(null);
+  const [range, setRange] = useState({ start: 0, end: 0 });
+  const [measuredHeight, setMeasuredHeight] = useState(0);
+  const rowHeight = Math.max(itemHeight, measuredHeight);
+
+  useEffect(() => {
+    const update = () => {
+      const container = containerRef.current;
+      if (!container) return;
+
+      // How far the top of the list is above (negative) or below the top of the screen
+      const top = container.getBoundingClientRect().top;
+      const start = Math.max(0, Math.floor(-top / rowHeight) - overscan);
+      const end = Math.min(items.length, Math.ceil((window.innerHeight - top) / rowHeight) + overscan);
+
+      setRange((prev) => (prev.start === start && prev.end === end ? prev : { start, end }));
+    };
+
+    update();
+    window.addEventListener("scroll", update, { passive: true });
+    window.addEventListener("resize", update);
+    return () => {
+      window.removeEventListener("scroll", update);
+      window.removeEventListener("resize", update);
+    };
+  }, [items.length, rowHeight, overscan]);
+
+  useEffect(() => {
+    if (onEndReached && items.length > 0 && range.end >= items.length) onEndReached();
+  }, [range.end, items.length, onEndReached]);
+
+  useEffect(() => () => observerRef.current?.disconnect(), []);
+
+  // Watches a rendered item's natural height, also when it changes later (an image loading,
+  // a status line appearing)
+  const measure = useCallback((element) => {
+    if (!element || typeof ResizeObserver === "undefined") return;
+
+    if (!observerRef.current) {
+      observerRef.current = new ResizeObserver((entries) => {
+        const tallest = Math.max(...entries.map((entry) => Math.ceil(entry.target.offsetHeight)));
+        setMeasuredHeight((prev) => Math.max(prev, tallest));
+      });
+    }
+    const observer = observerRef.current;
+    observer.observe(element);
+    return () => observer.unobserve(element);
+  }, []);
+
+  return (
+    <div ref={containerRef} role="list" style={{ position: "relative", height: items.length * rowHeight }}>
+      {items.slice(range.start, range.end).map((item, i) => (
+        <div
+          key={getKey(item)}
+          role="listitem"
+          style={{ position: "absolute", top: (range.start + i) * rowHeight, left: 0, right: 0 }}
+        >
+          {/* flow-root keeps the item's margins inside what is measured */}
+          <div ref={measure} style={{ display: "flow-root" }}>
+            {renderItem(item)}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,57 +1,429 @@
 // outside app routing naming convention descriptive 
 
 "use client";
-import { createContext, useState, useContext, useCallback } from "react";
+import { createContext, useState, useContext, useCallback, useEffect, useRef } from "react";
+import { STATUS } from "../lib/status";
+import { useSession } from "./SessionContext";
+import { OWNER_ROLE } from "../lib/roles";
+import { withRetry, responseError, isNetworkError } from "../lib/retry";
+import { enqueueStatusChange, listQueuedChanges, removeQueuedChange } from "../lib/offlineQueue";
 
 const DogStatusContext = createContext();
 
-// Add constants for status values to prevent typos
-export const STATUS = {
-  PRESENT: "present",
-  ABSENT: "absent",
-  ALL: "all",
-};
+// Status constants live in lib/status.js so the api routes can share them
+export { STATUS };
+
+const ATTENDANCE_API_URL = "/api/attendance";
+// Owners only get their own dogs' attendance
+const PORTAL_ATTENDANCE_API_URL = "/api/portal/attendance";
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 500; // ms, doubled on every retry
+const SYNC_INTERVAL = 30000; // ms, how often a waiting queue is retried while "online"
+const STREAM_API_URL = `${ATTENDANCE_API_URL}/stream`;
+// A pickup (and its PIN) is only ever sent straight to the server, never kept in the offline queue
+const OFFLINE_PICKUP_ERROR = "Checking a dog out with a pickup needs a connection, try again once this device is back online and synced";
+
+// Sends one change. Throws a responseError for http failures and a TypeError when offline.
+async function sendStatusChange(chipNumber, payload) {
+  const resp = await fetch(`${ATTENDANCE_API_URL}/${encodeURIComponent(chipNumber)}`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+
+  if (!resp.ok) {
+    const err = await responseError(resp, "Failed to update status");
+    // A 5xx can come after the change was saved. Sending it again is only safe with
+    // expectedStatus, which makes the server refuse a repeat instead of logging it twice.
+    if (!("expectedStatus" in payload)) err.retryable = false;
+    throw err;
+  }
+  return resp.json();
+}
+
+// { [chipNumber]: status } of the latest queued change per dog
+function summarizeQueue(changes) {
+  const queued = {};
+  for (const change of changes) queued[change.chipNumber] = change.status;
+  return queued;
+}
+
+// Sets or removes (status null/undefined = use the registry default) one dog's status
+function withStatus(statuses, chipNumber, status) {
+  const next = { ...statuses };
+  if (status === null || status === undefined) delete next[chipNumber];
+  else next[chipNumber] = status;
+  return next;
+}
 
 export function DogStatusProvider({ children }) {
   const [changedDogs, setChangedDogs] = useState({});
-  const [isUpdating, setIsUpdating] = useState(false);
+  const [isLoadingStatus, setIsLoadingStatus] = useState(true);
+  // { [chipNumber]: true } while that dog's change is being saved
+  const [pendingDogs, setPendingDogs] = useState({});
+  // { [chipNumber]: message } for the last failed change of each dog
+  const [statusErrors, setStatusErrors] = useState({});
   const [lastError, setLastError] = useState(null);
+  // Offline queue: { [chipNumber]: status } waiting to be sent, and changes the server refused
+  const [queuedDogs, setQueuedDogs] = useState({});
+  const [syncConflicts, setSyncConflicts] = useState([]);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [isOnline, setIsOnline] = useState(true);
+  const { user } = useSession();
+  // Refs so updateStatus can read the latest values without being recreated
+  const changedDogsRef = useRef(changedDogs);
+  const pendingRef = useRef(new Set());
+  const queueLengthRef = useRef(0);
+  const queuedDogsRef = useRef(queuedDogs);
+  const replayingRef = useRef(false);
+
+  useEffect(() => {
+    changedDogsRef.current = changedDogs;
+  }, [changedDogs]);
+
+  useEffect(() => {
+    queuedDogsRef.current = queuedDogs;
+  }, [queuedDogs]);
+
+  const statusUrl = user?.role === OWNER_ROLE ? PORTAL_ATTENDANCE_API_URL : ATTENDANCE_API_URL;
+
+  // Whatever is still waiting in the offline queue (also from before a reload)
+  const readQueue = useCallback(async () => {
+    if (typeof indexedDB === "undefined") return {};
+
+    try {
+      const changes = await listQueuedChanges();
+      queueLengthRef.current = changes.length;
+      const queued = summarizeQueue(changes);
+      setQueuedDogs(queued);
+      return queued;
+    } catch (err) {
+      console.error("Error reading offline queue:", err);
+      return {};
+    }
+  }, []);
+
+  // Load the saved attendance once so check-ins survive a refresh
+  const loadStatus = useCallback(async () => {
+    try {
+      setIsLoadingStatus(true);
+
+      const resp = await fetch(statusUrl);
+
+      if (!resp.ok) {
+        throw new Error(`Failed to load attendance (Status: ${resp.status})`);
+      }
+
+      const records = await resp.json();
+
+      // Server keeps { status, updatedAt } per dog, the UI only needs the status
+      const statuses = {};
+      for (const [chipNumber, record] of Object.entries(records)) {
+        statuses[chipNumber] = record.status;
+      }
+
+      // Queued changes are newer than what the server has
+      const queued = await readQueue();
+      setChangedDogs({ ...statuses, ...queued });
+    } catch (err) {
+      console.error("Error loading attendance:", err);
+      setLastError(err.message || "Failed to load attendance");
+
+      // Offline at startup: at least show what this device changed
+      const queued = await readQueue();
+      setChangedDogs((prev) => ({ ...prev, ...queued }));
+    } finally {
+      setIsLoadingStatus(false);
+    }
+  }, [statusUrl, readQueue]);
+
+  // Attendance is staff-only, so wait for a login and forget it again on logout
+  useEffect(() => {
+    if (user) {
+      loadStatus();
+    } else {
+      setChangedDogs({});
+      setIsLoadingStatus(false);
+    }
+  }, [user, loadStatus]);
+
+  // ------------------------------------------------------------------
+  // ================= LIVE UPDATES ===================================
+  // ------------------------------------------------------------------
+
+  // Changes made on other devices arrive over server-sent events. EventSource reconnects
+  // by itself; every (re)connect reloads the full status in case events were missed.
+  useEffect(() => {
+    if (!user || user.role === OWNER_ROLE || typeof EventSource === "undefined") return;
+
+    const source = new EventSource(STREAM_API_URL);
+    let hasConnected = false;
+
+    source.onopen = () => {
+      if (hasConnected) loadStatus();
+      hasConnected = true;
+    };
+
+    source.addEventListener("status", (e) => {
+      try {
+        const { chipNumber, status } = JSON.parse(e.data);
+        // This device's own unsent or in-flight change wins until it is synced
+        if (pendingRef.current.has(chipNumber) || chipNumber in queuedDogsRef.current) return;
+        setChangedDogs((prev) => (prev[chipNumber] === status ? prev : { ...prev, [chipNumber]: status }));
+      } catch (err) {
+        console.error("Error reading live status update:", err);
+      }
+    });
+
+    return () => source.close();
+  }, [user, loadStatus]);
+
+  // ------------------------------------------------------------------
+  // ================= OFFLINE QUEUE ==================================
+  // ------------------------------------------------------------------
+
+  const queueChange = useCallback(async (change) => {
+    await enqueueStatusChange(change);
+    queueLengthRef.current += 1;
+    setQueuedDogs((prev) => ({ ...prev, [change.chipNumber]: change.status }));
+  }, []);
+
+  // Sends queued changes in the order they were made. Stops at the first one that still
+  // cannot reach the server and leaves it (and everything after it) for the next try.
+  const replayQueue = useCallback(async () => {
+    if (replayingRef.current || !navigator.onLine) return;
+    replayingRef.current = true;
+    setIsSyncing(true);
+
+    try {
+      const changes = await listQueuedChanges();
+      const dropped = new Set();
+
+      for (const change of changes) {
+        const { id, chipNumber, status, note, override, undo, endOfDay, expectedStatus, occurredAt } = change;
+
+        // Later changes for a dog whose earlier change was refused were based on it, drop them too
+        if (!dropped.has(chipNumber)) {
+          try {
+            const record = await sendStatusChange(chipNumber, {
+              status,
+              note,
+              override,
+              undo,
+              endOfDay,
+              expectedStatus,
+              occurredAt,
+            });
+            setChangedDogs((prev) => ({ ...prev, [chipNumber]: record.status }));
+          } catch (err) {
+            // Still offline, server down or logged out: try again later
+            if (isNetworkError(err) || err.retryable || err.status === 401) break;
+
+            dropped.add(chipNumber);
+
+            if (err.status === 409) {
+              const serverStatus = err.body?.current?.status ?? null;
+              // The dog's last queued change, with what let it through (undo, endOfDay, override)
+              const wanted = changes.filter((c) => c.chipNumber === chipNumber).at(-1);
+
+              setChangedDogs((prev) => withStatus(prev, chipNumber, serverStatus));
+              setSyncConflicts((prev) => [
+                ...prev.filter((c) => c.chipNumber !== chipNumber),
+                {
+                  chipNumber,
+                  wantedStatus: wanted.status,
+                  serverStatus,
+                  occurredAt: wanted.occurredAt,
+                  options: { override: wanted.override, undo: wanted.undo, endOfDay: wanted.endOfDay },
+                },
+              ]);
+            } else {
+              // Refused for another reason (no permission, vaccination, capacity, pickup):
+              // the change never happened, so go back to what the dog had before it
+              console.error("Queued status change was refused:", err);
+              setChangedDogs((prev) => withStatus(prev, chipNumber, expectedStatus));
+              setStatusErrors((prev) => ({ ...prev, [chipNumber]: err.message }));
+            }
+          }
+        }
+
+        await removeQueuedChange(id);
+      }
+    } catch (err) {
+      console.error("Error syncing queued status changes:", err);
+    } finally {
+      const remaining = await listQueuedChanges().catch(() => []);
+      queueLengthRef.current = remaining.length;
+      setQueuedDogs(summarizeQueue(remaining));
+      replayingRef.current = false;
+      setIsSyncing(false);
+    }
+  }, []);
+
+  // Replay when the connection comes back, and every so often while something is waiting
+  useEffect(() => {
+    const updateOnline = () => setIsOnline(navigator.onLine);
+    updateOnline();
+    window.addEventListener("online", updateOnline);
+    window.addEventListener("offline", updateOnline);
+
+    if (!user || user.role === OWNER_ROLE) {
+      return () => {
+        window.removeEventListener("online", updateOnline);
+        window.removeEventListener("offline", updateOnline);
+      };
+    }
+
+    replayQueue();
+    window.addEventListener("online", replayQueue);
+    const interval = setInterval(() => {
+      if (queueLengthRef.current > 0) replayQueue();
+    }, SYNC_INTERVAL);
+
+    return () => {
+      window.removeEventListener("online", updateOnline);
+      window.removeEventListener("offline", updateOnline);
+      window.removeEventListener("online", replayQueue);
+      clearInterval(interval);
+    };
+  }, [user, replayQueue]);
 
   // Memoize the update function to prevent unnecessary re-renders
-  const updateStatus = useCallback((chipNumber, newStatus) => {
+  // Optimistic: the new status shows straight away. Without a connection the change is
+  // queued in IndexedDB and sent later; other failures roll it back after all retries.
+  // Resolves to { ok: true } when the server saved (or the device queued) the change,
+  // { ok: false, error, pickupRequired } otherwise. updateStatus and updateStatuses wrap this.
+  // The server records the logged-in staff member on the attendance event.
+  // override: true lets an admin check in a dog whose required vaccination has expired,
+  // or on a day that is already at capacity, or check one out without saying who collected it.
+  // pickup: { personId, pin } names who collects the dog when checking out (see lib/pickupRules.js).
+  // Such a check-out is refused rather than queued while offline.
+  // undo: true marks a check-out that takes back this staff member's own check-in of a few minutes ago,
+  // which needs no pickup.
+  // endOfDay: true marks a check-out by "Check out everyone" at closing, which admins may make without a pickup (BULK_CHECK_OUT).
+  // quiet: true keeps a failure out of lastError.
+  const changeStatus = useCallback(async (
+    chipNumber,
+    newStatus,
+    { note = "", override = false, pickup, undo = false, endOfDay = false, quiet = false } = {}
+  ) => {
     if (!chipNumber) {
       console.error("Invalid dog chipNumber provided to updateStatus");
       setLastError("Invalid dog identifier");
-      return false;
+      return { ok: false, error: "Invalid dog identifier" };
     }
 
-    try {
-      setIsUpdating(true);
+    // One change per dog at a time, other dogs can still be toggled meanwhile
+    if (pendingRef.current.has(chipNumber)) {
+      return { ok: false, error: "Another change for this dog is still being saved" };
+    }
 
-      // Update the local state - using chipNumber as the key
-      setChangedDogs((prev) => ({
-        ...prev,
-        [chipNumber]: newStatus,
-      }));
+    const previousStatus = changedDogsRef.current[chipNumber];
+    // What a queued change expects the server to still have when it is replayed
+    const change = {
+      chipNumber,
+      status: newStatus,
+      note,
+      override,
+      undo,
+      endOfDay,
+      expectedStatus: previousStatus ?? null,
+      occurredAt: new Date().toISOString(),
+    };
 
-      // Here you would typically also call an API to persist changes
-      // For now we're just simulating with a timeout
-      setTimeout(() => {
-        setIsUpdating(false);
-      }, 300);
+    pendingRef.current.add(chipNumber);
+    setPendingDogs((prev) => ({ ...prev, [chipNumber]: true }));
+    setStatusErrors(({ [chipNumber]: _cleared, ...rest }) => rest);
+    setChangedDogs((prev) => ({ ...prev, [chipNumber]: newStatus }));
+
+    try {
+      // Keep changes in order: while anything is waiting in the queue, new ones wait behind it
+      if (!navigator.onLine || queueLengthRef.current > 0) {
+        if (pickup) throw new Error(OFFLINE_PICKUP_ERROR);
+        await queueChange(change);
+        replayQueue();
+        return { ok: true };
+      }
 
-      return true;
+      try {
+        const record = await withRetry(
+          () => sendStatusChange(chipNumber, { status: newStatus, note, override, pickup, undo, endOfDay }),
+          { retries: MAX_RETRIES, baseDelay: RETRY_BASE_DELAY }
+        );
+
+        // Trust what the server stored - using chipNumber as the key
+        setChangedDogs((prev) => ({ ...prev, [chipNumber]: record.status }));
+        return { ok: true };
+      } catch (err) {
+        if (!isNetworkError(err)) throw err;
+        if (pickup) throw new Error(OFFLINE_PICKUP_ERROR);
+        // The connection dropped while sending: keep the change for later instead of undoing it
+        await queueChange(change);
+        return { ok: true };
+      }
     } catch (err) {
       console.error("Error updating dog status:", err);
-      setLastError(err.message || "Failed to update status");
-      setIsUpdating(false);
-      return false;
+      const message = err.message || "Failed to update status";
+
+      // Roll back to what was there before (nothing means "use the registry default")
+      setChangedDogs((prev) => withStatus(prev, chipNumber, previousStatus));
+      setStatusErrors((prev) => ({ ...prev, [chipNumber]: message }));
+      if (!quiet) setLastError(message);
+      return { ok: false, error: message, pickupRequired: !!err.body?.pickupRequired };
+    } finally {
+      pendingRef.current.delete(chipNumber);
+      setPendingDogs(({ [chipNumber]: _done, ...rest }) => rest);
     }
-  }, []);
+  }, [queueChange, replayQueue]);
+
+  // Resolves to true when the change was saved or queued, false otherwise
+  const updateStatus = useCallback(
+    async (chipNumber, newStatus, options) => (await changeStatus(chipNumber, newStatus, options)).ok,
+    [changeStatus]
+  );
+
+  // Bulk check-in/out: changes is [{ chipNumber, status, note?, undo?, endOfDay? }]. Sent one after another,
+  // so capacity fills up in the order staff picked the dogs and a failure does not stop the rest.
+  // Check-outs follow the same pickup rule as one dog at a time.
+  // Resolves to { succeeded: [chipNumber], failed: [{ chipNumber, error, pickupRequired }] }.
+  const updateStatuses = useCallback(async (changes) => {
+    const succeeded = [];
+    const failed = [];
+
+    for (const { chipNumber, status, note, undo, endOfDay } of changes) {
+      // A dog that fails is reported in the batch summary, not as a page-wide error
+      const result = await changeStatus(chipNumber, status, { note, undo, endOfDay, quiet: true });
+      if (result.ok) succeeded.push(chipNumber);
+      else failed.push({ chipNumber, error: result.error, pickupRequired: result.pickupRequired });
+    }
+
+    return { succeeded, failed };
+  }, [changeStatus]);
 
-  // Clear any errors in the context
-  const clearError = useCallback(() => {
+  // After a sync conflict staff either accept the server's status or send theirs again, with the
+  // undo, endOfDay or override of the original change. Resolves to what changeStatus
+  // resolved to, or { ok: true } when the server's status is kept. pickupRequired means the
+  // check-out can only go through by choosing who collected the dog on its page.
+  const resolveConflict = useCallback(async (chipNumber, keepMine) => {
+    const conflict = syncConflicts.find((c) => c.chipNumber === chipNumber);
+    setSyncConflicts((prev) => prev.filter((c) => c.chipNumber !== chipNumber));
+
+    if (!conflict || !keepMine) return { ok: true };
+    return changeStatus(chipNumber, conflict.wantedStatus, {
+      ...conflict.options,
+      note: "Re-applied after an offline sync conflict",
+      quiet: true,
+    });
+  }, [syncConflicts, changeStatus]);
+
+  const isPending = useCallback((chipNumber) => !!pendingDogs[chipNumber], [pendingDogs]);
+
+  // Clear any errors in the context (pass a chipNumber to also clear that dog's error)
+  const clearError = useCallback((chipNumber) => {
     setLastError(null);
+    if (chipNumber) {
+      setStatusErrors(({ [chipNumber]: _cleared, ...rest }) => rest);
+    }
   }, []);
 
   return (
@@ -59,7 +431,19 @@ export function DogStatusProvider({ children }) {
       value={{
         changedDogs,
         updateStatus,
-        isUpdating,
+        updateStatuses,
+        isUpdating: Object.keys(pendingDogs).length > 0,
+        pendingDogs,
+        isPending,
+        statusErrors,
+        queuedDogs,
+        syncConflicts,
+        resolveConflict,
+        isSyncing,
+        isOnline,
+        syncNow: replayQueue,
+        isLoadingStatus,
+        reloadStatus: loadStatus,
         lastError,
         clearError,
         STATUS, // Export constants through context
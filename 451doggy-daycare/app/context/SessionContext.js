@@ -0,0 +1,98 @@
+"use client";
+import { createContext, useState, useContext, useCallback, useEffect } from "react";
+import { can as roleCan } from "../lib/roles";
+
+const SessionContext = createContext();
+
+const AUTH_API_URL = "/api/auth";
+
+export function SessionProvider({ children }) {
+  const [user, setUser] = useState(null);
+  const [isLoadingSession, setIsLoadingSession] = useState(true);
+
+  // Ask the server who we are, the session cookie itself is httpOnly
+  const refreshSession = useCallback(async () => {
+    try {
+      setIsLoadingSession(true);
+      const resp = await fetch(`${AUTH_API_URL}/me`);
+      setUser(resp.ok ? (await resp.json()).user : null);
+    } catch (err) {
+      console.error("Error loading session:", err);
+      setUser(null);
+    } finally {
+      setIsLoadingSession(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshSession();
+  }, [refreshSession]);
+
+  // Resolves to null on success, otherwise an error message for the login form
+  const postLogin = useCallback(async (url, credentials) => {
+    try {
+      const resp = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(credentials),
+      });
+      const body = await resp.json().catch(() => ({}));
+
+      if (!resp.ok) {
+        return body.error || `Failed to log in (Status: ${resp.status})`;
+      }
+
+      setUser(body.user);
+      return null;
+    } catch (err) {
+      console.error("Error logging in:", err);
+      return err.message || "Failed to log in";
+    }
+  }, []);
+
+  const login = useCallback(
+    (username, password) => postLogin(`${AUTH_API_URL}/login`, { username, password }),
+    [postLogin]
+  );
+
+  // Owners log in to the portal with the phone number the daycare has on file
+  const loginOwner = useCallback(
+    (phoneNumber, password) => postLogin("/api/portal/login", { phoneNumber, password }),
+    [postLogin]
+  );
+
+  const logout = useCallback(async () => {
+    try {
+      await fetch(`${AUTH_API_URL}/logout`, { method: "POST" });
+    } catch (err) {
+      console.error("Error logging out:", err);
+    }
+    setUser(null);
+  }, []);
+
+  const can = useCallback((permission) => roleCan(user, permission), [user]);
+
+  return (
+    <SessionContext.Provider
+      value={{
+        user,
+        isLoadingSession,
+        login,
+        loginOwner,
+        logout,
+        refreshSession,
+        can,
+      }}
+    >
+      {children}
+    </SessionContext.Provider>
+  );
+}
+
+export function useSession() {
+  const context = useContext(SessionContext);
+  if (!context) {
+    throw new Error("useSession must be used within a SessionProvider");
+  }
+  return context;
+}
@@ -3,27 +3,58 @@
 import { useState, useEffect, useCallback } from "react";
 import { useRouter } from "next/navigation";
 import { useDogStatus } from "../../context/DogStatusContext";
+import { useSession } from "../../context/SessionContext";
+import { PERMISSIONS } from "../../lib/roles";
+import { parseListQuery, listQueryString } from "../../lib/dogQueryRules";
 import { use } from 'react';
 import styles from "../styles.module.css";
+import DogForm from "../../components/DogForm";
+import AttendanceTimeline from "../../components/AttendanceTimeline";
+import HealthSection from "../../components/HealthSection";
+import DogQrCode from "../../components/DogQrCode";
+import PickupChooser from "../../components/PickupChooser";
+import PickupSection from "../../components/PickupSection";
+import IncidentSection from "../../components/IncidentSection";
+import CareLogSection from "../../components/CareLogSection";
 
-export default function DogDetails({ params }) {
+export default function DogDetails({ params, searchParams }) {
   const unwrappedParams = use(params);
   const chipNumber = unwrappedParams.id;
+  // The Dog List's search, filter and sort, carried along so prev/next step through the same results
+  const listQs = listQueryString(parseListQuery(use(searchParams)));
+  const withListQuery = (path) => (listQs ? `${path}?${listQs}` : path);
   
   // ------------------------------------------------------
   // ============ Const declaration and initializations ======
   // ------------------------------------------------------
   const [dog, setDog] = useState(null);
-  const [allDogs, setAllDogs] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [nextDogId, setNextDogId] = useState(null);
   const [prevDogId, setPrevDogId] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const [isArchiving, setIsArchiving] = useState(false);
+  const [actionError, setActionError] = useState(null);
+  const [statusNote, setStatusNote] = useState("");
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [ownerInvite, setOwnerInvite] = useState(null);
+  const [vaccinationCheck, setVaccinationCheck] = useState(null);
+  // Who is collecting the dog, required for a check-out
+  const [pickup, setPickup] = useState(null);
   
-  const { changedDogs, updateStatus, isUpdating, STATUS } = useDogStatus();
+  const {
+    changedDogs,
+    updateStatus,
+    isPending,
+    statusErrors,
+    queuedDogs,
+    clearError,
+    STATUS,
+  } = useDogStatus();
+  const { can } = useSession();
   const router = useRouter();
 
-  const DOGS_API_URL = "https://majazocom.github.io/Data/dogs.json";
+  const DOGS_API_URL = "/api/dogs";
 
   // ------------------------------------------------------------------
   // ================= API FETCH ======================================
@@ -39,29 +70,26 @@ export default function DogDetails({ params }) {
       setIsLoading(true);
       setError(null);
       
-      const res = await fetch(DOGS_API_URL);
+      // Only this dog and its neighbours, not the whole registry
+      const res = await fetch(`${DOGS_API_URL}/${encodeURIComponent(chipNumber)}?${listQs}`);
       
+      if (res.status === 404) {
+        throw new Error(`Dog with ID ${chipNumber} not found`);
+      }
+
       if (!res.ok) {
         throw new Error(`Failed to fetch dog data (Status: ${res.status})`);
       }
       
-      const dogsData = await res.json();
+      const data = await res.json();
       
-      if (!Array.isArray(dogsData)) {
-        throw new Error("Invalid data format: expected an array of dogs");
+      if (!data || !data.dog) {
+        throw new Error("Invalid data format: expected a dog");
       }
       
-      setAllDogs(dogsData);
-      
-      const foundDog = dogsData.find(dog => dog.chipNumber === chipNumber);
-      
-      if (!foundDog) {
-        throw new Error(`Dog with ID ${chipNumber} not found`);
-      }
-      
-      setDog(foundDog);
-      
-      setupNavigation(dogsData, chipNumber);
+      setDog(data.dog);
+      setPrevDogId(data.prevChipNumber);
+      setNextDogId(data.nextChipNumber);
       
     } catch (err) {
       console.error("Error fetching dog:", err);
@@ -69,29 +97,15 @@ export default function DogDetails({ params }) {
     } finally {
       setIsLoading(false);
     }
-  }, [chipNumber]);
-
-  const setupNavigation = (dogs, currentChipNumber) => {
-    const dogIndex = dogs.findIndex(dog => dog.chipNumber === currentChipNumber);
-    
-    if (dogIndex > 0) {
-      setPrevDogId(dogs[dogIndex - 1].chipNumber);
-    } else {
-      setPrevDogId(null);
-    }
-    
-    if (dogIndex < dogs.length - 1) {
-      setNextDogId(dogs[dogIndex + 1].chipNumber);
-    } else {
-      setNextDogId(null);
-    }
-  };
+  }, [chipNumber, listQs]);
 
   useEffect(() => {
     fetchDogData();
   }, [fetchDogData]);
 
-  const toggleStatus = async () => {
+  // override is only offered to admins, for a dog whose required vaccination has expired,
+  // when the day is at capacity or to check a dog out without choosing who collected it
+  const toggleStatus = async ({ override = false } = {}) => {
     if (!dog) return;
     
     const currentPresent = dog.present === true;
@@ -101,7 +115,105 @@ export default function DogDetails({ params }) {
     
     const newStatus = currentStatus === STATUS.PRESENT ? STATUS.ABSENT : STATUS.PRESENT;
     
-    await updateStatus(dog.chipNumber, newStatus);
+    clearError(dog.chipNumber);
+    // The new status shows straight away, updateStatus rolls it back and sets
+    // statusErrors[chipNumber] if the save still fails after retrying
+    const success = await updateStatus(dog.chipNumber, newStatus, {
+      note: statusNote,
+      override,
+      pickup: newStatus === STATUS.ABSENT ? pickup : undefined,
+    });
+
+    if (success) {
+      setStatusNote("");
+      setHistoryVersion((v) => v + 1);
+    }
+  };
+
+  // ------------------------------------------------------
+  // ============ Edit and archive ========================
+  // ------------------------------------------------------
+
+  // Returns field errors to the form when the server rejects the change
+  const saveDog = async (changes) => {
+    try {
+      setActionError(null);
+
+      const res = await fetch(`${DOGS_API_URL}/${encodeURIComponent(chipNumber)}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(changes),
+      });
+
+      const body = await res.json().catch(() => ({}));
+
+      if (res.status === 400 && body.fields) {
+        return body.fields;
+      }
+
+      if (!res.ok) {
+        throw new Error(body.error || `Failed to save dog (Status: ${res.status})`);
+      }
+
+      setDog(body.dog);
+      setIsEditing(false);
+    } catch (err) {
+      console.error("Error saving dog:", err);
+      setActionError(err.message || "Failed to save dog");
+    }
+  };
+
+  // Archiving hides the dog from the list, its record and attendance stay
+  const setArchived = async (archived) => {
+    if (archived && !window.confirm(`Archive ${dog.name}? The dog will no longer show in the dog list.`)) {
+      return;
+    }
+
+    try {
+      setIsArchiving(true);
+      setActionError(null);
+
+      const res = await fetch(`${DOGS_API_URL}/${encodeURIComponent(chipNumber)}/archive`, {
+        method: archived ? "POST" : "DELETE",
+      });
+
+      const body = await res.json().catch(() => ({}));
+
+      if (!res.ok) {
+        throw new Error(body.error || `Failed to archive dog (Status: ${res.status})`);
+      }
+
+      if (archived) {
+        router.push(withListQuery("/dogs"));
+      } else {
+        setDog(body.dog);
+      }
+    } catch (err) {
+      console.error("Error archiving dog:", err);
+      setActionError(err.message || "Failed to archive dog");
+    } finally {
+      setIsArchiving(false);
+    }
+  };
+
+  // The owner signs up on /portal/register with this code and their phone number
+  const inviteOwner = async () => {
+    try {
+      setActionError(null);
+
+      const res = await fetch(`${DOGS_API_URL}/${encodeURIComponent(chipNumber)}/owner-invite`, {
+        method: "POST",
+      });
+      const body = await res.json().catch(() => ({}));
+
+      if (!res.ok) {
+        throw new Error(body.error || `Failed to create invite (Status: ${res.status})`);
+      }
+      setOwnerInvite(body);
+    } catch (err) {
+      console.error("Error creating owner invite:", err);
+      setActionError(err.message || "Failed to create invite");
+    }
   };
 
   // ------------------------------------------------------
@@ -117,7 +229,7 @@ export default function DogDetails({ params }) {
             If the problem persists, please contact support and provide them with the error message: {error}
           </span>
         </div>
-        <button onClick={() => router.push("/dogs")}>
+        <button onClick={() => router.push(withListQuery("/dogs"))}>
           ← Back to Dog List
         </button>
       </div>
@@ -141,6 +253,25 @@ export default function DogDetails({ params }) {
     ? STATUS.PRESENT
     : STATUS.ABSENT;
 
+  if (isEditing) {
+    return (
+      <div>
+        <h2>Edit {dog.name}</h2>
+        {actionError && <p role="alert">{actionError}</p>}
+        <DogForm
+          initialDog={dog}
+          onSubmit={saveDog}
+          onCancel={() => {
+            setActionError(null);
+            setIsEditing(false);
+          }}
+        />
+      </div>
+    );
+  }
+
+  const vaccinationExpired = vaccinationCheck?.expired.length > 0;
+
   // ------------------------------------------------------
   // ============ Start Return ============================
   // ------------------------------------------------------
@@ -148,6 +279,17 @@ export default function DogDetails({ params }) {
     <div
       className={status === STATUS.PRESENT ? styles.presentDog : styles.absentDog}
     >
+      {dog.archived && (
+        <div role="status">
+          <span>This dog is archived and hidden from the dog list.</span>
+          {can(PERMISSIONS.EDIT_DOGS) && (
+            <button onClick={() => setArchived(false)} disabled={isArchiving}>
+              Restore
+            </button>
+          )}
+        </div>
+      )}
+
       <div>
         <div>
           {dog.img ? (
@@ -171,9 +313,11 @@ export default function DogDetails({ params }) {
           <div>
             <div>
               <p><strong>Breed:</strong> {dog.breed || "Unknown"}</p>
+              {dog.playGroup && <p><strong>Play group:</strong> {dog.playGroup}</p>}
               <p><strong>Chip Number:</strong> {dog.chipNumber}</p>
               <p>
                 <strong>Status:</strong> {status === STATUS.PRESENT ? 'Present' : 'Absent'}
+                {dog.chipNumber in queuedDogs && " (pending sync)"}
               </p>
             </div>
             
@@ -189,6 +333,21 @@ export default function DogDetails({ params }) {
                       <strong>Phone:</strong> {dog.owner.phoneNumber}
                     </p>
                   )}
+                  {can(PERMISSIONS.VIEW_OWNER_CONTACT) && dog.owner.id && (
+                    <button onClick={() => router.push(`/owners/${dog.owner.id}`)}>
+                      Owner details and emergency contacts
+                    </button>
+                  )}
+                  {can(PERMISSIONS.VIEW_OWNER_CONTACT) && (
+                    ownerInvite ? (
+                      <p>
+                        <strong>Portal invite code:</strong> {ownerInvite.code} (valid until{" "}
+                        {new Date(ownerInvite.expiresAt).toLocaleDateString()})
+                      </p>
+                    ) : (
+                      <button onClick={inviteOwner}>Invite owner to portal</button>
+                    )
+                  )}
                 </>
               ) : (
                 <p>Owner information not available</p>
@@ -196,18 +355,119 @@ export default function DogDetails({ params }) {
             </div>
           </div>
           
-          <button 
-            onClick={toggleStatus}
-            disabled={isUpdating}
-          >
-            {isUpdating ? 'Updating...' : (status === STATUS.PRESENT ? 'Mark as Absent' : 'Mark as Present')}
-          </button>
+          {/* Roles without the toggle permission only see the status */}
+          {can(PERMISSIONS.TOGGLE_STATUS) && (
+            <>
+              <div>
+                <label>
+                  Note (optional)
+                  <input
+                    type="text"
+                    value={statusNote}
+                    onChange={(e) => setStatusNote(e.target.value)}
+                    placeholder={status === STATUS.PRESENT ? "e.g. picked up by grandma" : "e.g. arrived with own food"}
+                  />
+                </label>
+              </div>
+
+              {/* historyVersion in the key clears the choice after every status change */}
+              {status === STATUS.PRESENT && (
+                <PickupChooser
+                  key={historyVersion}
+                  chipNumber={dog.chipNumber}
+                  owner={dog.owner}
+                  onChange={setPickup}
+                />
+              )}
+
+              {/* An archived dog can still be checked out, but not in again */}
+              {status !== STATUS.PRESENT && dog.archived ? (
+                <p>This dog is archived and cannot be checked in.</p>
+              ) : (
+                <button
+                  onClick={() => toggleStatus()}
+                  disabled={
+                    isPending(dog.chipNumber) ||
+                    (status !== STATUS.PRESENT && vaccinationExpired) ||
+                    (status === STATUS.PRESENT && !pickup)
+                  }
+                >
+                  {isPending(dog.chipNumber) ? 'Saving...' : (status === STATUS.PRESENT ? 'Mark as Absent' : 'Mark as Present')}
+                </button>
+              )}
+
+              {/* Admins may check a dog out without saying who collected it */}
+              {status === STATUS.PRESENT && !pickup && can(PERMISSIONS.OVERRIDE_PICKUP) && (
+                <button onClick={() => toggleStatus({ override: true })} disabled={isPending(dog.chipNumber)}>
+                  Check out anyway
+                </button>
+              )}
+
+              {status !== STATUS.PRESENT && !dog.archived && vaccinationExpired && (
+                <p>
+                  A required vaccination has expired, see Health below.
+                  {can(PERMISSIONS.OVERRIDE_HEALTH) && (
+                    <button onClick={() => toggleStatus({ override: true })} disabled={isPending(dog.chipNumber)}>
+                      Check in anyway
+                    </button>
+                  )}
+                </p>
+              )}
+            </>
+          )}
+
+          {statusErrors[dog.chipNumber] && (
+            <p role="alert">
+              Could not save the status change, it has been undone: {statusErrors[dog.chipNumber]}
+              {/* A full day is the usual reason a check-in is refused, admins may go over it */}
+              {status !== STATUS.PRESENT && !dog.archived && !vaccinationExpired && can(PERMISSIONS.OVERRIDE_CAPACITY) && (
+                <button onClick={() => toggleStatus({ override: true })} disabled={isPending(dog.chipNumber)}>
+                  Check in anyway
+                </button>
+              )}
+            </p>
+          )}
+
+          {/* Collar tag: scanning it with a phone opens this page */}
+          <div>
+            <DogQrCode chipNumber={dog.chipNumber} size={120} />
+            <button onClick={() => router.push(`/dogs/tags?chip=${encodeURIComponent(dog.chipNumber)}`)}>
+              Print QR tag
+            </button>
+          </div>
+
+          {can(PERMISSIONS.EDIT_DOGS) && (
+            <div>
+              <button onClick={() => setIsEditing(true)}>
+                Edit dog
+              </button>
+              {!dog.archived && (
+                <button onClick={() => setArchived(true)} disabled={isArchiving}>
+                  {isArchiving ? "Archiving..." : "Archive dog"}
+                </button>
+              )}
+            </div>
+          )}
+
+          {actionError && <p role="alert">{actionError}</p>}
         </div>
       </div>
 
+      <HealthSection chipNumber={dog.chipNumber} onCheckChange={setVaccinationCheck} />
+
+      {/* A refused check-out adds to the refused pickups, so a new status error reloads them */}
+      <PickupSection chipNumber={dog.chipNumber} refreshKey={statusErrors[dog.chipNumber]} />
+
+      <IncidentSection chipNumber={dog.chipNumber} />
+
+      <CareLogSection chipNumber={dog.chipNumber} />
+
+      {/* status is in the key so changes made on another device also refresh the history */}
+      <AttendanceTimeline chipNumber={dog.chipNumber} refreshKey={`${historyVersion}-${status}`} />
+
       <div>
         <button
-          onClick={() => prevDogId && router.push(`/dogs/${prevDogId}`)}
+          onClick={() => prevDogId && router.push(withListQuery(`/dogs/${prevDogId}`))}
           disabled={!prevDogId}
           aria-label="Previous dog"
         >
@@ -215,7 +475,7 @@ export default function DogDetails({ params }) {
         </button>
         
         <button
-          onClick={() => nextDogId && router.push(`/dogs/${nextDogId}`)}
+          onClick={() => nextDogId && router.push(withListQuery(`/dogs/${nextDogId}`))}
           disabled={!nextDogId}
           aria-label="Next dog"
         >
@@ -224,7 +484,7 @@ export default function DogDetails({ params }) {
       </div>
 
       <button 
-        onClick={() => router.push("/dogs")}
+        onClick={() => router.push(withListQuery("/dogs"))}
       >
         ← Back to Dog List
       </button>
@@ -0,0 +1,65 @@
+"use client";
+
+import { use, useState } from "react";
+import { useRouter } from "next/navigation";
+import DogForm from "../../components/DogForm";
+
+// ?chipNumber= pre-fills the chip, the check-in kiosk sends unknown chips here.
+// ?ownerId= pre-selects the owner ("Add a dog" on an owner's page).
+export default function NewDog({ searchParams }) {
+  const { chipNumber, ownerId } = use(searchParams);
+  const [error, setError] = useState(null);
+  const router = useRouter();
+
+  // Returns field errors to the form when the server rejects the dog
+  const createDog = async (dog) => {
+    try {
+      setError(null);
+
+      const resp = await fetch("/api/dogs", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(dog),
+      });
+
+      const body = await resp.json().catch(() => ({}));
+
+      if (resp.status === 400 && body.fields) {
+        return body.fields;
+      }
+
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to save dog (Status: ${resp.status})`);
+      }
+
+      router.push(`/dogs/${body.dog.chipNumber}`);
+    } catch (err) {
+      console.error("Error creating dog:", err);
+      setError(err.message || "Failed to save dog");
+    }
+  };
+
+  return (
+    <div>
+      <h1>New Dog</h1>
+
+      {error && (
+        <div>
+          <span>
+            Oops! Something went wrong. Please try again in a moment.
+            <br />
+            If the problem persists, please contact support and provide them with the error message: {error}
+          </span>
+        </div>
+      )}
+
+      <DogForm
+        isNew
+        initialDog={{ chipNumber: chipNumber || "", ownerId: ownerId || "" }}
+        submitLabel="Enroll dog"
+        onSubmit={createDog}
+        onCancel={() => router.push("/dogs")}
+      />
+    </div>
+  );
+}
@@ -1,12 +1,31 @@
 "use client";
 
-import { useState, useEffect, useCallback } from "react";
+import { use, useState, useEffect, useCallback, useRef } from "react";
 import { useRouter } from "next/navigation";
 import { useDogStatus } from "../context/DogStatusContext";
+import { useSession } from "../context/SessionContext";
+import { PERMISSIONS } from "../lib/roles";
+import {
+  SORT_KEYS,
+  SORT_LABELS,
+  EXPECTED_FILTER,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseListQuery,
+  listQueryString,
+} from "../lib/dogQueryRules";
+import { VACCINATION_STATUS, VACCINATION_STATUS_LABELS } from "../lib/healthRules";
+import WindowedList from "../components/WindowedList";
+import FacetFilters from "../components/FacetFilters";
 import styles from "./styles.module.css";
 
+// Room for a card in the windowed list (photo 300px plus the details) until the real cards are
+// measured; taller ones make every row taller
+const CARD_HEIGHT = 560;
+// How long a bulk check-in/out can be undone
+const UNDO_WINDOW = 15000; // ms
 
-export default function DogList() {
+export default function DogList({ searchParams }) {
   function useDebounce(value, delay = 300) {
       const [debouncedValue, setDebouncedValue] = useState(value);
 
@@ -24,14 +43,31 @@ export default function DogList() {
 // ------------------------------------------------------
 
 const [dogs, setDogs] = useState([]);
+const [total, setTotal] = useState(0);
 const [isLoading, setIsLoading] = useState(true);
+const [isLoadingMore, setIsLoadingMore] = useState(false);
 const [error, setError] = useState(null);
-const [searchTerm, setSearchTerm] = useState("");
+// Search, filter, sort and facets live in the url (?q=&status=&sort=...) so they survive
+// opening a dog, reloads and shared links. Only the search box has its own state while typing.
+const listQuery = parseListQuery(use(searchParams));
+const listQs = listQueryString(listQuery);
+const { status: filter, sort, dir: sortDir, facets: selectedFacets } = listQuery;
+const [searchTerm, setSearchTerm] = useState(listQuery.q);
 const debouncedSearchTerm = useDebounce(searchTerm, 300);
-const [filter, setFilter] = useState("all");
-const { changedDogs, STATUS, lastError, clearError } = useDogStatus();
+const [facets, setFacets] = useState(null);
+// Answers to an older search are dropped when a newer one is on its way
+const latestRequest = useRef(0);
+const [expectedDogs, setExpectedDogs] = useState([]);
+// Bulk check-in/out: { [chipNumber]: dog }, kept while the search changes so dogs can be picked from several searches
+const [selectedDogs, setSelectedDogs] = useState({});
+const [isBulkUpdating, setIsBulkUpdating] = useState(false);
+// { label, changed, unchanged, failed, undoUntil } of the last bulk action
+const [bulkResult, setBulkResult] = useState(null);
+const { changedDogs, queuedDogs, STATUS, lastError, clearError, updateStatus, updateStatuses, isPending, statusErrors } = useDogStatus();
+const { can } = useSession();
 const router = useRouter();
-const DOGS_API_URL = "https://majazocom.github.io/Data/dogs.json";
+const DOGS_API_URL = "/api/dogs";
+const EXPECTED_API_URL = "/api/bookings/expected";
 
 // ------------------------------------------------------------------
 // //////////////////////////////////////////////////////////////////
@@ -43,12 +79,33 @@ const DOGS_API_URL = "https://majazocom.github.io/Data/dogs.json";
 // ================= API FETCH ======================================
 // ------------------------------------------------------------------
 
-const fetchDogs = useCallback(async () => {
+// replace, not push: Back should leave the list, not step through every filter change
+const setListQuery = (changes) => {
+  const next = listQueryString({ ...listQuery, ...changes });
+  router.replace(next ? `/dogs?${next}` : "/dogs", { scroll: false });
+};
+
+// The search term reaches the url once typing pauses
+useEffect(() => {
+  const current = parseListQuery(new URLSearchParams(listQs));
+  if (debouncedSearchTerm === current.q) return;
+  const next = listQueryString({ ...current, q: debouncedSearchTerm });
+  router.replace(next ? `/dogs?${next}` : "/dogs", { scroll: false });
+}, [debouncedSearchTerm, listQs, router]);
+
+// Search, filter and sort happen on the server, the list only ever holds the pages scrolled so far
+const query = `${listQs ? `${listQs}&` : ""}limit=${DEFAULT_PAGE_SIZE}`;
+const hasFacets = Object.values(selectedFacets).some((values) => values.length > 0);
+
+// offset 0 starts a new list, anything else appends the next page
+const fetchDogs = useCallback(async (offset = 0) => {
+    const request = ++latestRequest.current;
     try {
-      setIsLoading(true);
+      if (offset === 0) setIsLoading(true);
+      else setIsLoadingMore(true);
       setError(null);
       
-      const resp = await fetch(DOGS_API_URL);
+      const resp = await fetch(`${DOGS_API_URL}?${query}&offset=${offset}`);
       
       if (!resp.ok) {
         throw new Error(`Failed to fetch dogs (Status: ${resp.status})`);
@@ -56,18 +113,144 @@ const fetchDogs = useCallback(async () => {
       
       const data = await resp.json();
       
-      if (!Array.isArray(data)) {
-        throw new Error("Invalid data format: expected an array of dogs");
+      if (!Array.isArray(data.dogs)) {
+        throw new Error("Invalid data format: expected a page of dogs");
       }
+      if (request !== latestRequest.current) return;
       
-      setDogs(data);
+      setDogs((prev) => (offset === 0 ? data.dogs : [...prev, ...data.dogs]));
+      setTotal(data.total);
+      setFacets(data.facets);
+
+      // Bookings only add the "expected" marker, the list works without them
+      if (offset === 0) {
+        const expectedResp = await fetch(EXPECTED_API_URL);
+        if (expectedResp.ok) {
+          setExpectedDogs((await expectedResp.json()).map((b) => b.chipNumber));
+        }
+      }
     } catch (err) {
       console.error("Error fetching dogs:", err);
       setError(err.message || "Failed to load dogs");
     } finally {
-      setIsLoading(false);
+      if (request === latestRequest.current) {
+        setIsLoading(false);
+        setIsLoadingMore(false);
+      }
+    }
+  }, [query]);
+
+// Infinite scroll: the windowed list asks for more when its last card comes into view
+const loadMore = useCallback(() => {
+  if (!isLoading && !isLoadingMore && !error && dogs.length < total) {
+    fetchDogs(dogs.length);
+  }
+}, [isLoading, isLoadingMore, error, dogs.length, total, fetchDogs]);
+
+
+// ------------------------------------------------------------------
+// ================= BULK CHECK-IN / CHECK-OUT ======================
+// ------------------------------------------------------------------
+
+// The server sends the saved status, changes made on this device since then win
+const statusOfDog = (dog) => (dog.chipNumber in changedDogs ? changedDogs[dog.chipNumber] : dog.status);
+
+const toggleSelected = (dog) =>
+  setSelectedDogs(({ [dog.chipNumber]: wasSelected, ...rest }) =>
+    wasSelected ? rest : { ...rest, [dog.chipNumber]: dog }
+  );
+
+// changes: [{ chipNumber, name, status, previousStatus }]. Sent as one batch through updateStatuses;
+// what every dog was before is kept so the whole batch can be undone for a little while.
+// Check-outs need a pickup like any other, dogs refused for lack of one link to their page.
+// undo: true takes back a batch of check-ins, which needs no pickup.
+// endOfDay: true is "Check out everyone" at closing, which admins may do without a pickup (BULK_CHECK_OUT).
+const runBulk = async (label, changes, { canUndo = true, note = "", undo = false, endOfDay = false } = {}) => {
+  // Dogs already in the wanted status are left alone, so an undo does not touch them either
+  const toSend = changes.filter((change) => change.status !== change.previousStatus);
+  const byChip = Object.fromEntries(toSend.map((change) => [change.chipNumber, change]));
+
+  setBulkResult(null);
+  setIsBulkUpdating(true);
+  try {
+    const { succeeded, failed } = await updateStatuses(toSend.map((change) => ({ ...change, note, undo, endOfDay })));
+    setBulkResult({
+      label,
+      changed: succeeded.map((chipNumber) => byChip[chipNumber]),
+      unchanged: changes.length - toSend.length,
+      failed: failed.map(({ chipNumber, error, pickupRequired }) => ({ ...byChip[chipNumber], error, pickupRequired })),
+      undoUntil: canUndo && succeeded.length > 0 ? Date.now() + UNDO_WINDOW : null,
+    });
+    setSelectedDogs({});
+  } finally {
+    setIsBulkUpdating(false);
+  }
+};
+
+const markSelected = (status) =>
+  runBulk(
+    status === STATUS.PRESENT ? "Marked present" : "Marked absent",
+    Object.values(selectedDogs).map((dog) => ({
+      chipNumber: dog.chipNumber,
+      name: dog.name,
+      status,
+      previousStatus: statusOfDog(dog),
+    }))
+  );
+
+// Everyone present, not only the pages loaded so far: the server's present dogs plus
+// check-ins made on this device that are still waiting to be synced
+const checkOutEveryone = async () => {
+  if (!window.confirm("Check out every dog that is present?")) return;
+
+  try {
+    setIsBulkUpdating(true);
+    const present = {};
+    for (let offset = 0; ; offset += MAX_PAGE_SIZE) {
+      const resp = await fetch(`${DOGS_API_URL}?status=${STATUS.PRESENT}&limit=${MAX_PAGE_SIZE}&offset=${offset}`);
+      if (!resp.ok) {
+        throw new Error(`Failed to fetch present dogs (Status: ${resp.status})`);
+      }
+      const page = await resp.json();
+      for (const dog of page.dogs) present[dog.chipNumber] = dog;
+      if (page.dogs.length === 0 || offset + page.dogs.length >= page.total) break;
     }
-  }, [DOGS_API_URL]);
+    for (const dog of dogs) present[dog.chipNumber] = dog;
+
+    await runBulk(
+      "Checked out",
+      Object.values(present)
+        .filter((dog) => statusOfDog(dog) === STATUS.PRESENT)
+        .map((dog) => ({ chipNumber: dog.chipNumber, name: dog.name, status: STATUS.ABSENT, previousStatus: STATUS.PRESENT })),
+      { endOfDay: true }
+    );
+  } catch (err) {
+    console.error("Error checking out everyone:", err);
+    setError(err.message || "Failed to check out everyone");
+  } finally {
+    setIsBulkUpdating(false);
+  }
+};
+
+// Puts every dog of the last batch back, the undo itself cannot be undone
+const undoBulk = () =>
+  runBulk(
+    "Undone",
+    bulkResult.changed.map((change) => ({ ...change, status: change.previousStatus, previousStatus: change.status })),
+    { canUndo: false, note: "Undo of a bulk check-in/out", undo: true }
+  );
+
+// The undo button goes away once the window has passed
+useEffect(() => {
+  if (!bulkResult?.undoUntil) return;
+  const timer = setTimeout(
+    () => setBulkResult((prev) => prev && { ...prev, undoUntil: null }),
+    bulkResult.undoUntil - Date.now()
+  );
+  return () => clearTimeout(timer);
+}, [bulkResult]);
+
+const selectedCount = Object.keys(selectedDogs).length;
 
 
 // ------------------------------------------------------------------
@@ -101,24 +284,8 @@ const fetchDogs = useCallback(async () => {
   // ------------------------------------------------------
   // ============ FILTERFUNCTION (aded debound)============
   // ------------------------------------------------------
- 
-  const filteredDogs = dogs
-  // Debounce part
-    .filter(dog => { 
-      const dogName = (dog.name || "").toLowerCase();
-      const searchTermLower = (debouncedSearchTerm || "").toLowerCase();
-      return dogName.includes(searchTermLower);
-    })
-    .filter(dog => {
-      if (filter === STATUS.ALL) return true;
-      
-      if (dog.chipNumber in changedDogs) {
-        return changedDogs[dog.chipNumber] === filter;
-      }
-      
-      const presentStatus = dog.present === true ? STATUS.PRESENT : STATUS.ABSENT;
-      return presentStatus === filter;
-    });
+  // Filtering and sorting is done by GET /api/dogs (see lib/dogQuery.js), the debounced
+  // search term is part of the query so typing does not send a request per key.
   // -------------------------------------------------------------
   // /////////////////////////////////////////////////////////////
   // -------------------------------------------------------------
@@ -131,6 +298,68 @@ const fetchDogs = useCallback(async () => {
   return (
     <div>
       <h1>Dog List</h1>
+
+      {can(PERMISSIONS.EDIT_DOGS) && (
+        <button onClick={() => router.push("/dogs/new")}>
+          + New dog
+        </button>
+      )}
+      <button onClick={() => router.push("/health")}>
+        Vaccination alerts
+      </button>
+      <button
+        onClick={() =>
+          router.push(
+            selectedCount > 0
+              ? `/dogs/tags?${new URLSearchParams(Object.keys(selectedDogs).map((chip) => ["chip", chip]))}`
+              : "/dogs/tags"
+          )
+        }
+      >
+        {selectedCount > 0 ? `Print QR tags (${selectedCount} selected)` : "Print QR tags"}
+      </button>
+      <button onClick={() => router.push("/kiosk")}>
+        Check-in kiosk
+      </button>
+      {can(PERMISSIONS.VIEW_OWNER_CONTACT) && (
+        <button onClick={() => router.push("/owners")}>
+          Owners
+        </button>
+      )}
+      <button onClick={() => router.push("/bookings")}>
+        Bookings
+      </button>
+      <button onClick={() => router.push("/settings")}>
+        Capacity
+      </button>
+      {can(PERMISSIONS.VIEW_REPORTS) && (
+        <button onClick={() => router.push("/reports")}>
+          Attendance reports
+        </button>
+      )}
+      {can(PERMISSIONS.MANAGE_BILLING) && (
+        <button onClick={() => router.push("/billing")}>
+          Billing
+        </button>
+      )}
+      <button onClick={() => router.push("/care")}>
+        Overdue care tasks
+      </button>
+      {can(PERMISSIONS.MANAGE_INCIDENTS) && (
+        <button onClick={() => router.push("/incidents")}>
+          Open incidents
+        </button>
+      )}
+      {can(PERMISSIONS.MANAGE_NOTIFICATIONS) && (
+        <button onClick={() => router.push("/notifications")}>
+          Owner notifications
+        </button>
+      )}
+      {can(PERMISSIONS.MANAGE_USERS) && (
+        <button onClick={() => router.push("/users")}>
+          Staff accounts
+        </button>
+      )}
       
       {/*Can be improved if has time. Displayed inline , "instead of default browser error message on page
       Standard way as understod for dispalying error message to user in React. 
@@ -144,7 +373,7 @@ const fetchDogs = useCallback(async () => {
             <br />
             If the problem persists, please contact emailaddress and provide them with the error message: {error}
           </span>
-          <button onClick={fetchDogs}>
+          <button onClick={() => fetchDogs()}>
             Try Again
           </button>
         </div>
@@ -156,7 +385,7 @@ const fetchDogs = useCallback(async () => {
       <div>
         <input
           type="text"
-          placeholder="Search dogs..."
+          placeholder="Search name, chip, owner, phone or breed..."
           value={searchTerm}
           onChange={(e) => setSearchTerm(e.target.value)}
           aria-label="Search dogs" 
@@ -164,15 +393,104 @@ const fetchDogs = useCallback(async () => {
         
         <select 
           value={filter} 
-          onChange={(e) => setFilter(e.target.value)}
+          onChange={(e) => setListQuery({ status: e.target.value })}
           aria-label="Filter dogs by status"
         >
           <option value={STATUS.ALL}>All Dogs</option>
           <option value={STATUS.PRESENT}>Present</option>
           <option value={STATUS.ABSENT}>Absent</option>
+          <option value={EXPECTED_FILTER}>Expected today</option>
+        </select>
+
+        <select value={sort} onChange={(e) => setListQuery({ sort: e.target.value })} aria-label="Sort dogs by">
+          {Object.values(SORT_KEYS).map((key) => (
+            <option key={key} value={key}>
+              Sort by {SORT_LABELS[key].toLowerCase()}
+            </option>
+          ))}
         </select>
+        <button
+          onClick={() => setListQuery({ dir: sortDir === "asc" ? "desc" : "asc" })}
+          aria-label={sortDir === "asc" ? "Sorted ascending, switch to descending" : "Sorted descending, switch to ascending"}
+        >
+          {sortDir === "asc" ? "↑" : "↓"}
+        </button>
       </div>
 
+      <FacetFilters
+        facets={facets}
+        selected={selectedFacets}
+        onChange={(name, values) => setListQuery({ facets: { ...selectedFacets, [name]: values } })}
+      />
+      {hasFacets && <button onClick={() => setListQuery({ facets: {} })}>Clear filters</button>}
+
+      {can(PERMISSIONS.TOGGLE_STATUS) && (
+        <div>
+          <button onClick={() => setSelectedDogs(Object.fromEntries(dogs.map((dog) => [dog.chipNumber, dog])))} disabled={dogs.length === 0}>
+            Select all shown
+          </button>
+          {selectedCount > 0 && (
+            <>
+              <span> {selectedCount} selected </span>
+              <button onClick={() => markSelected(STATUS.PRESENT)} disabled={isBulkUpdating}>
+                Mark present
+              </button>
+              {/* A dog that is here still needs its pickup chosen, the summary links to its page for that */}
+              <button onClick={() => markSelected(STATUS.ABSENT)} disabled={isBulkUpdating}>
+                Mark absent
+              </button>
+              <button onClick={() => setSelectedDogs({})} disabled={isBulkUpdating}>
+                Clear selection
+              </button>
+            </>
+          )}
+          {can(PERMISSIONS.BULK_CHECK_OUT) && (
+            <button onClick={checkOutEveryone} disabled={isBulkUpdating}>
+              Check out everyone
+            </button>
+          )}
+          {isBulkUpdating && <span> Saving...</span>}
+        </div>
+      )}
+
+      {bulkResult && (
+        <div role="status">
+          <p>
+            {bulkResult.label}: {bulkResult.changed.length} {bulkResult.changed.length === 1 ? "dog" : "dogs"}
+            {bulkResult.unchanged > 0 && `, ${bulkResult.unchanged} already had that status`}
+            {bulkResult.failed.length > 0 && `, ${bulkResult.failed.length} failed`}
+            {bulkResult.undoUntil && (
+              <button onClick={undoBulk} disabled={isBulkUpdating}>
+                Undo
+              </button>
+            )}
+            <button onClick={() => setBulkResult(null)} aria-label="Dismiss summary">
+              ✕
+            </button>
+          </p>
+          {bulkResult.failed.length > 0 && (
+            <ul>
+              {bulkResult.failed.map((dog) => (
+                <li key={dog.chipNumber}>
+                  {dog.name} ({dog.chipNumber}): {dog.error}
+                  {dog.pickupRequired && (
+                    <button onClick={() => router.push(`/dogs/${dog.chipNumber}${listQs ? `?${listQs}` : ""}`)}>
+                      Choose who is collecting {dog.name}
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {!isLoading && total > 0 && (
+        <p>
+          Showing {dogs.length} of {total} dogs
+        </p>
+      )}
+
 
       {/*  Loader  SPINNER IF TIME !!! else something nicer */} 
       {isLoading && (
@@ -182,42 +500,54 @@ const fetchDogs = useCallback(async () => {
       )}
 
       {/* No output search or filter aswell fetched but empty.*/}
-      {!isLoading && filteredDogs.length === 0 && (
+      {!isLoading && !error && dogs.length === 0 && (
         <div>
-          {debouncedSearchTerm || filter !== STATUS.ALL 
+          {listQuery.q || filter !== STATUS.ALL || hasFacets
             ? "No dogs match your search or filter criteria."
             : "No dogs are currently registered."}
         </div>
       )}
-      <div>
-       
-        {filteredDogs.map(dog => {
-          const status =
-            dog.chipNumber in changedDogs
-              ? changedDogs[dog.chipNumber]
-              : dog.present
-              ? STATUS.PRESENT
-              : STATUS.ABSENT;
+      <WindowedList
+        items={dogs}
+        itemHeight={CARD_HEIGHT}
+        getKey={(dog) => dog.chipNumber}
+        onEndReached={loadMore}
+        renderItem={(dog) => {
+          const status = statusOfDog(dog);
 
           // bordercolor (in styles.module.css)
           return (
             <div
-              key={dog.chipNumber}
-              className={status === STATUS.PRESENT ? styles.presentDog : styles.absentDog}
-              onClick={() => router.push(`/dogs/${dog.chipNumber}`)} 
+              className={`${styles.dogCard} ${status === STATUS.PRESENT ? styles.presentDog : styles.absentDog}`}
+              onClick={() => router.push(`/dogs/${dog.chipNumber}${listQs ? `?${listQs}` : ""}`)} 
               role="button"
               aria-label={`View details for ${dog.name}`}
             >
               <div>
-                <img
-                  src={dog.img}
-                  alt={`Photo of ${dog.name}`}
-                  width="300"
-                  height="300"
-                />
+                {dog.img ? (
+                  <img
+                    src={dog.img}
+                    alt={`Photo of ${dog.name}`}
+                    width="300"
+                    height="300"
+                    loading="lazy"
+                  />
+                ) : (
+                  <div>No image available</div>
+                )}
               </div>
 
               <div>
+                {can(PERMISSIONS.TOGGLE_STATUS) && (
+                  <label onClick={(e) => e.stopPropagation()}>
+                    <input
+                      type="checkbox"
+                      checked={dog.chipNumber in selectedDogs}
+                      onChange={() => toggleSelected(dog)}
+                    />
+                    Select {dog.name}
+                  </label>
+                )}
                 <div>
                   <h3>{dog.name}</h3>
                   <span>
@@ -227,16 +557,53 @@ const fetchDogs = useCallback(async () => {
 
                 <p>{dog.breed}</p>
 
-                <p>{status === STATUS.PRESENT ? "Present" : "Absent"}</p>
+                {dog.vaccination !== VACCINATION_STATUS.OK && (
+                  <p>⚠️ Vaccinations: {VACCINATION_STATUS_LABELS[dog.vaccination]}</p>
+                )}
+
+                <p>
+                  {status === STATUS.PRESENT ? "Present" : "Absent"}
+                  {dog.chipNumber in queuedDogs && " (pending sync)"}
+                </p>
+
+                {expectedDogs.includes(dog.chipNumber) && (
+                  <p>
+                    📅 Booked today
+                    {status === STATUS.ABSENT && can(PERMISSIONS.TOGGLE_STATUS) && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          // A refused check-in shows on the card, not as a page-wide error
+                          updateStatus(dog.chipNumber, STATUS.PRESENT, { quiet: true });
+                        }}
+                        disabled={isPending(dog.chipNumber)}
+                      >
+                        Check in
+                      </button>
+                    )}
+                  </p>
+                )}
+
+                {statusErrors[dog.chipNumber] && (
+                  <p role="alert">Could not save the status change: {statusErrors[dog.chipNumber]}</p>
+                )}
 
                 <p>
                   Owner: {dog.owner.name} {dog.owner.lastName}
                 </p>
+
+                {dog.lastCheckIn && (
+                  <p>
+                    <small>Last check-in {new Date(dog.lastCheckIn).toLocaleString()}</small>
+                  </p>
+                )}
               </div>
             </div>
           );
-        })}
-      </div>
+        }}
+      />
+
+      {isLoadingMore && <div>Loading more dogs...</div>}
     </div>
   );
 }
\ No newline at end of file
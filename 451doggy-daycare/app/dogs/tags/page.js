@@ -0,0 +1,89 @@
+"use client";
+
+import { use, useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import DogQrCode from "../../components/DogQrCode";
+import styles from "./styles.module.css";
+
+const DOGS_API_URL = "/api/dogs";
+
+// Printable sheet of collar tags. ?chip=A&chip=B prints the selected dogs, no chip prints every dog.
+export default function DogTags({ searchParams }) {
+  const { chip } = use(searchParams);
+  const chipNumbers = [chip ?? []].flat();
+  const chipKey = chipNumbers.join(",");
+
+  const [dogs, setDogs] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const router = useRouter();
+
+  const fetchDogs = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const resp = await fetch(DOGS_API_URL);
+
+      if (!resp.ok) {
+        throw new Error(`Failed to fetch dogs (Status: ${resp.status})`);
+      }
+
+      const data = await resp.json();
+      const wanted = chipKey ? chipKey.split(",") : null;
+      setDogs(wanted ? data.filter((dog) => wanted.includes(dog.chipNumber)) : data);
+    } catch (err) {
+      console.error("Error fetching dogs:", err);
+      setError(err.message || "Failed to load dogs");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [chipKey]);
+
+  useEffect(() => {
+    fetchDogs();
+  }, [fetchDogs]);
+
+  return (
+    <div className={styles.sheet}>
+      <div className={styles.noPrint} style={{ gridColumn: "1 / -1" }}>
+        <h1>QR tags</h1>
+        <p>
+          {chipNumbers.length > 0 ? `${dogs.length} selected dogs` : `All ${dogs.length} dogs`}. Scanning a tag
+          with a phone opens the dog&apos;s page.
+        </p>
+        <button onClick={() => window.print()} disabled={isLoading || dogs.length === 0}>
+          Print tags
+        </button>
+        <button onClick={() => router.push("/dogs")}>← Back to Dog List</button>
+
+        {isLoading && <div>Loading...</div>}
+
+        {error && (
+          <div>
+            <span>
+              Oops! Something went wrong. Please try again in a moment.
+              <br />
+              If the problem persists, please contact support and provide them with the error message: {error}
+            </span>
+            <button onClick={fetchDogs}>Try Again</button>
+          </div>
+        )}
+
+        {!isLoading && !error && dogs.length === 0 && <div>No dogs to print tags for.</div>}
+      </div>
+
+      {dogs.map((dog) => (
+        <div key={dog.chipNumber} className={styles.tag}>
+          <DogQrCode chipNumber={dog.chipNumber} size={150} />
+          <p>
+            <strong>{dog.name}</strong>
+          </p>
+          <p>
+            <small>Chip {dog.chipNumber}</small>
+          </p>
+        </div>
+      ))}
+    </div>
+  );
+}
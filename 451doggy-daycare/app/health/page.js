@@ -0,0 +1,88 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+import { EXPIRY_WARNING_DAYS } from "../lib/healthRules";
+
+const EXPIRING_API_URL = "/api/health/expiring";
+
+export default function VaccinationAlerts() {
+  const [dogs, setDogs] = useState([]);
+  const [days, setDays] = useState(EXPIRY_WARNING_DAYS);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const router = useRouter();
+
+  const fetchExpiring = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const resp = await fetch(`${EXPIRING_API_URL}?days=${days}`);
+      const body = await resp.json().catch(() => ({}));
+
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to load vaccinations (Status: ${resp.status})`);
+      }
+      setDogs(body);
+    } catch (err) {
+      console.error("Error fetching expiring vaccinations:", err);
+      setError(err.message || "Failed to load vaccinations");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    fetchExpiring();
+  }, [fetchExpiring]);
+
+  return (
+    <div>
+      <h1>Vaccination Alerts</h1>
+
+      <label>
+        Expiring within
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+          {[7, 14, 30, 60, 90].map((d) => (
+            <option key={d} value={d}>{d} days</option>
+          ))}
+        </select>
+      </label>
+
+      {error && (
+        <div>
+          <span>
+            Oops! Something went wrong. Please try again in a moment.
+            <br />
+            If the problem persists, please contact support and provide them with the error message: {error}
+          </span>
+          <button onClick={fetchExpiring}>Try Again</button>
+        </div>
+      )}
+
+      {isLoading && <div>Loading...</div>}
+
+      {!isLoading && !error && dogs.length === 0 && (
+        <div>No required vaccinations expire in the next {days} days.</div>
+      )}
+
+      <ul>
+        {dogs.map((dog) => (
+          <li key={dog.chipNumber}>
+            <Link href={`/dogs/${dog.chipNumber}`}>{dog.name}</Link>
+            {dog.expired.map((v) => (
+              <div key={v.type}>⚠️ {v.label} expired {v.expiresAt}</div>
+            ))}
+            {dog.expiringSoon.map((v) => (
+              <div key={v.type}>{v.label} expires {v.expiresAt}</div>
+            ))}
+          </li>
+        ))}
+      </ul>
+
+      <button onClick={() => router.push("/dogs")}>← Back to Dog List</button>
+    </div>
+  );
+}
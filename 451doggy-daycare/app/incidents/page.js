@@ -0,0 +1,119 @@
+"use client";
+
+import { use, useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import { toDateKey } from "../lib/dates";
+import { INCIDENT_STATUS, SEVERITIES, SEVERITY_LABELS, overdueFollowUps } from "../lib/incidentRules";
+import IncidentCard from "../components/IncidentCard";
+
+const INCIDENTS_API_URL = "/api/incidents";
+const STATUS_FILTERS = [INCIDENT_STATUS.OPEN, INCIDENT_STATUS.RESOLVED, "all"];
+
+// Manager dashboard: open incidents, serious first, with overdue follow-ups counted up top.
+// ?status=resolved|all shows the others.
+export default function Incidents({ searchParams }) {
+  const initialStatus = use(searchParams).status;
+  const [status, setStatus] = useState(() =>
+    STATUS_FILTERS.includes(initialStatus) ? initialStatus : INCIDENT_STATUS.OPEN
+  );
+  const [incidents, setIncidents] = useState([]);
+  const [dogNames, setDogNames] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const router = useRouter();
+
+  const fetchIncidents = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const resp = await fetch(`${INCIDENTS_API_URL}?status=${status}`);
+      const body = await resp.json().catch(() => ({}));
+
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to load incidents (Status: ${resp.status})`);
+      }
+      setIncidents(body.incidents);
+      setDogNames(body.dogNames);
+    } catch (err) {
+      console.error("Error fetching incidents:", err);
+      setError(err.message || "Failed to load incidents");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchIncidents();
+  }, [fetchIncidents]);
+
+  const changeStatus = (value) => {
+    setStatus(value);
+    router.replace(value === INCIDENT_STATUS.OPEN ? "/incidents" : `/incidents?status=${value}`, { scroll: false });
+  };
+
+  // Resolved incidents drop off the open list straight away
+  const replaceIncident = (updated) => {
+    setIncidents((prev) =>
+      prev
+        .map((i) => (i.id === updated.id ? updated : i))
+        .filter((i) => status === "all" || i.status === status)
+    );
+  };
+
+  const today = toDateKey(new Date());
+  const overdueCount = incidents.reduce((sum, i) => sum + overdueFollowUps(i, today).length, 0);
+  const openBySeverity = SEVERITIES.map((severity) => ({
+    severity,
+    count: incidents.filter((i) => i.status === INCIDENT_STATUS.OPEN && i.severity === severity).length,
+  })).filter(({ count }) => count > 0);
+
+  return (
+    <div>
+      <h1>Incidents</h1>
+      <button onClick={() => router.push("/dogs")}>← Back to Dog List</button>
+
+      <label>
+        Show
+        <select value={status} onChange={(e) => changeStatus(e.target.value)}>
+          <option value={INCIDENT_STATUS.OPEN}>Open incidents</option>
+          <option value={INCIDENT_STATUS.RESOLVED}>Resolved incidents</option>
+          <option value="all">All incidents</option>
+        </select>
+      </label>
+
+      {error && (
+        <div>
+          <span>
+            Oops! Something went wrong. Please try again in a moment.
+            <br />
+            If the problem persists, please contact support and provide them with the error message: {error}
+          </span>
+          <button onClick={fetchIncidents}>Try Again</button>
+        </div>
+      )}
+
+      {isLoading && <div>Loading...</div>}
+
+      {!isLoading && !error && (
+        <p role="status">
+          {openBySeverity.length === 0
+            ? "No open incidents."
+            : `Open: ${[...openBySeverity]
+                .reverse()
+                .map(({ severity, count }) => `${count} ${SEVERITY_LABELS[severity].toLowerCase()}`)
+                .join(", ")}.`}
+          {overdueCount > 0 && <strong> {overdueCount} follow-ups overdue.</strong>}
+        </p>
+      )}
+
+      {!isLoading && !error && incidents.length === 0 && status !== INCIDENT_STATUS.OPEN && (
+        <div>No incidents found.</div>
+      )}
+
+      {incidents.map((incident) => (
+        <IncidentCard key={incident.id} incident={incident} dogNames={dogNames} onChange={replaceIncident} />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,232 @@
+"use client";
+
+import { useState, useEffect, useRef } from "react";
+import { useRouter } from "next/navigation";
+import { useDogStatus } from "../context/DogStatusContext";
+import { useSession } from "../context/SessionContext";
+import { PERMISSIONS } from "../lib/roles";
+import { normalizeChipNumber } from "../lib/dogValidation";
+import PickupChooser from "../components/PickupChooser";
+import styles from "./styles.module.css";
+
+const DOGS_API_URL = "/api/dogs";
+// After a check-in/out the kiosk clears itself for the next dog
+const RESET_AFTER = 4000; // ms
+
+// Check-in kiosk for the front door. USB chip readers and barcode scanners act as a keyboard
+// (they "type" the number and press Enter), so a single always-focused input serves them and
+// staff typing a number by hand. Enter on an empty input confirms the dog on screen.
+export default function Kiosk() {
+  const [input, setInput] = useState("");
+  // { chipNumber } while looking up, then { dog } or { chipNumber, notFound: true }
+  const [scan, setScan] = useState(null);
+  const [isLookingUp, setIsLookingUp] = useState(false);
+  // { name, status } of the last dog checked in or out
+  const [done, setDone] = useState(null);
+  const [error, setError] = useState(null);
+  // Who is collecting the dog, required for a check-out
+  const [pickup, setPickup] = useState(null);
+  const inputRef = useRef(null);
+  // Answers to an older scan are dropped when a newer one is on its way
+  const latestScan = useRef(0);
+  const { changedDogs, updateStatus, isPending, statusErrors, clearError, STATUS } = useDogStatus();
+  const { can } = useSession();
+  const router = useRouter();
+
+  const dog = scan?.dog;
+  const status = dog
+    ? dog.chipNumber in changedDogs
+      ? changedDogs[dog.chipNumber]
+      : dog.present
+      ? STATUS.PRESENT
+      : STATUS.ABSENT
+    : null;
+
+  // Scanners need the input focused, so it gets the focus back after every click
+  // that is not into another field (the pickup PIN or name)
+  const focusInput = (e) => {
+    if (!e?.target.closest?.("input")) inputRef.current?.focus();
+  };
+
+  useEffect(() => {
+    if (!done) return;
+    const timer = setTimeout(() => {
+      setDone(null);
+      setScan(null);
+    }, RESET_AFTER);
+    return () => clearTimeout(timer);
+  }, [done]);
+
+  const lookUp = async (raw) => {
+    const chipNumber = normalizeChipNumber(raw);
+    if (!chipNumber) return;
+
+    const request = ++latestScan.current;
+    setDone(null);
+    setError(null);
+    setScan({ chipNumber });
+    clearError(chipNumber);
+
+    try {
+      setIsLookingUp(true);
+      const resp = await fetch(`${DOGS_API_URL}/${encodeURIComponent(chipNumber)}`);
+
+      if (request !== latestScan.current) return;
+
+      if (resp.status === 404) {
+        setScan({ chipNumber, notFound: true });
+        return;
+      }
+      if (!resp.ok) {
+        throw new Error(`Failed to look up chip (Status: ${resp.status})`);
+      }
+
+      const data = await resp.json();
+      setScan({ dog: data.dog });
+    } catch (err) {
+      console.error("Error looking up chip:", err);
+      if (request === latestScan.current) {
+        setScan(null);
+        setError(err.message || "Failed to look up chip");
+      }
+    } finally {
+      if (request === latestScan.current) setIsLookingUp(false);
+    }
+  };
+
+  const toggle = async () => {
+    if (!dog || !can(PERMISSIONS.TOGGLE_STATUS) || isPending(dog.chipNumber)) return;
+    if (status === STATUS.PRESENT ? !pickup : dog.archived) return;
+
+    const newStatus = status === STATUS.PRESENT ? STATUS.ABSENT : STATUS.PRESENT;
+    // A refused change (full day, expired vaccination, refused pickup) shows in statusErrors
+    const saved = await updateStatus(dog.chipNumber, newStatus, {
+      note: "Scanned at the kiosk",
+      pickup: newStatus === STATUS.ABSENT ? pickup : undefined,
+    });
+    if (saved) {
+      setDone({ name: dog.name, status: newStatus });
+    }
+    focusInput();
+  };
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    if (input.trim()) {
+      lookUp(input);
+      setInput("");
+    } else {
+      toggle();
+    }
+  };
+
+  return (
+    <div className={styles.kiosk} onClick={focusInput}>
+      <h1>Check-in kiosk</h1>
+      <button onClick={() => router.push("/dogs")}>← Back to Dog List</button>
+
+      {!can(PERMISSIONS.TOGGLE_STATUS) && (
+        <p role="alert">Your account can look dogs up but not check them in or out.</p>
+      )}
+
+      <form onSubmit={onSubmit}>
+        <label>
+          Scan the chip or type the number
+          <input
+            ref={inputRef}
+            className={styles.scanInput}
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            autoFocus
+            autoComplete="off"
+            spellCheck={false}
+            aria-describedby="kiosk-hint"
+          />
+        </label>
+        <button type="submit">Look up</button>
+      </form>
+      <p id="kiosk-hint">
+        <small>Press Enter again (or tap the big button) to confirm the dog shown.</small>
+      </p>
+
+      {error && (
+        <div>
+          <span>
+            Oops! Something went wrong. Please try again in a moment.
+            <br />
+            If the problem persists, please contact support and provide them with the error message: {error}
+          </span>
+        </div>
+      )}
+
+      {isLookingUp && <div>Looking up {scan?.chipNumber}...</div>}
+
+      {done && (
+        <p role="status" className={styles.done}>
+          ✓ {done.name} {done.status === STATUS.PRESENT ? "checked in" : "checked out"}
+        </p>
+      )}
+
+      {!isLookingUp && scan?.notFound && (
+        <div role="alert" className={styles.card}>
+          <h2>Chip {scan.chipNumber} is not registered</h2>
+          <p>Check the number and scan again, or enroll the dog first.</p>
+          {can(PERMISSIONS.EDIT_DOGS) ? (
+            <button onClick={() => router.push(`/dogs/new?chipNumber=${encodeURIComponent(scan.chipNumber)}`)}>
+              Enroll a new dog with this chip
+            </button>
+          ) : (
+            <p>Ask the front desk to enroll the dog.</p>
+          )}
+          <button onClick={() => setScan(null)}>Scan again</button>
+        </div>
+      )}
+
+      {!isLookingUp && dog && !done && (
+        <div className={`${styles.card} ${status === STATUS.PRESENT ? styles.present : styles.absent}`}>
+          {dog.img ? (
+            <img src={dog.img} alt={`Photo of ${dog.name}`} width="300" height="300" />
+          ) : (
+            <div>No image available</div>
+          )}
+          <h2>{dog.name}</h2>
+          <p>
+            {dog.breed} · chip {dog.chipNumber}
+          </p>
+          <p>
+            Owner: {dog.owner.name} {dog.owner.lastName}
+          </p>
+          <p>Now {status === STATUS.PRESENT ? "present" : "absent"}</p>
+
+          {dog.archived && status !== STATUS.PRESENT ? (
+            <p role="alert">This dog is archived and cannot be checked in.</p>
+          ) : (
+            can(PERMISSIONS.TOGGLE_STATUS) && (
+              <>
+                {status === STATUS.PRESENT && (
+                  <PickupChooser key={dog.chipNumber} chipNumber={dog.chipNumber} owner={dog.owner} onChange={setPickup} />
+                )}
+                <button
+                  className={styles.confirm}
+                  onClick={toggle}
+                  disabled={isPending(dog.chipNumber) || (status === STATUS.PRESENT && !pickup)}
+                >
+                  {status === STATUS.PRESENT ? `Check out ${dog.name}` : `Check in ${dog.name}`}
+                </button>
+              </>
+            )
+          )}
+
+          {statusErrors[dog.chipNumber] && (
+            <p role="alert">
+              Could not save the status change: {statusErrors[dog.chipNumber]}
+              <button onClick={() => router.push(`/dogs/${dog.chipNumber}`)}>Open dog page</button>
+            </p>
+          )}
+
+          <button onClick={() => setScan(null)}>Not this dog</button>
+        </div>
+      )}
+    </div>
+  );
+}
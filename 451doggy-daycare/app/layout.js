@@ -1,11 +1,20 @@
+import { SessionProvider } from "./context/SessionContext";
 import { DogStatusProvider } from "./context/DogStatusContext";
+import UserBar from "./components/UserBar";
+import SyncBanner from "./components/SyncBanner";
 
 export default function RootLayout({ children }) {
   return (
     <html lang="en">
       <body>
-        <DogStatusProvider>{children}</DogStatusProvider>
+        <SessionProvider>
+          <DogStatusProvider>
+            <UserBar />
+            <SyncBanner />
+            {children}
+          </DogStatusProvider>
+        </SessionProvider>
       </body>
     </html>
   );
-}
\ No newline at end of file
+}
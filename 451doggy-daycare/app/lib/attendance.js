@@ -0,0 +1,130 @@
+// Attendance persistence: present/absent per chipNumber (server only)
+
+import { EventEmitter } from "events";
+import { readCollection, updateCollection } from "./store";
+import { STATUS, isValidStatus } from "./status";
+
+const COLLECTION = "attendance";
+const EVENTS_COLLECTION = "attendance-events";
+
+export const DIRECTION = {
+  IN: "in",
+  OUT: "out",
+};
+
+// Live status changes for the /api/attendance/stream route. Kept on globalThis so every
+// route bundle (and dev hot reloads) share one emitter. Only works within one server process.
+const changes = (globalThis.__attendanceChanges ??= new EventEmitter());
+changes.setMaxListeners(0);
+
+// listener gets { chipNumber, status, updatedAt }. Returns an unsubscribe function.
+export function subscribeToAttendance(listener) {
+  changes.on("change", listener);
+  return () => changes.off("change", listener);
+}
+
+// Shape on disk: { [chipNumber]: { status, updatedAt } }
+export async function getAttendance() {
+  return readCollection(COLLECTION, {});
+}
+
+// A saved status wins over the registry's present flag
+export function statusOf(dog, attendance) {
+  return attendance[dog.chipNumber]?.status ?? (dog.present ? STATUS.PRESENT : STATUS.ABSENT);
+}
+
+export async function getDogAttendance(chipNumber) {
+  const attendance = await getAttendance();
+  return attendance[chipNumber] || null;
+}
+
+// How far back a change made offline may be dated when it is finally synced
+const MAX_BACKDATE_MS = 24 * 60 * 60 * 1000;
+
+// A replayed offline change keeps the time it was made, as long as that is recent and not in the future
+function eventTime(occurredAt) {
+  const now = Date.now();
+  const time = occurredAt ? new Date(occurredAt).getTime() : NaN;
+  if (Number.isNaN(time) || time > now || now - time > MAX_BACKDATE_MS) {
+    return new Date(now).toISOString();
+  }
+  return new Date(time).toISOString();
+}
+
+// Every change is also appended to the event log: { id, chipNumber, direction, timestamp, staff, staffId, note }
+// with staffId the username of whoever made it.
+// expectedStatus (a status, or null for "never recorded") makes the change conditional:
+// when the stored status differs, nothing is written and { conflict: currentRecord } is returned.
+// guard(attendance) runs against the stored attendance right before writing; when it returns
+// a reason nothing is written and { rejected: reason } is returned (used for capacity limits).
+// Otherwise returns { record, previous } with the record that was replaced (null when none).
+export async function setDogAttendance(
+  chipNumber,
+  status,
+  { staff = "", staffId = "", note = "", expectedStatus, occurredAt, guard } = {}
+) {
+  if (!chipNumber) {
+    throw new Error("Invalid dog identifier");
+  }
+  if (!isValidStatus(status)) {
+    throw new Error(`Invalid status "${status}"`);
+  }
+
+  const timestamp = eventTime(occurredAt);
+
+  const result = await updateCollection(COLLECTION, {}, (attendance) => {
+    const current = attendance[chipNumber] || null;
+
+    if (expectedStatus !== undefined && (current?.status ?? null) !== expectedStatus) {
+      return { data: attendance, result: { conflict: current } };
+    }
+
+    const rejected = guard?.(attendance);
+    if (rejected) {
+      return { data: attendance, result: { rejected } };
+    }
+
+    const updated = { status, updatedAt: timestamp };
+    return {
+      data: { ...attendance, [chipNumber]: updated },
+      result: { record: updated, previous: current },
+    };
+  });
+
+  if (result.conflict !== undefined || result.rejected) return result;
+
+  await updateCollection(EVENTS_COLLECTION, [], (events) => {
+    const event = {
+      id: crypto.randomUUID(),
+      chipNumber,
+      direction: status === STATUS.PRESENT ? DIRECTION.IN : DIRECTION.OUT,
+      timestamp,
+      staff: staff.trim(),
+      staffId,
+      note: note.trim(),
+    };
+    return { data: [...events, event], result: event };
+  });
+
+  changes.emit("change", { chipNumber, ...result.record });
+  return result;
+}
+
+// Oldest first. Pass a chipNumber to get one dog's log.
+export async function getAttendanceEvents(chipNumber) {
+  const events = await readCollection(EVENTS_COLLECTION, []);
+  const selected = chipNumber ? events.filter((e) => e.chipNumber === chipNumber) : events;
+  return [...selected].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// { [chipNumber]: timestamp } of every dog's latest check-in
+export async function getLastCheckIns() {
+  const events = await readCollection(EVENTS_COLLECTION, []);
+  const last = {};
+  for (const event of events) {
+    if (event.direction === DIRECTION.IN && !(last[event.chipNumber] > event.timestamp)) {
+      last[event.chipNumber] = event.timestamp;
+    }
+  }
+  return last;
+}
@@ -0,0 +1,39 @@
+// Session helpers for route handlers (server only)
+
+import { NextResponse } from "next/server";
+import { SESSION_COOKIE, verifySessionToken } from "./session";
+import { can, isStaff, OWNER_ROLE } from "./roles";
+
+// { sub, name, role } for a signed-in user, otherwise null
+export async function getSessionUser(request) {
+  const token = request.cookies.get(SESSION_COOKIE)?.value;
+  return verifySessionToken(token);
+}
+
+// Usage in a route handler:
+//   const auth = await requirePermission(request, PERMISSIONS.EDIT_DOGS);
+//   if (auth.response) return auth.response;
+// Without a permission any staff member passes. Owner sessions never do.
+export async function requirePermission(request, permission) {
+  const user = await getSessionUser(request);
+
+  if (!isStaff(user)) {
+    return { response: NextResponse.json({ error: "Please log in" }, { status: 401 }) };
+  }
+  if (permission && !can(user, permission)) {
+    return {
+      response: NextResponse.json({ error: "You are not allowed to do this" }, { status: 403 }),
+    };
+  }
+  return { user };
+}
+
+// Same as requirePermission, for the owner portal routes. user.sub is the ownerKey.
+export async function requireOwner(request) {
+  const user = await getSessionUser(request);
+
+  if (!user || user.role !== OWNER_ROLE) {
+    return { response: NextResponse.json({ error: "Please log in" }, { status: 401 }) };
+  }
+  return { user };
+}
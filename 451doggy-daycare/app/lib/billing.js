@@ -0,0 +1,184 @@
+// Billing (server only): prices, prepaid packages, payments and monthly invoices per owner.
+// Charges come from the attendance report, the rules live in billingRules.js.
+// Packages: { id, ownerKey, days, price, purchasedAt, soldBy }
+// Payments: { id, ownerKey, month, amount, method, paidOn, note, recordedBy, recordedAt }
+// Prices are kept with the day they apply from (settings.pricingHistory, see pricingOn), so a past
+// month is still billed at the prices of the time.
+
+import { readCollection, updateCollection } from "./store";
+import {
+  DEFAULT_PRICING,
+  allocatePackageDays,
+  buildInvoiceLines,
+  closeOpenStay,
+  pricingOn,
+  sumAmounts,
+  validatePackage,
+  validatePayment,
+  validatePricing,
+} from "./billingRules";
+import { hasErrors } from "./dogValidation";
+import { buildAttendanceReport } from "./reports";
+import { listOwners } from "./ownerAccounts";
+import { addDays, toDateKey } from "./dates";
+
+// Prices share the daycare-wide settings file with the capacity
+const SETTINGS_COLLECTION = "settings";
+const PACKAGES_COLLECTION = "packages";
+const PAYMENTS_COLLECTION = "payments";
+
+// Prices saved before the history was kept apply to every day up to the first change
+function historyOf(settings) {
+  return settings.pricingHistory || [{ validFrom: "", pricing: { ...DEFAULT_PRICING, ...settings.pricing } }];
+}
+
+async function getPricingHistory() {
+  return historyOf(await readCollection(SETTINGS_COLLECTION, {}));
+}
+
+// The prices that apply today
+export async function getPricing() {
+  return pricingOn(await getPricingHistory(), toDateKey(new Date()));
+}
+
+// New prices apply from today on, earlier days keep theirs. Returns { pricing } or { errors }
+// The currency only changes on the first of a month, so every invoice has one.
+export async function savePricing(input) {
+  const { pricing, errors } = validatePricing(input);
+  if (hasErrors(errors)) return { errors };
+
+  const today = toDateKey(new Date());
+  return updateCollection(SETTINGS_COLLECTION, {}, (settings) => {
+    const history = historyOf(settings);
+    if (!today.endsWith("-01") && pricing.currency !== pricingOn(history, today).currency) {
+      const error = "The currency can only be changed on the first day of a month";
+      return { data: settings, result: { errors: { currency: error } } };
+    }
+
+    // A second change on the same day replaces the first
+    const earlier = history.filter((entry) => entry.validFrom < today);
+    return {
+      data: { ...settings, pricing, pricingHistory: [...earlier, { validFrom: today, pricing }] },
+      result: { pricing },
+    };
+  });
+}
+
+export async function listPackages(ownerKey) {
+  const packages = await readCollection(PACKAGES_COLLECTION, []);
+  return ownerKey ? packages.filter((p) => p.ownerKey === ownerKey) : packages;
+}
+
+// Returns { package } or { errors }
+export async function sellPackage(input, { soldBy }) {
+  const ownerKeys = (await listOwners()).map((o) => o.ownerKey);
+  const { package: pkg, errors } = validatePackage(input, { ownerKeys });
+  if (hasErrors(errors)) return { errors };
+
+  return updateCollection(PACKAGES_COLLECTION, [], (packages) => {
+    const created = { id: crypto.randomUUID(), ...pkg, purchasedAt: new Date().toISOString(), soldBy };
+    return { data: [...packages, created], result: { package: created } };
+  });
+}
+
+export async function listPayments(ownerKey) {
+  const payments = await readCollection(PAYMENTS_COLLECTION, []);
+  return ownerKey ? payments.filter((p) => p.ownerKey === ownerKey) : payments;
+}
+
+// Returns { payment } or { errors }
+export async function recordPayment(input, { recordedBy }) {
+  const ownerKeys = (await listOwners()).map((o) => o.ownerKey);
+  const { payment, errors } = validatePayment(input, { ownerKeys });
+  if (hasErrors(errors)) return { errors };
+
+  return updateCollection(PAYMENTS_COLLECTION, [], (payments) => {
+    const created = { id: crypto.randomUUID(), ...payment, recordedBy, recordedAt: new Date().toISOString() };
+    return { data: [...payments, created], result: { payment: created } };
+  });
+}
+
+function monthRange(month) {
+  const from = `${month}-01`;
+  const [year, m] = month.split("-").map(Number);
+  const nextMonth = m === 12 ? `${year + 1}-01-01` : `${year}-${String(m + 1).padStart(2, "0")}-01`;
+  return { from, to: addDays(nextMonth, -1) };
+}
+
+// Everything an invoice needs for every owner in one pass over the attendance log
+async function billingData(month) {
+  const { from, to } = monthRange(month);
+  const [owners, pricingHistory, packages, payments] = await Promise.all([
+    listOwners(),
+    getPricingHistory(),
+    listPackages(),
+    listPayments(),
+  ]);
+
+  // Package days bought before this month may already have been used up, so start counting
+  // from the oldest package bought before the end of the month
+  const relevantPackages = packages.filter((p) => p.purchasedAt.slice(0, 10) <= to);
+  const earliest = relevantPackages.map((p) => p.purchasedAt.slice(0, 10)).sort()[0];
+  // A forgotten check-out is billed up to that day's closing time, not as a stay running until now
+  const report = await buildAttendanceReport(earliest && earliest < from ? earliest : from, to, {
+    closeOpenStay: (start) => closeOpenStay(start, pricingOn(pricingHistory, toDateKey(start))),
+  });
+
+  return { from, to, owners, pricingHistory, packages: relevantPackages, payments, report };
+}
+
+function invoiceFor(owner, month, { from, to, pricingHistory, packages, payments, report }) {
+  const chipNumbers = owner.dogs.map((d) => d.chipNumber);
+  const dogs = report.dogs.filter((d) => chipNumbers.includes(d.chipNumber));
+  const ownerPackages = packages.filter((p) => p.ownerKey === owner.ownerKey);
+
+  const { byDay, used } = allocatePackageDays(
+    dogs.flatMap((dog) => dog.days.map((day) => ({ date: day.date, chipNumber: dog.chipNumber }))),
+    ownerPackages
+  );
+
+  const lines = buildInvoiceLines({
+    dogs: dogs.map((dog) => ({ ...dog, days: dog.days.filter((day) => day.date >= from && day.date <= to) })),
+    pricingHistory,
+    packageDays: byDay,
+    packagesSold: ownerPackages.filter((p) => p.purchasedAt.slice(0, 7) === month),
+  });
+  const monthPayments = payments
+    .filter((p) => p.ownerKey === owner.ownerKey && p.month === month)
+    .sort((a, b) => a.paidOn.localeCompare(b.paidOn));
+
+  const total = sumAmounts(lines);
+  const paid = sumAmounts(monthPayments);
+
+  return {
+    number: `${month.replace("-", "")}-${owner.ownerKey}`,
+    month,
+    from,
+    to,
+    owner,
+    currency: pricingOn(pricingHistory, to).currency,
+    lines,
+    total,
+    payments: monthPayments,
+    paid,
+    balance: total - paid,
+    // Days left as of the end of this month
+    packages: ownerPackages.map((p) => ({ ...p, used: used[p.id], remaining: p.days - used[p.id] })),
+  };
+}
+
+// The invoice of one owner for a month ("YYYY-MM"), or null for an unknown owner
+export async function buildInvoice(ownerKey, month) {
+  const data = await billingData(month);
+  const owner = data.owners.find((o) => o.ownerKey === ownerKey);
+  return owner ? invoiceFor(owner, month, data) : null;
+}
+
+// One row per owner with anything to bill or pay that month: { owner, total, paid, balance }
+export async function billingSummary(month) {
+  const data = await billingData(month);
+  return data.owners
+    .map((owner) => invoiceFor(owner, month, data))
+    .filter((invoice) => invoice.lines.length > 0 || invoice.payments.length > 0)
+    .map(({ number, owner, total, paid, balance, currency }) => ({ number, owner, total, paid, balance, currency }));
+}
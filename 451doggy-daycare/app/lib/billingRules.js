@@ -0,0 +1,228 @@
+// Billing rules shared by the billing api routes and pages.
+// Money is kept in minor units (öre/cents) as whole numbers, only formatting turns it into kronor.
+
+import { addDays, isDateKey, startOfDay, toDateKey } from "./dates";
+
+export const DEFAULT_PRICING = {
+  currency: "SEK",
+  fullDay: 35000,
+  halfDay: 20000,
+  // A day with at most this many hours is a half day
+  halfDayMaxHours: 5,
+  // Off the day rate of the second, third... dog of one owner on the same day
+  siblingDiscountPercent: 10,
+  // Picked up after this time of day (HH:MM) costs latePickupFee
+  latePickupAfter: "18:00",
+  latePickupFee: 15000,
+};
+
+export const PAYMENT_METHODS = ["card", "cash", "transfer"];
+
+export const LINE_KINDS = {
+  DAY: "day",
+  SIBLING_DISCOUNT: "discount",
+  LATE_PICKUP: "late",
+  PACKAGE: "package",
+};
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export function isMonthKey(value) {
+  return typeof value === "string" && MONTH_PATTERN.test(value);
+}
+
+// "349.50" or 349.5 -> 34950, NaN for anything that is not a non-negative amount
+export function toMinorUnits(value) {
+  if (value === "" || value === null || value === undefined) return NaN;
+  const n = Number(String(value).replace(",", "."));
+  return Number.isFinite(n) && n >= 0 ? Math.round(n * 100) : NaN;
+}
+
+export function fromMinorUnits(amount) {
+  return (amount / 100).toFixed(2);
+}
+
+export function formatMoney(amount, currency = DEFAULT_PRICING.currency) {
+  return new Intl.NumberFormat(undefined, { style: "currency", currency }).format(amount / 100);
+}
+
+// Form values have amounts in kronor. Returns { pricing, errors } with amounts in minor units.
+export function validatePricing(input) {
+  const errors = {};
+  const pricing = {
+    currency: String(input?.currency || "").trim().toUpperCase(),
+    fullDay: toMinorUnits(input?.fullDay),
+    halfDay: toMinorUnits(input?.halfDay),
+    halfDayMaxHours: Number(input?.halfDayMaxHours),
+    siblingDiscountPercent: Number(input?.siblingDiscountPercent),
+    latePickupAfter: String(input?.latePickupAfter || ""),
+    latePickupFee: toMinorUnits(input?.latePickupFee),
+  };
+
+  if (!/^[A-Z]{3}$/.test(pricing.currency)) errors.currency = "Currency must be a 3-letter code like SEK";
+  for (const field of ["fullDay", "halfDay", "latePickupFee"]) {
+    if (Number.isNaN(pricing[field])) errors[field] = "Enter an amount of 0 or more";
+  }
+  if (!(pricing.halfDayMaxHours > 0 && pricing.halfDayMaxHours < 24)) {
+    errors.halfDayMaxHours = "Half day hours must be between 0 and 24";
+  }
+  if (!(pricing.siblingDiscountPercent >= 0 && pricing.siblingDiscountPercent <= 100)) {
+    errors.siblingDiscountPercent = "Discount must be between 0 and 100 percent";
+  }
+  if (!TIME_PATTERN.test(pricing.latePickupAfter)) errors.latePickupAfter = "Time must be HH:MM";
+
+  return { pricing, errors };
+}
+
+// Returns { package, errors } for a prepaid package sold to an owner (price in kronor)
+export function validatePackage(input, { ownerKeys }) {
+  const errors = {};
+  const pkg = {
+    ownerKey: String(input?.ownerKey || ""),
+    days: Number(input?.days),
+    price: toMinorUnits(input?.price),
+  };
+
+  if (!ownerKeys.includes(pkg.ownerKey)) errors.ownerKey = "Unknown owner";
+  if (!Number.isInteger(pkg.days) || pkg.days < 1 || pkg.days > 200) errors.days = "Days must be a whole number from 1 to 200";
+  if (Number.isNaN(pkg.price)) errors.price = "Enter an amount of 0 or more";
+
+  return { package: pkg, errors };
+}
+
+// Returns { payment, errors } for a payment recorded against an owner's invoice month (amount in kronor)
+export function validatePayment(input, { ownerKeys }) {
+  const errors = {};
+  const payment = {
+    ownerKey: String(input?.ownerKey || ""),
+    month: String(input?.month || ""),
+    amount: toMinorUnits(input?.amount),
+    method: String(input?.method || ""),
+    paidOn: String(input?.paidOn || ""),
+    note: typeof input?.note === "string" ? input.note.trim() : "",
+  };
+
+  if (!ownerKeys.includes(payment.ownerKey)) errors.ownerKey = "Unknown owner";
+  if (!isMonthKey(payment.month)) errors.month = "Month must be YYYY-MM";
+  if (Number.isNaN(payment.amount) || payment.amount === 0) errors.amount = "Enter an amount above 0";
+  if (!PAYMENT_METHODS.includes(payment.method)) errors.method = `Method must be one of ${PAYMENT_METHODS.join(", ")}`;
+  if (!isDateKey(payment.paidOn)) errors.paidOn = "Date is required (YYYY-MM-DD)";
+
+  return { payment, errors };
+}
+
+const minutesOfDay = (date) => date.getHours() * 60 + date.getMinutes();
+
+// The prices that applied on date. history: [{ validFrom: "YYYY-MM-DD" | "", pricing }] oldest first,
+// "" for prices saved before they were kept per day, which apply to every earlier day.
+export function pricingOn(history, date) {
+  const entry = history.findLast((e) => e.validFrom <= date) || history[0];
+  return entry ? { ...DEFAULT_PRICING, ...entry.pricing } : DEFAULT_PRICING;
+}
+
+// When a stay nobody checked out is taken to have ended: the late pickup time of the day it began,
+// or the end of that day for a dog that came in after it. It is billed as such, without a late fee.
+export function closeOpenStay(start, pricing) {
+  const date = toDateKey(start);
+  const [hour, minute] = pricing.latePickupAfter.split(":").map(Number);
+  const closing = startOfDay(date);
+  closing.setHours(hour, minute);
+  return start < closing ? closing : startOfDay(addDays(date, 1));
+}
+
+// Which package pays for each attended dog-day: oldest package first, days in date order,
+// only days on or after the package was bought. dogDays: [{ date, chipNumber }].
+// Returns { "date|chipNumber": packageId } and how many days each package has used.
+export function allocatePackageDays(dogDays, packages) {
+  const remaining = Object.fromEntries(packages.map((p) => [p.id, p.days]));
+  const byDay = {};
+  const ordered = [...packages].sort((a, b) => a.purchasedAt.localeCompare(b.purchasedAt));
+
+  for (const { date, chipNumber } of [...dogDays].sort((a, b) => a.date.localeCompare(b.date))) {
+    const pkg = ordered.find((p) => remaining[p.id] > 0 && p.purchasedAt.slice(0, 10) <= date);
+    if (!pkg) continue;
+    remaining[pkg.id] -= 1;
+    byDay[`${date}|${chipNumber}`] = pkg.id;
+  }
+
+  const used = Object.fromEntries(packages.map((p) => [p.id, p.days - remaining[p.id]]));
+  return { byDay, used };
+}
+
+// Charge lines for one owner and month.
+// dogs: [{ chipNumber, name, days: [{ date, hours, lastOut, open }] }] from the attendance report, only days in the month.
+// pricingHistory: see pricingOn, every day is charged at the prices that applied on it.
+// packageDays: from allocatePackageDays. packagesSold: packages bought in the month.
+// Lines are { date, chipNumber, dogName, kind, description, amount } in date order.
+export function buildInvoiceLines({ dogs, pricingHistory, packageDays = {}, packagesSold = [] }) {
+  const lines = [];
+
+  const byDate = {};
+  for (const dog of dogs) {
+    for (const day of dog.days) {
+      (byDate[day.date] ||= []).push({ dog, day });
+    }
+  }
+
+  for (const date of Object.keys(byDate).sort()) {
+    // The first dog of the day that is not on a package pays in full, its siblings get the discount
+    const visits = byDate[date].sort((a, b) => a.dog.name.localeCompare(b.dog.name));
+    const pricing = pricingOn(pricingHistory, date);
+    const [lateHour, lateMinute] = pricing.latePickupAfter.split(":").map(Number);
+    let billedDogs = 0;
+
+    for (const { dog, day } of visits) {
+      const line = { date, chipNumber: dog.chipNumber, dogName: dog.name };
+      const isHalfDay = day.hours <= pricing.halfDayMaxHours;
+      const rate = isHalfDay ? pricing.halfDay : pricing.fullDay;
+      // Nobody checked the dog out, so the day is billed up to closing time and flagged for staff to check
+      const label = `${isHalfDay ? "Half day" : "Full day"}${day.open ? ", no check-out recorded" : ""}`;
+
+      if (packageDays[`${date}|${dog.chipNumber}`]) {
+        lines.push({ ...line, kind: LINE_KINDS.DAY, description: `${label} (prepaid package)`, amount: 0 });
+      } else {
+        lines.push({ ...line, kind: LINE_KINDS.DAY, description: label, amount: rate });
+        if (billedDogs > 0 && pricing.siblingDiscountPercent > 0) {
+          lines.push({
+            ...line,
+            kind: LINE_KINDS.SIBLING_DISCOUNT,
+            description: `Sibling discount ${pricing.siblingDiscountPercent}%`,
+            amount: -Math.round((rate * pricing.siblingDiscountPercent) / 100),
+          });
+        }
+        billedDogs += 1;
+      }
+
+      // A stay cut at midnight ends on the next day, which is late too
+      const lastOut = new Date(day.lastOut);
+      const isLate = toDateKey(lastOut) > date || minutesOfDay(lastOut) > lateHour * 60 + lateMinute;
+      if (pricing.latePickupFee > 0 && isLate && !day.open) {
+        const pickedUp = toDateKey(lastOut) > date ? "24:00" : lastOut.toTimeString().slice(0, 5);
+        lines.push({
+          ...line,
+          kind: LINE_KINDS.LATE_PICKUP,
+          description: `Late pickup (${pickedUp})`,
+          amount: pricing.latePickupFee,
+        });
+      }
+    }
+  }
+
+  for (const pkg of packagesSold) {
+    lines.push({
+      date: pkg.purchasedAt.slice(0, 10),
+      chipNumber: null,
+      dogName: "",
+      kind: LINE_KINDS.PACKAGE,
+      description: `Prepaid package, ${pkg.days} day${pkg.days === 1 ? "" : "s"}`,
+      amount: pkg.price,
+    });
+  }
+
+  return lines.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export function sumAmounts(items) {
+  return items.reduce((sum, item) => sum + item.amount, 0);
+}
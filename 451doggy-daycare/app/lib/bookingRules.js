@@ -0,0 +1,96 @@
+// Booking rules shared by the bookings api routes and the calendar UI.
+// A booking is either one day ("single", date) or repeats on weekdays from startDate to an
+// optional endDate ("recurring"). Single days of a recurring booking can be cancelled.
+// A single day that was full when booked is "waitlisted" until a cancellation frees a place.
+
+import { addDays, countDays, isDateKey, startOfDay } from "./dates";
+
+export const BOOKING_TYPES = {
+  SINGLE: "single",
+  RECURRING: "recurring",
+};
+
+export const BOOKING_STATUS = {
+  ACTIVE: "active",
+  WAITLISTED: "waitlisted",
+  CANCELLED: "cancelled",
+};
+
+// Recurring bookings run at most this many days ahead, so every day they take is checked against
+// capacity when they are made. Without an end date they end there; booking again extends them.
+export const BOOKING_HORIZON_DAYS = 90;
+
+// Longest range the calendar endpoints return in one go
+export const MAX_CALENDAR_DAYS = 62;
+
+// Index = Date#getDay()
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+export function isWaitlistedOn(booking, date) {
+  return booking.status === BOOKING_STATUS.WAITLISTED && booking.date === date;
+}
+
+export function occursOn(booking, date) {
+  if (booking.status !== BOOKING_STATUS.ACTIVE) return false;
+  if (booking.cancelledDates?.includes(date)) return false;
+
+  if (booking.type === BOOKING_TYPES.SINGLE) return booking.date === date;
+
+  if (date < booking.startDate || (booking.endDate && date > booking.endDate)) return false;
+  return booking.weekdays.includes(startOfDay(date).getDay());
+}
+
+// Cleans a new booking from a form or request body. Returns { booking, errors }.
+// today stops bookings in the past and repeating ones beyond BOOKING_HORIZON_DAYS.
+export function validateBooking(input, { today, chipNumbers }) {
+  const errors = {};
+  const type = input?.type === BOOKING_TYPES.RECURRING ? BOOKING_TYPES.RECURRING : BOOKING_TYPES.SINGLE;
+  const chipNumber = String(input?.chipNumber || "").trim();
+
+  if (!chipNumbers.includes(chipNumber)) errors.chipNumber = "Choose a dog";
+
+  let booking;
+  if (type === BOOKING_TYPES.SINGLE) {
+    booking = { chipNumber, type, date: String(input?.date || "") };
+    if (!isDateKey(booking.date)) errors.date = "Date is required (YYYY-MM-DD)";
+    else if (booking.date < today) errors.date = "Date cannot be in the past";
+  } else {
+    const horizon = addDays(today, BOOKING_HORIZON_DAYS);
+    const weekdays = [...new Set((Array.isArray(input?.weekdays) ? input.weekdays : []).map(Number))]
+      .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+      .sort();
+    booking = {
+      chipNumber,
+      type,
+      weekdays,
+      startDate: String(input?.startDate || ""),
+      endDate: input?.endDate ? String(input.endDate) : horizon,
+    };
+    if (weekdays.length === 0) errors.weekdays = "Pick at least one weekday";
+    if (!isDateKey(booking.startDate)) errors.startDate = "Start date is required (YYYY-MM-DD)";
+    else if (booking.startDate < today) errors.startDate = "Start date cannot be in the past";
+    else if (booking.startDate > horizon) errors.startDate = `Start date can be at most ${BOOKING_HORIZON_DAYS} days ahead`;
+    if (!isDateKey(booking.endDate)) errors.endDate = "End date must be YYYY-MM-DD";
+    else if (!errors.startDate && booking.endDate < booking.startDate) errors.endDate = "End date must be after the start date";
+    else if (booking.endDate > horizon) {
+      errors.endDate = `End date can be at most ${BOOKING_HORIZON_DAYS} days ahead, book again later to go on`;
+    }
+  }
+
+  return { booking, errors };
+}
+
+export function describeBooking(booking) {
+  if (booking.status === BOOKING_STATUS.WAITLISTED) return `${booking.date} (waitlist)`;
+  if (booking.type === BOOKING_TYPES.SINGLE) return booking.date;
+  const days = booking.weekdays.map((d) => WEEKDAYS[d]).join("/");
+  return `Every ${days} from ${booking.startDate}${booking.endDate ? ` to ${booking.endDate}` : ""}`;
+}
+
+// Checks the ?from=&to= range of a calendar request. Returns an error message or null.
+export function checkCalendarRange(from, to) {
+  if (!isDateKey(from) || !isDateKey(to)) return "Dates must be in YYYY-MM-DD format";
+  if (from > to) return "\"from\" must be on or before \"to\"";
+  if (countDays(from, to) > MAX_CALENDAR_DAYS) return `The calendar can show at most ${MAX_CALENDAR_DAYS} days`;
+  return null;
+}
@@ -0,0 +1,178 @@
+// Daycare bookings and the waitlist (server only). Rules for what a booking looks like live
+// in bookingRules.js, capacity limits in capacityRules.js.
+// Stored as { id, chipNumber, type, date | weekdays/startDate/endDate, cancelledDates,
+//             status, createdBy, createdAt, cancelledAt, promotedAt }
+
+import { readCollection, updateCollection } from "./store";
+import {
+  validateBooking,
+  occursOn,
+  isWaitlistedOn,
+  BOOKING_STATUS,
+  BOOKING_TYPES,
+} from "./bookingRules";
+import { reachedLimit } from "./capacityRules";
+import { getCapacity } from "./capacity";
+import { hasErrors } from "./dogValidation";
+import { listDogs } from "./dogs";
+import { eachDay, toDateKey } from "./dates";
+
+const COLLECTION = "bookings";
+
+// Pass chipNumbers to only get bookings for those dogs (used by the owner portal)
+export async function listBookings({ chipNumbers } = {}) {
+  const bookings = await readCollection(COLLECTION, []);
+  return chipNumbers ? bookings.filter((b) => chipNumbers.includes(b.chipNumber)) : bookings;
+}
+
+export async function getBooking(id) {
+  const bookings = await readCollection(COLLECTION, []);
+  return bookings.find((b) => b.id === id) || null;
+}
+
+// Days a new booking would take a place on. A repeating booking ends within BOOKING_HORIZON_DAYS
+// (see validateBooking), so all of its days are checked.
+function bookedDates(booking) {
+  if (booking.type === BOOKING_TYPES.SINGLE) return [booking.date];
+  return eachDay(booking.startDate, booking.endDate).filter((date) => occursOn({ ...booking, status: BOOKING_STATUS.ACTIVE, cancelledDates: [] }, date));
+}
+
+// Why chipNumber cannot get a place on date (see reachedLimit), or null when it can
+function limitOn(bookings, date, chipNumber, { capacity, playGroups }) {
+  const booked = new Set(bookings.filter((b) => occursOn(b, date)).map((b) => b.chipNumber));
+  if (booked.has(chipNumber)) return null;
+  return reachedLimit(capacity, [...booked].map((chip) => playGroups[chip] || ""), playGroups[chipNumber] || "");
+}
+
+async function capacityContext() {
+  const [capacity, dogs] = await Promise.all([getCapacity(), listDogs()]);
+  return { capacity, playGroups: Object.fromEntries(dogs.map((d) => [d.chipNumber, d.playGroup])) };
+}
+
+// Returns { booking, waitlisted: [dates] } or { errors }, or { full: [dates] } when some days are at
+// capacity. With input.waitlist the full days go on the waitlist instead: a single booking
+// becomes a waitlisted one, a recurring booking skips those days and gets a waitlisted
+// booking for each of them.
+// chipNumbers limits which dogs may be booked.
+export async function createBooking(input, { createdBy, chipNumbers }) {
+  const allowed = chipNumbers || (await listDogs()).map((d) => d.chipNumber);
+  const today = toDateKey(new Date());
+  const { booking, errors } = validateBooking(input, { today, chipNumbers: allowed });
+  if (hasErrors(errors)) return { errors };
+
+  const context = await capacityContext();
+
+  return updateCollection(COLLECTION, [], (bookings) => {
+    if (
+      booking.type === BOOKING_TYPES.SINGLE &&
+      bookings.some((b) => b.chipNumber === booking.chipNumber && (occursOn(b, booking.date) || isWaitlistedOn(b, booking.date)))
+    ) {
+      return { data: bookings, result: { errors: { date: "This dog is already booked on that day" } } };
+    }
+
+    const full = bookedDates(booking).filter((date) => limitOn(bookings, date, booking.chipNumber, context));
+
+    if (full.length > 0 && input.waitlist !== true) {
+      return { data: bookings, result: { full } };
+    }
+
+    const createdAt = new Date().toISOString();
+    const newBooking = (fields) => ({
+      id: crypto.randomUUID(),
+      ...fields,
+      cancelledDates: [],
+      status: BOOKING_STATUS.ACTIVE,
+      createdBy,
+      createdAt,
+    });
+
+    if (booking.type === BOOKING_TYPES.SINGLE) {
+      const created = { ...newBooking(booking), status: full.length > 0 ? BOOKING_STATUS.WAITLISTED : BOOKING_STATUS.ACTIVE };
+      return { data: [...bookings, created], result: { booking: created, waitlisted: full } };
+    }
+
+    // Full days are left out of the recurring booking, like a cancelled day, and waitlisted one by one
+    const created = { ...newBooking(booking), cancelledDates: full };
+    const waitlist = full.map((date) => ({
+      ...newBooking({ chipNumber: booking.chipNumber, type: BOOKING_TYPES.SINGLE, date }),
+      status: BOOKING_STATUS.WAITLISTED,
+    }));
+    return { data: [...bookings, created, ...waitlist], result: { booking: created, waitlisted: full } };
+  });
+}
+
+// Gives freed places on dates to the waitlist, first come first served.
+// Returns the promoted bookings; bookings is changed in place.
+function promoteWaitlist(bookings, dates, context) {
+  const promoted = [];
+
+  for (const date of dates) {
+    const waiting = bookings
+      .filter((b) => isWaitlistedOn(b, date))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const candidate of waiting) {
+      if (limitOn(bookings, date, candidate.chipNumber, context)) continue;
+      const index = bookings.indexOf(candidate);
+      bookings[index] = { ...candidate, status: BOOKING_STATUS.ACTIVE, promotedAt: new Date().toISOString() };
+      promoted.push(bookings[index]);
+    }
+  }
+  return promoted;
+}
+
+// Cancels the whole booking, or with a date only that day of a recurring booking.
+// Returns { booking, promoted: bookings moved off the waitlist into the freed places },
+// or null when the booking does not exist.
+export async function cancelBooking(id, date) {
+  const context = await capacityContext();
+  const today = toDateKey(new Date());
+
+  return updateCollection(COLLECTION, [], (bookings) => {
+    const booking = bookings.find((b) => b.id === id);
+    if (!booking) return { data: bookings, result: null };
+
+    const cancelWhole = !date || booking.type === BOOKING_TYPES.SINGLE;
+    const updated = cancelWhole
+      ? { ...booking, status: BOOKING_STATUS.CANCELLED, cancelledAt: new Date().toISOString() }
+      : { ...booking, cancelledDates: [...new Set([...booking.cancelledDates, date])].sort() };
+
+    // Only days the booking really held a place on, and not those already over
+    const waitlistDates = [...new Set(bookings.filter((b) => b.status === BOOKING_STATUS.WAITLISTED).map((b) => b.date))];
+    const freed = (cancelWhole ? waitlistDates : [date]).filter((d) => d >= today && occursOn(booking, d));
+
+    const data = bookings.map((b) => (b.id === id ? updated : b));
+    const promoted = promoteWaitlist(data, freed, context);
+    return { data, result: { booking: updated, promoted } };
+  });
+}
+
+// { "YYYY-MM-DD": [{ bookingId, chipNumber, name, waitlisted }] } for every day from..to,
+// booked dogs first, then the waitlist in order
+export async function bookingCalendar(from, to, { chipNumbers } = {}) {
+  const [bookings, dogs] = await Promise.all([listBookings({ chipNumbers }), listDogs()]);
+  const names = Object.fromEntries(dogs.map((d) => [d.chipNumber, d.name]));
+  const entry = (waitlisted) => (b) => ({ bookingId: b.id, chipNumber: b.chipNumber, name: names[b.chipNumber], waitlisted });
+
+  const days = {};
+  for (const date of eachDay(from, to)) {
+    const known = bookings.filter((b) => b.chipNumber in names);
+    days[date] = [
+      ...known
+        .filter((b) => occursOn(b, date))
+        .map(entry(false))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+      ...known
+        .filter((b) => isWaitlistedOn(b, date))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(entry(true)),
+    ];
+  }
+  return days;
+}
+
+// Dogs expected on one day (defaults to today), not counting the waitlist
+export async function expectedOn(date = toDateKey(new Date())) {
+  const days = await bookingCalendar(date, date);
+  return days[date].filter((b) => !b.waitlisted);
+}
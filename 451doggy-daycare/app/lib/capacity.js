@@ -0,0 +1,53 @@
+// Capacity settings and the check-in limit (server only). Rules live in capacityRules.js.
+
+import { readCollection, updateCollection } from "./store";
+import { NO_CAPACITY, reachedLimit, validateCapacity } from "./capacityRules";
+import { occursOn } from "./bookingRules";
+import { hasErrors } from "./dogValidation";
+import { listDogs } from "./dogs";
+import { STATUS } from "./status";
+import { statusOf } from "./attendance";
+import { toDateKey } from "./dates";
+
+// Daycare-wide settings: { capacity }
+const COLLECTION = "settings";
+// Read directly rather than through bookings.js, which uses getCapacity
+const BOOKINGS = "bookings";
+
+export async function getCapacity() {
+  const settings = await readCollection(COLLECTION, {});
+  return { ...NO_CAPACITY, ...settings.capacity };
+}
+
+// Returns { capacity } or { errors }
+export async function saveCapacity(input) {
+  const { capacity, errors } = validateCapacity(input);
+  if (hasErrors(errors)) return { errors };
+
+  return updateCollection(COLLECTION, {}, (settings) => ({
+    data: { ...settings, capacity },
+    result: { capacity },
+  }));
+}
+
+// Builds the check for checking chipNumber in: a function that takes the stored attendance
+// and returns which limit is reached (see reachedLimit), or null while there is room.
+// Meant for setDogAttendance's guard option so the count and the write happen together.
+// Only dogs checked in today count, a dog nobody checked out on an earlier day takes no place.
+// Dogs booked for today keep their place until they arrive or are marked absent, so walk-ins
+// and bookings share the one limit.
+export async function checkInGuard(chipNumber) {
+  const [dogs, capacity, bookings] = await Promise.all([listDogs(), getCapacity(), readCollection(BOOKINGS, [])]);
+  const playGroup = dogs.find((d) => d.chipNumber === chipNumber)?.playGroup || "";
+
+  return (attendance) => {
+    const today = toDateKey(new Date());
+    const booked = new Set(bookings.filter((b) => occursOn(b, today)).map((b) => b.chipNumber));
+    const seenToday = (dog) => attendance[dog.chipNumber] && toDateKey(attendance[dog.chipNumber].updatedAt) === today;
+    const occupants = dogs
+      .filter((dog) => dog.chipNumber !== chipNumber)
+      .filter((dog) => (seenToday(dog) ? statusOf(dog, attendance) === STATUS.PRESENT : booked.has(dog.chipNumber) && !dog.archived))
+      .map((dog) => dog.playGroup || "");
+    return reachedLimit(capacity, occupants, playGroup);
+  };
+}
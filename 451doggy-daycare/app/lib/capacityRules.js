@@ -0,0 +1,46 @@
+// Daycare capacity rules, shared by the settings page, the bookings and the check-in route.
+// capacity: { daily: number | null, playGroups: [{ name, limit }] }
+// daily caps all dogs on a day, a play group limit only the dogs with that dog.playGroup.
+
+export const NO_CAPACITY = { daily: null, playGroups: [] };
+
+function limit(value) {
+  if (value === "" || value === null || value === undefined) return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : NaN;
+}
+
+// Returns { capacity, errors }. Errors are keyed "daily" and "playGroups.<index>".
+export function validateCapacity(input) {
+  const errors = {};
+  const daily = limit(input?.daily);
+  if (Number.isNaN(daily)) errors.daily = "Daily capacity must be a whole number above 0, or empty for no limit";
+
+  const playGroups = (Array.isArray(input?.playGroups) ? input.playGroups : [])
+    .map((g) => ({ name: String(g?.name || "").trim().toLowerCase(), limit: limit(g?.limit) }))
+    .filter((g) => g.name || g.limit !== null);
+
+  playGroups.forEach((group, index) => {
+    if (!group.name) errors[`playGroups.${index}`] = "Play group needs a name";
+    else if (!group.limit || Number.isNaN(group.limit)) {
+      errors[`playGroups.${index}`] = "Play group limit must be a whole number above 0";
+    } else if (playGroups.findIndex((g) => g.name === group.name) !== index) {
+      errors[`playGroups.${index}`] = "Play group names must be unique";
+    }
+  });
+
+  return { capacity: { daily, playGroups }, errors };
+}
+
+// Why one more dog of playGroup would not fit next to the dogs already counted for the day,
+// or null when it does. occupants is the playGroup ("" for none) of every dog already counted.
+export function reachedLimit(capacity, occupants, playGroup) {
+  if (capacity.daily && occupants.length >= capacity.daily) {
+    return `the daily limit of ${capacity.daily} dogs`;
+  }
+  const group = playGroup && capacity.playGroups.find((g) => g.name === playGroup);
+  if (group && occupants.filter((p) => p === playGroup).length >= group.limit) {
+    return `the ${group.name} play group limit of ${group.limit} dogs`;
+  }
+  return null;
+}
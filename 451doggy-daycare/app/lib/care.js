@@ -0,0 +1,161 @@
+// Daily care log (server only), see careRules.js for the shapes.
+// care-tasks: { [chipNumber]: [task] }, care-log: [entry]
+
+import { readCollection, updateCollection } from "./store";
+import { hasErrors } from "./dogValidation";
+import { getDog, listDogs } from "./dogs";
+import { DIRECTION, getAttendance, getAttendanceEvents, statusOf } from "./attendance";
+import { STATUS } from "./status";
+import { startOfDay, toDateKey } from "./dates";
+import { compareTasks, isTaskOverdue, validateCareTask, validateCareEntry } from "./careRules";
+
+const TASKS_COLLECTION = "care-tasks";
+const LOG_COLLECTION = "care-log";
+
+// Whether the dog was here at some point of date: checked in that day, or still in from before it.
+// events are the dog's attendance events, oldest first.
+function wasHereOn(events, date) {
+  const dayStart = startOfDay(date).toISOString();
+  const before = events.filter((e) => e.timestamp < dayStart).at(-1);
+  return (
+    before?.direction === DIRECTION.IN ||
+    events.some((e) => e.direction === DIRECTION.IN && toDateKey(e.timestamp) === date)
+  );
+}
+
+// When the dog first arrived on date, or null when it was not checked in that day
+function firstCheckInOn(events, date) {
+  return events.find((e) => e.direction === DIRECTION.IN && toDateKey(e.timestamp) === date)?.timestamp ?? null;
+}
+
+// When the dog left for the day on date: its last event that day when that is a check-out, otherwise null
+function lastCheckOutOn(events, date) {
+  const last = events.filter((e) => toDateKey(e.timestamp) === date).at(-1);
+  return last?.direction === DIRECTION.OUT ? last.timestamp : null;
+}
+
+export async function listCareTasks(chipNumber) {
+  const tasks = await readCollection(TASKS_COLLECTION, {});
+  return [...(tasks[chipNumber] || [])].sort(compareTasks);
+}
+
+// Returns { task } or { errors }
+export async function addCareTask(chipNumber, input, { createdBy = "" } = {}) {
+  const { task, errors } = validateCareTask(input);
+  if (hasErrors(errors)) return { errors };
+
+  const saved = { id: crypto.randomUUID(), ...task, createdBy, createdAt: new Date().toISOString() };
+  return updateCollection(TASKS_COLLECTION, {}, (tasks) => ({
+    data: { ...tasks, [chipNumber]: [...(tasks[chipNumber] || []), saved] },
+    result: { task: saved },
+  }));
+}
+
+// Entries already logged for the task stay in the log. Returns false when the dog has no such task.
+export function removeCareTask(chipNumber, id) {
+  return updateCollection(TASKS_COLLECTION, {}, (tasks) => {
+    const list = tasks[chipNumber] || [];
+    if (!list.some((task) => task.id === id)) return { data: tasks, result: false };
+    return { data: { ...tasks, [chipNumber]: list.filter((task) => task.id !== id) }, result: true };
+  });
+}
+
+// One dog's day: { date, tasks: [{ ...task, entry, overdue }], entries } where entry is the log
+// entry that ticked the task off (or null) and entries is everything logged that day, oldest first.
+// Tasks are only overdue on days the dog was here.
+export async function getCareDay(chipNumber, date) {
+  const [tasks, log, events, attendance, dog] = await Promise.all([
+    listCareTasks(chipNumber),
+    readCollection(LOG_COLLECTION, []),
+    getAttendanceEvents(chipNumber),
+    getAttendance(),
+    getDog(chipNumber),
+  ]);
+  const wasHere =
+    wasHereOn(events, date) ||
+    (date === toDateKey(new Date()) && !!dog && statusOf(dog, attendance) === STATUS.PRESENT);
+  const stay = { checkedInAt: firstCheckInOn(events, date), checkedOutAt: lastCheckOutOn(events, date) };
+  const entries = log
+    .filter((e) => e.chipNumber === chipNumber && e.date === date)
+    .sort((a, b) => a.doneAt.localeCompare(b.doneAt));
+
+  return {
+    date,
+    // A task added later was not on that day's schedule
+    tasks: tasks.filter((task) => toDateKey(task.createdAt) <= date).map((task) => {
+      const entry = entries.find((e) => e.taskId === task.id) || null;
+      return { ...task, entry, overdue: !entry && wasHere && isTaskOverdue(task, date, new Date(), stay) };
+    }),
+    entries,
+  };
+}
+
+// Ticks off a scheduled task (input.taskId) or logs something done off schedule.
+// Returns { entry }, { errors }, or { alreadyDone: entry } when the task was ticked off that day already.
+export async function logCare(chipNumber, input, { staff = "" } = {}) {
+  const date = input?.date || toDateKey(new Date());
+  const tasks = await listCareTasks(chipNumber);
+  const task = input?.taskId ? tasks.find((t) => t.id === input.taskId) : null;
+
+  if (input?.taskId && !task) return { errors: { taskId: "This task is no longer on the schedule" } };
+
+  // A scheduled task brings its own kind and label
+  const details = task ? { ...input, kind: task.kind, label: task.label, date } : { ...input, date };
+  const { entry, errors } = validateCareEntry(details);
+  if (task && !errors.date && entry.date < toDateKey(task.createdAt)) {
+    errors.taskId = "This task was not on the schedule yet that day";
+  }
+  if (hasErrors(errors)) return { errors };
+
+  return updateCollection(LOG_COLLECTION, [], (log) => {
+    const done = task && log.find((e) => e.chipNumber === chipNumber && e.date === date && e.taskId === task.id);
+    if (done) return { data: log, result: { alreadyDone: done } };
+
+    const saved = {
+      id: crypto.randomUUID(),
+      chipNumber,
+      ...entry,
+      taskId: task?.id || null,
+      doneAt: new Date().toISOString(),
+      staff,
+    };
+    return { data: [...log, saved], result: { entry: saved } };
+  });
+}
+
+// Undo a tick made by mistake. Returns false when the dog has no such entry.
+export function removeCareEntry(chipNumber, id) {
+  return updateCollection(LOG_COLLECTION, [], (log) => {
+    if (!log.some((e) => e.chipNumber === chipNumber && e.id === id)) return { data: log, result: false };
+    return { data: log.filter((e) => e.id !== id), result: true };
+  });
+}
+
+// Today's overdue tasks of every dog that is here now, earliest first:
+// [{ chipNumber, name, task }]. Like the check-in capacity, only dogs checked in today count as here,
+// a dog nobody checked out on an earlier day is not.
+export async function listOverdueCareTasks() {
+  const [dogs, attendance, tasks, log, events] = await Promise.all([
+    listDogs(),
+    getAttendance(),
+    readCollection(TASKS_COLLECTION, {}),
+    readCollection(LOG_COLLECTION, []),
+    getAttendanceEvents(),
+  ]);
+  const now = new Date();
+  const today = toDateKey(now);
+  const doneToday = new Set(
+    log.filter((e) => e.date === today && e.taskId).map((e) => `${e.chipNumber}/${e.taskId}`)
+  );
+
+  return dogs
+    .filter((dog) => statusOf(dog, attendance) === STATUS.PRESENT)
+    .flatMap((dog) => {
+      const checkedInAt = firstCheckInOn(events.filter((e) => e.chipNumber === dog.chipNumber), today);
+      if (!checkedInAt) return [];
+      return (tasks[dog.chipNumber] || [])
+        .filter((task) => !doneToday.has(`${dog.chipNumber}/${task.id}`) && isTaskOverdue(task, today, now, { checkedInAt }))
+        .map((task) => ({ chipNumber: dog.chipNumber, name: dog.name, task }));
+    })
+    .sort((a, b) => compareTasks(a.task, b.task));
+}
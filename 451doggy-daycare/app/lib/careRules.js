@@ -0,0 +1,90 @@
+// Daily care log, shared by the care components and the /api/dogs/:chipNumber/care routes.
+// Scheduled tasks repeat every day the dog is here: { id, kind, label, time: "HH:MM", createdBy, createdAt }.
+// Log entries: { id, chipNumber, date: "YYYY-MM-DD", taskId, kind, label, note, doneAt, staff }
+// with taskId null for something done off schedule (an extra walk, a meal the owner asked for).
+
+import { isDateKey, startOfDay, toDateKey } from "./dates";
+
+export const CARE_KINDS = {
+  MEAL: "meal",
+  MEDICATION: "medication",
+  WALK: "walk",
+  POTTY: "potty",
+};
+
+export const CARE_KIND_LABELS = {
+  [CARE_KINDS.MEAL]: "Meal",
+  [CARE_KINDS.MEDICATION]: "Medication",
+  [CARE_KINDS.WALK]: "Walk",
+  [CARE_KINDS.POTTY]: "Potty break",
+};
+
+// A task counts as overdue this long after its time, so "12:00" at 12:05 is not flagged yet
+export const OVERDUE_AFTER_MINUTES = 30;
+
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+function text(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function minutesOf(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+// A task not done on day (a date key) is overdue once now is past the grace period after the
+// latest of its time that day, the dog's check-in that day (checkedInAt) and when the task was added,
+// so an 08:00 meal is not overdue the moment a dog arriving at 10:00 walks in.
+// Nor is it when the dog left for the day (checkedOutAt) before then.
+// Future days and days before the task was added never are. Whether the dog was here that day is up to the caller.
+export function isTaskOverdue(task, day, now = new Date(), { checkedInAt = null, checkedOutAt = null } = {}) {
+  if (task.createdAt && day < toDateKey(task.createdAt)) return false;
+  if (day > toDateKey(now)) return false;
+
+  const scheduled = startOfDay(day);
+  scheduled.setMinutes(minutesOf(task.time));
+  const laterStarts = [checkedInAt, task.createdAt]
+    .filter((time) => time && toDateKey(time) === day)
+    .map((time) => new Date(time).getTime());
+  const due = Math.max(scheduled.getTime(), ...laterStarts);
+  if (checkedOutAt && new Date(checkedOutAt).getTime() < due) return false;
+  return new Date(now).getTime() >= due + OVERDUE_AFTER_MINUTES * 60 * 1000;
+}
+
+// Earliest first
+export function compareTasks(a, b) {
+  return a.time.localeCompare(b.time) || a.label.localeCompare(b.label);
+}
+
+// Returns { task, errors } with task = { kind, label, time }
+export function validateCareTask(input) {
+  const errors = {};
+  const task = { kind: text(input?.kind), label: text(input?.label), time: text(input?.time) };
+
+  if (!Object.values(CARE_KINDS).includes(task.kind)) errors.kind = "Choose the kind of task";
+  if (!task.label) errors.label = "Say what to do, e.g. insulin 2 units or half a cup of kibble";
+  else if (task.label.length > 100) errors.label = "Keep it to 100 characters or less";
+  if (!TIME_PATTERN.test(task.time)) errors.time = "Time must look like 12:00";
+
+  return { task, errors };
+}
+
+// Something done off schedule. Returns { entry, errors } with entry = { kind, label, note, date }.
+export function validateCareEntry(input) {
+  const errors = {};
+  const entry = {
+    kind: text(input?.kind),
+    label: text(input?.label),
+    note: text(input?.note),
+    date: text(input?.date),
+  };
+
+  if (!Object.values(CARE_KINDS).includes(entry.kind)) errors.kind = "Choose what was done";
+  if (entry.label.length > 100) errors.label = "Keep it to 100 characters or less";
+  if (entry.note.length > 500) errors.note = "Keep the note to 500 characters or less";
+  if (!isDateKey(entry.date)) errors.date = "Date must be a valid day";
+  else if (entry.date > toDateKey(new Date())) errors.date = "Care cannot be logged for a day still to come";
+
+  return { entry, errors };
+}
@@ -0,0 +1,47 @@
+// Date helpers shared by the reports and later day-based features.
+// Days are "YYYY-MM-DD" strings in the daycare's local time.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export function toDateKey(date) {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+// Also rejects days that do not exist, such as 2024-02-31, which Date would roll into March
+export function isDateKey(value) {
+  return typeof value === "string" && DATE_PATTERN.test(value) && toDateKey(startOfDay(value)) === value;
+}
+
+// Local midnight at the start of the given day
+export function startOfDay(dateKey) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return new Date(year, month - 1, day);
+}
+
+export function addDays(dateKey, days) {
+  const d = startOfDay(dateKey);
+  d.setDate(d.getDate() + days);
+  return toDateKey(d);
+}
+
+// How many days from "from" to "to", both included. Counted in UTC so daylight saving does not
+// shorten or stretch a day, and without building the list, so it is safe on any range.
+export function countDays(from, to) {
+  const utc = (dateKey) => {
+    const [year, month, day] = dateKey.split("-").map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((utc(to) - utc(from)) / 86400000) + 1;
+}
+
+// Every day from "from" to "to", both included
+export function eachDay(from, to) {
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+}
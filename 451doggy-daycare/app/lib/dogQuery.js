@@ -0,0 +1,140 @@
+// Search, facets, sort and paging for the Dog List (server only).
+// Sort keys, facets and limits are in dogQueryRules.js so the list can offer the same options.
+
+import { listDogs } from "./dogs";
+import { getAttendance, getLastCheckIns, statusOf } from "./attendance";
+import { getVaccinationChecks } from "./health";
+import { vaccinationStatus, VACCINATION_STATUS } from "./healthRules";
+import { expectedOn } from "./bookings";
+import { fuzzyMatches } from "./fuzzy";
+import { SORT_KEYS, EXPECTED_FILTER, FACETS, AGE_RANGES, ageRangeOf } from "./dogQueryRules";
+import { SEXES } from "./dogValidation";
+import { STATUS } from "./status";
+
+const byText = (field) => (a, b) => field(a).localeCompare(field(b));
+
+const COMPARATORS = {
+  [SORT_KEYS.NAME]: byText((dog) => dog.name),
+  [SORT_KEYS.BREED]: byText((dog) => dog.breed || ""),
+  [SORT_KEYS.AGE]: (a, b) => a.age - b.age,
+  [SORT_KEYS.OWNER]: byText((dog) => `${dog.owner?.lastName || ""} ${dog.owner?.name || ""}`),
+  [SORT_KEYS.LAST_CHECK_IN]: byText((dog) => dog.lastCheckIn || ""),
+};
+
+// The facet value of a dog, and the values always listed (with 0 counts) for fixed facets
+const FACET_VALUE = {
+  [FACETS.BREED]: (dog) => dog.breed,
+  [FACETS.SEX]: (dog) => dog.sex,
+  [FACETS.AGE]: (dog) => ageRangeOf(dog.age),
+  [FACETS.VACCINATION]: (dog) => dog.vaccination,
+};
+
+const FIXED_FACET_VALUES = {
+  [FACETS.BREED]: [],
+  [FACETS.SEX]: SEXES,
+  [FACETS.AGE]: AGE_RANGES.map((range) => range.value),
+  [FACETS.VACCINATION]: Object.values(VACCINATION_STATUS),
+};
+
+function searchableText(dog, { searchPhone }) {
+  const texts = [dog.name, dog.chipNumber, dog.breed, dog.owner?.name, dog.owner?.lastName];
+  // Digits only, so "070-123" and "070123" find the same owner
+  if (searchPhone && dog.owner?.phoneNumber) texts.push(dog.owner.phoneNumber.replace(/\D/g, ""));
+  return texts;
+}
+
+// Phone numbers are searched without their spaces and dashes too
+const withoutPhoneSeparators = (q) => q.replace(/(\d)[\s-]+(?=\d)/g, "$1");
+
+const matchesFacets = (dog, facets, skip) =>
+  Object.entries(facets).every(
+    ([name, values]) => name === skip || values.length === 0 || values.includes(FACET_VALUE[name](dog))
+  );
+
+// [{ value, count }] per facet, counted over the dogs matching everything but that facet's own
+// selection, so the counts say how many dogs picking that value would add
+function countFacets(dogs, facets) {
+  const counts = {};
+  for (const name of Object.values(FACETS)) {
+    // Picked values stay listed even when nothing matches them any more, so they can be unpicked
+    const listed = [...FIXED_FACET_VALUES[name], ...(facets[name] || [])];
+    const tally = Object.fromEntries(listed.map((value) => [value, 0]));
+    for (const dog of dogs) {
+      if (!matchesFacets(dog, facets, name)) continue;
+      const value = FACET_VALUE[name](dog);
+      if (value) tally[value] = (tally[value] || 0) + 1;
+    }
+
+    const entries = Object.entries(tally).map(([value, count]) => ({ value, count }));
+    // Breeds by how common they are, the fixed facets keep their own order
+    counts[name] = FIXED_FACET_VALUES[name].length
+      ? entries
+      : entries.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  }
+  return counts;
+}
+
+// Every dog matching the search, status and facets in the requested order, each with status,
+// lastCheckIn and vaccination added, plus the facet counts: { dogs, facets }.
+// status is a STATUS value or EXPECTED_FILTER (booked today). facets: { breed: [...], sex: [...], ... }.
+// searchPhone lets q match owner phone numbers, only for staff allowed to see them.
+export async function findDogs({
+  q = "",
+  status = STATUS.ALL,
+  facets = {},
+  sort = SORT_KEYS.NAME,
+  dir = "asc",
+  searchPhone = false,
+} = {}) {
+  const dogs = await listDogs();
+  const [attendance, lastCheckIns, expected, checks] = await Promise.all([
+    getAttendance(),
+    getLastCheckIns(),
+    status === EXPECTED_FILTER ? expectedOn() : [],
+    getVaccinationChecks(dogs.map((dog) => dog.chipNumber)),
+  ]);
+  const expectedChips = expected.map((b) => b.chipNumber);
+  const search = searchPhone ? withoutPhoneSeparators(q) : q;
+
+  const searched = dogs
+    .map((dog) => ({
+      ...dog,
+      status: statusOf(dog, attendance),
+      lastCheckIn: lastCheckIns[dog.chipNumber] || null,
+      vaccination: vaccinationStatus(checks[dog.chipNumber]),
+    }))
+    .filter((dog) => fuzzyMatches(search, searchableText(dog, { searchPhone })))
+    .filter((dog) => {
+      if (status === EXPECTED_FILTER) return expectedChips.includes(dog.chipNumber);
+      return status === STATUS.ALL || dog.status === status;
+    });
+
+  const matches = searched.filter((dog) => matchesFacets(dog, facets));
+
+  const compare = COMPARATORS[sort] || COMPARATORS[SORT_KEYS.NAME];
+  const sign = dir === "desc" ? -1 : 1;
+  matches.sort((a, b) => {
+    // Dogs that were never checked in stay at the bottom either way
+    if (sort === SORT_KEYS.LAST_CHECK_IN && !a.lastCheckIn !== !b.lastCheckIn) return a.lastCheckIn ? -1 : 1;
+    return sign * compare(a, b) || a.name.localeCompare(b.name);
+  });
+
+  return { dogs: matches, facets: countFacets(searched, facets) };
+}
+
+// One page of findDogs: { dogs, total, offset, limit, facets }
+export async function queryDogs({ offset = 0, limit, ...criteria } = {}) {
+  const { dogs, facets } = await findDogs(criteria);
+  return { dogs: dogs.slice(offset, offset + limit), total: dogs.length, offset, limit, facets };
+}
+
+// The dogs before and after chipNumber in the list as it is filtered and sorted by criteria,
+// for the prev/next buttons on DogDetails. Both null when the dog is not in that list.
+export async function findNeighbours(chipNumber, criteria) {
+  const { dogs } = await findDogs(criteria);
+  const index = dogs.findIndex((dog) => dog.chipNumber === chipNumber);
+  return {
+    prevChipNumber: index > 0 ? dogs[index - 1].chipNumber : null,
+    nextChipNumber: index !== -1 && index < dogs.length - 1 ? dogs[index + 1].chipNumber : null,
+  };
+}
@@ -0,0 +1,74 @@
+// Dog List query options, shared by the list page, DogDetails and GET /api/dogs
+
+import { STATUS } from "./status";
+
+export const SORT_KEYS = {
+  NAME: "name",
+  BREED: "breed",
+  AGE: "age",
+  OWNER: "owner",
+  LAST_CHECK_IN: "lastCheckIn",
+};
+
+export const SORT_LABELS = {
+  [SORT_KEYS.NAME]: "Name",
+  [SORT_KEYS.BREED]: "Breed",
+  [SORT_KEYS.AGE]: "Age",
+  [SORT_KEYS.OWNER]: "Owner surname",
+  [SORT_KEYS.LAST_CHECK_IN]: "Last check-in",
+};
+
+// Extra status filter next to the STATUS ones: dogs with a booking today
+export const EXPECTED_FILTER = "expected";
+
+export const DEFAULT_PAGE_SIZE = 24;
+export const MAX_PAGE_SIZE = 100;
+
+// Facets the list can be narrowed by. Values of one facet are OR-ed, facets are AND-ed.
+export const FACETS = {
+  BREED: "breed",
+  SEX: "sex",
+  AGE: "age",
+  VACCINATION: "vaccination",
+};
+
+export const AGE_RANGES = [
+  { value: "0-1", label: "Puppy (0–1)", min: 0, max: 1 },
+  { value: "2-7", label: "Adult (2–7)", min: 2, max: 7 },
+  { value: "8+", label: "Senior (8+)", min: 8, max: Infinity },
+];
+
+export function ageRangeOf(age) {
+  return AGE_RANGES.find((range) => age >= range.min && age <= range.max)?.value;
+}
+
+const DEFAULT_SORT_DIR = "asc";
+
+// Reads the Dog List state from query parameters (URLSearchParams, or the plain object
+// Next.js hands a page as searchParams): { q, status, sort, dir, facets }
+export function parseListQuery(params) {
+  const getAll = (name) =>
+    typeof params?.getAll === "function" ? params.getAll(name) : [].concat(params?.[name] ?? []);
+  const get = (name) => getAll(name)[0] || "";
+
+  return {
+    q: get("q"),
+    status: get("status") || STATUS.ALL,
+    sort: Object.values(SORT_KEYS).includes(get("sort")) ? get("sort") : SORT_KEYS.NAME,
+    dir: get("dir") === "desc" ? "desc" : DEFAULT_SORT_DIR,
+    facets: Object.fromEntries(Object.values(FACETS).map((name) => [name, getAll(name)])),
+  };
+}
+
+// The other way round, leaving out defaults so plain links stay short: "q=bel&status=present"
+export function listQueryString({ q, status, sort, dir, facets = {} }) {
+  const params = new URLSearchParams();
+  if (q) params.set("q", q);
+  if (status && status !== STATUS.ALL) params.set("status", status);
+  if (sort && sort !== SORT_KEYS.NAME) params.set("sort", sort);
+  if (dir && dir !== DEFAULT_SORT_DIR) params.set("dir", dir);
+  for (const name of Object.values(FACETS)) {
+    for (const value of facets[name] || []) params.append(name, value);
+  }
+  return params.toString();
+}
@@ -0,0 +1,68 @@
+// Field rules for a dog record, shared by the DogForm and the /api/dogs routes
+
+export const SEXES = ["male", "female"];
+
+const CHIP_PATTERN = /^[A-Za-z0-9]{4,20}$/;
+export const PHONE_PATTERN = /^\+?[0-9 -]{6,20}$/;
+
+// Chip readers and barcode scanners may send the number with spaces, dashes or in lower case
+export function normalizeChipNumber(value) {
+  return String(value ?? "").replace(/[^A-Za-z0-9]/g, "").toUpperCase();
+}
+
+function text(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+// Turns raw form/body input into a clean dog record.
+// Returns { dog, errors } where errors is keyed by field.
+// takenChipNumbers is only checked when creating, the chipNumber of an existing dog cannot change.
+// ownerIds (server side) are the owners that exist; newOwner: true when the owner is being
+// created together with the dog and has no id yet.
+export function validateDog(input, { takenChipNumbers = [], ownerIds, newOwner = false } = {}) {
+  const errors = {};
+
+  const dog = {
+    name: text(input?.name),
+    sex: text(input?.sex),
+    breed: text(input?.breed).toLowerCase(),
+    img: text(input?.img),
+    age: Number(input?.age),
+    chipNumber: text(input?.chipNumber).toUpperCase(),
+    // Optional, counts towards that group's capacity (see capacityRules.js)
+    playGroup: text(input?.playGroup).toLowerCase(),
+    // See ownerRules.js
+    ownerId: newOwner ? "" : text(input?.ownerId),
+  };
+
+  if (!dog.name) errors.name = "Name is required";
+  else if (dog.name.length > 50) errors.name = "Name must be 50 characters or less";
+
+  if (!SEXES.includes(dog.sex)) errors.sex = "Sex must be male or female";
+
+  if (!dog.breed) errors.breed = "Breed is required";
+
+  if (input?.age === "" || input?.age === undefined || !Number.isInteger(dog.age) || dog.age < 0 || dog.age > 30) {
+    errors.age = "Age must be a whole number between 0 and 30";
+  }
+
+  if (dog.img && !/^(https?:\/\/|\/)/.test(dog.img)) {
+    errors.img = "Image must be a link starting with http(s):// or /";
+  }
+
+  if (!CHIP_PATTERN.test(dog.chipNumber)) {
+    errors.chipNumber = "Chip number must be 4-20 letters or digits";
+  } else if (takenChipNumbers.includes(dog.chipNumber)) {
+    errors.chipNumber = "Another dog already has this chip number";
+  }
+
+  if (!newOwner && (!dog.ownerId || (ownerIds && !ownerIds.includes(dog.ownerId)))) {
+    errors.ownerId = "Choose the dog's owner";
+  }
+
+  return { dog, errors };
+}
+
+export function hasErrors(errors) {
+  return Object.keys(errors).length > 0;
+}
@@ -0,0 +1,149 @@
+// Dog registry (server only). Stored records:
+// { name, sex, breed, img, present, age, chipNumber, playGroup, ownerId }
+// plus archived/archivedAt once a dog has been archived.
+// Dogs handed out by this module also carry owner: { id, name, lastName, phoneNumber },
+// read from the owner record (lib/owners.js) so an owner's details live in one place.
+
+import { readCollection, updateCollection } from "./store";
+import { validateDog, hasErrors } from "./dogValidation";
+import { listOwnerRecords, createOwner, ensureOwnerRecords } from "./owners";
+import { validateOwner } from "./ownerRules";
+import seedDogs from "./seed/dogs.json";
+
+const COLLECTION = "dogs";
+
+// Shown for a dog whose owner record is missing, so pages never have to check
+const UNKNOWN_OWNER = { id: "", name: "Unknown", lastName: "owner", phoneNumber: "" };
+
+async function readStoredDogs() {
+  // Data from before owner records is moved over first
+  await ensureOwnerRecords();
+  // First run falls back to the bundled seed, so no internet is needed
+  return readCollection(COLLECTION, seedDogs);
+}
+
+async function readDogs() {
+  const [dogs, owners] = await Promise.all([readStoredDogs(), listOwnerRecords()]);
+  const byId = new Map(owners.map((owner) => [owner.id, owner]));
+  return dogs.map((dog) => withOwner(dog, byId.get(dog.ownerId)));
+}
+
+function withOwner(dog, owner) {
+  if (!owner) return { ...dog, owner: UNKNOWN_OWNER };
+  const { id, name, lastName, phoneNumber } = owner;
+  return { ...dog, owner: { id, name, lastName, phoneNumber } };
+}
+
+async function joinOwner(dog) {
+  const owners = await listOwnerRecords();
+  return withOwner(dog, owners.find((owner) => owner.id === dog.ownerId));
+}
+
+// Archived dogs are hidden from the list but kept for their history
+export async function listDogs({ includeArchived = false } = {}) {
+  const dogs = await readDogs();
+  return includeArchived ? dogs : dogs.filter((dog) => !dog.archived);
+}
+
+export async function getDog(chipNumber) {
+  const dogs = await readDogs();
+  return dogs.find((dog) => dog.chipNumber === chipNumber) || null;
+}
+
+// Returns { dog } on success or { errors } when the input is invalid.
+// input.ownerId names an existing owner; without it input.owner is created as a new owner record
+// (its field errors come back as "owner.<field>").
+export async function createDog(input) {
+  const [stored, owners] = await Promise.all([readStoredDogs(), listOwnerRecords()]);
+  const newOwner = !input?.ownerId;
+
+  // Everything is checked before the owner is created, so a bad dog leaves no stray owner behind
+  const { errors } = validateDog(input, {
+    takenChipNumbers: stored.map((d) => d.chipNumber),
+    ownerIds: owners.map((o) => o.id),
+    newOwner,
+  });
+  if (newOwner) {
+    for (const [field, message] of Object.entries(validateOwner(input?.owner).errors)) {
+      errors[`owner.${field}`] = message;
+    }
+  }
+  if (hasErrors(errors)) return { errors };
+
+  let ownerId = input.ownerId;
+  if (newOwner) {
+    const result = await createOwner(input.owner);
+    if (result.errors) {
+      return { errors: Object.fromEntries(Object.entries(result.errors).map(([f, m]) => [`owner.${f}`, m])) };
+    }
+    ownerId = result.owner.id;
+  }
+
+  const result = await updateCollection(COLLECTION, seedDogs, (dogs) => {
+    const { dog, errors } = validateDog({ ...input, ownerId }, {
+      takenChipNumbers: dogs.map((d) => d.chipNumber),
+    });
+
+    if (hasErrors(errors)) {
+      return { data: dogs, result: { errors } };
+    }
+
+    const created = { ...dog, present: false };
+    return { data: [...dogs, created], result: { dog: created } };
+  });
+
+  return result.dog ? { dog: await joinOwner(result.dog) } : result;
+}
+
+// Returns { dog }, { errors }, or null when no dog has that chipNumber
+export async function updateDog(chipNumber, input) {
+  await readStoredDogs();
+  const ownerIds = (await listOwnerRecords()).map((o) => o.id);
+
+  const result = await updateCollection(COLLECTION, seedDogs, (dogs) => {
+    const index = dogs.findIndex((d) => d.chipNumber === chipNumber);
+    if (index === -1) return { data: dogs, result: null };
+
+    // The chip number is the dog's id in every url, so it cannot be edited
+    const { dog, errors } = validateDog({ ...input, chipNumber }, { ownerIds });
+
+    if (hasErrors(errors)) {
+      return { data: dogs, result: { errors } };
+    }
+
+    const updated = { ...dogs[index], ...dog };
+    const next = [...dogs];
+    next[index] = updated;
+    return { data: next, result: { dog: updated } };
+  });
+
+  return result?.dog ? { dog: await joinOwner(result.dog) } : result;
+}
+
+// Archive (archived = true) or restore (archived = false) a dog. Returns null when not found.
+export async function setDogArchived(chipNumber, archived) {
+  await readStoredDogs();
+
+  const result = await updateCollection(COLLECTION, seedDogs, (dogs) => {
+    const index = dogs.findIndex((d) => d.chipNumber === chipNumber);
+    if (index === -1) return { data: dogs, result: null };
+
+    const { archivedAt, ...rest } = dogs[index];
+    const updated = archived
+      ? { ...rest, archived: true, archivedAt: archivedAt || new Date().toISOString() }
+      : { ...rest, archived: false };
+
+    const next = [...dogs];
+    next[index] = updated;
+    return { data: next, result: updated };
+  });
+
+  return result && joinOwner(result);
+}
+
+// Strips owner.phoneNumber for staff whose role may not see contact details
+export function withoutOwnerContact(dog) {
+  if (!dog.owner) return dog;
+  const { phoneNumber, ...owner } = dog.owner;
+  return { ...dog, owner };
+}
@@ -0,0 +1,60 @@
+// Typo-tolerant text matching for the Dog List search (no dependencies, works anywhere)
+
+// Lower case without accents, so "Åsa" and "asa" match
+export function normalize(text) {
+  return String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+// Levenshtein distance, giving up (returning max + 1) once it is clear the words are too far apart
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Short words have to be typed right, longer ones may have a typo or two
+function allowedTypos(token) {
+  if (token.length >= 7) return 2;
+  if (token.length >= 4) return 1;
+  return 0;
+}
+
+// True when every word of the query is found in one of the texts: as part of the text,
+// or close to a word (or the start of a word) in it. "labardor" finds "labrador", "erik" finds "Eriksson".
+export function fuzzyMatches(query, texts) {
+  const tokens = normalize(query).split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return true;
+
+  const haystack = texts.map(normalize).join(" ");
+  const words = haystack.split(/\s+/).filter(Boolean);
+
+  return tokens.every((token) => {
+    if (haystack.includes(token)) return true;
+    const typos = allowedTypos(token);
+    return (
+      typos > 0 &&
+      words.some(
+        (word) =>
+          editDistance(token, word, typos) <= typos || editDistance(token, word.slice(0, token.length), typos) <= typos
+      )
+    );
+  });
+}
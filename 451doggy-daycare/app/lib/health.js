@@ -0,0 +1,64 @@
+// Health records per chipNumber (server only):
+// { vaccinations: [{ type, givenAt, expiresAt }], medications: [{ name, dose, instructions }],
+//   allergies: [string], vet: { name, clinic, phoneNumber }, updatedAt }
+
+import { readCollection, updateCollection } from "./store";
+import { validateHealth, checkVaccinations } from "./healthRules";
+import { hasErrors } from "./dogValidation";
+import { listDogs } from "./dogs";
+import { toDateKey } from "./dates";
+
+const COLLECTION = "health";
+
+const EMPTY_HEALTH = {
+  vaccinations: [],
+  medications: [],
+  allergies: [],
+  vet: { name: "", clinic: "", phoneNumber: "" },
+  updatedAt: null,
+};
+
+export async function getHealth(chipNumber) {
+  const records = await readCollection(COLLECTION, {});
+  return records[chipNumber] || EMPTY_HEALTH;
+}
+
+// Returns { health } or { errors }
+export function saveHealth(chipNumber, input) {
+  const { health, errors } = validateHealth(input);
+  if (hasErrors(errors)) return Promise.resolve({ errors });
+
+  return updateCollection(COLLECTION, {}, (records) => {
+    const saved = { ...health, updatedAt: new Date().toISOString() };
+    return { data: { ...records, [chipNumber]: saved }, result: { health: saved } };
+  });
+}
+
+export async function getVaccinationCheck(chipNumber, today) {
+  const health = await getHealth(chipNumber);
+  return checkVaccinations(health.vaccinations, today);
+}
+
+// { [chipNumber]: checkVaccinations result } for every dog with or without a health record
+export async function getVaccinationChecks(chipNumbers, today = toDateKey(new Date())) {
+  const records = await readCollection(COLLECTION, {});
+  return Object.fromEntries(
+    chipNumbers.map((chipNumber) => [chipNumber, checkVaccinations(records[chipNumber]?.vaccinations, today)])
+  );
+}
+
+// Active dogs with a required vaccination that has expired or expires within `days`
+export async function listExpiringVaccinations(days, today = toDateKey(new Date())) {
+  const [dogs, records] = await Promise.all([listDogs(), readCollection(COLLECTION, {})]);
+
+  return dogs
+    .map((dog) => {
+      const check = checkVaccinations(records[dog.chipNumber]?.vaccinations, today, days);
+      return { chipNumber: dog.chipNumber, name: dog.name, expired: check.expired, expiringSoon: check.expiringSoon };
+    })
+    .filter((dog) => dog.expired.length > 0 || dog.expiringSoon.length > 0)
+    .sort((a, b) => {
+      const first = (d) => [...d.expired, ...d.expiringSoon].map((v) => v.expiresAt).sort()[0];
+      return first(a).localeCompare(first(b));
+    });
+}
@@ -0,0 +1,110 @@
+// Vaccination rules shared by the health api routes and the UI
+
+import { toDateKey, addDays, isDateKey } from "./dates";
+import { PHONE_PATTERN } from "./dogValidation";
+
+export const VACCINATION_TYPES = {
+  rabies: "Rabies",
+  "kennel-cough": "Kennel cough",
+  dhpp: "DHPP",
+  leptospirosis: "Leptospirosis",
+};
+
+// A dog cannot be checked in while one of these has expired
+export const REQUIRED_VACCINATIONS = ["rabies", "kennel-cough"];
+
+export const EXPIRY_WARNING_DAYS = 30;
+
+// Latest expiry per vaccination type: { rabies: "2027-03-01", ... }
+function latestExpiries(vaccinations = []) {
+  const latest = {};
+  for (const v of vaccinations) {
+    if (!latest[v.type] || v.expiresAt > latest[v.type]) latest[v.type] = v.expiresAt;
+  }
+  return latest;
+}
+
+// Sorts the required vaccinations of one dog into expired / expiringSoon / missing.
+// Each entry is { type, label, expiresAt }.
+export function checkVaccinations(vaccinations, today = toDateKey(new Date()), warningDays = EXPIRY_WARNING_DAYS) {
+  const latest = latestExpiries(vaccinations);
+  const warnBefore = addDays(today, warningDays);
+  const result = { expired: [], expiringSoon: [], missing: [] };
+
+  for (const type of REQUIRED_VACCINATIONS) {
+    const entry = { type, label: VACCINATION_TYPES[type], expiresAt: latest[type] || null };
+    if (!entry.expiresAt) result.missing.push(entry);
+    else if (entry.expiresAt < today) result.expired.push(entry);
+    else if (entry.expiresAt <= warnBefore) result.expiringSoon.push(entry);
+  }
+
+  return result;
+}
+
+// One word for a dog's required vaccinations, worst first: expired, missing, expiring, ok
+export const VACCINATION_STATUS = {
+  EXPIRED: "expired",
+  MISSING: "missing",
+  EXPIRING: "expiring",
+  OK: "ok",
+};
+
+export const VACCINATION_STATUS_LABELS = {
+  [VACCINATION_STATUS.EXPIRED]: "Expired",
+  [VACCINATION_STATUS.MISSING]: "Missing",
+  [VACCINATION_STATUS.EXPIRING]: "Expiring soon",
+  [VACCINATION_STATUS.OK]: "Up to date",
+};
+
+// check is the result of checkVaccinations
+export function vaccinationStatus(check) {
+  if (check.expired.length > 0) return VACCINATION_STATUS.EXPIRED;
+  if (check.missing.length > 0) return VACCINATION_STATUS.MISSING;
+  if (check.expiringSoon.length > 0) return VACCINATION_STATUS.EXPIRING;
+  return VACCINATION_STATUS.OK;
+}
+
+function text(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+// Cleans a health record from a form or request body. Returns { health, errors }.
+export function validateHealth(input) {
+  const errors = {};
+
+  const vaccinations = (Array.isArray(input?.vaccinations) ? input.vaccinations : []).map((v, i) => {
+    const vaccination = { type: text(v?.type), givenAt: text(v?.givenAt), expiresAt: text(v?.expiresAt) };
+    if (!Object.hasOwn(VACCINATION_TYPES, vaccination.type)) errors[`vaccinations.${i}.type`] = "Unknown vaccination";
+    if (vaccination.givenAt && !isDateKey(vaccination.givenAt)) {
+      errors[`vaccinations.${i}.givenAt`] = "Date must be YYYY-MM-DD";
+    }
+    if (!isDateKey(vaccination.expiresAt)) {
+      errors[`vaccinations.${i}.expiresAt`] = "Expiry date is required (YYYY-MM-DD)";
+    } else if (vaccination.givenAt && vaccination.expiresAt < vaccination.givenAt) {
+      errors[`vaccinations.${i}.expiresAt`] = "Expiry must be after the date given";
+    }
+    return vaccination;
+  });
+
+  const medications = (Array.isArray(input?.medications) ? input.medications : [])
+    .map((m) => ({ name: text(m?.name), dose: text(m?.dose), instructions: text(m?.instructions) }))
+    .filter((m) => m.name || m.dose || m.instructions);
+  medications.forEach((m, i) => {
+    if (!m.name) errors[`medications.${i}.name`] = "Medication name is required";
+  });
+
+  const allergies = (Array.isArray(input?.allergies) ? input.allergies : [])
+    .map(text)
+    .filter(Boolean);
+
+  const vet = {
+    name: text(input?.vet?.name),
+    clinic: text(input?.vet?.clinic),
+    phoneNumber: text(input?.vet?.phoneNumber),
+  };
+  if (vet.phoneNumber && !PHONE_PATTERN.test(vet.phoneNumber)) {
+    errors["vet.phoneNumber"] = "Phone number must be 6-20 digits";
+  }
+
+  return { health: { vaccinations, medications, allergies, vet }, errors };
+}
@@ -0,0 +1,121 @@
+// Incident and behaviour reports, shared by the incident components and the /api/incidents routes.
+// { id, chipNumber, type, severity, occurredAt, description, involvedDogs: [chipNumber], staff: [name],
+//   photos: [link], followUps: [{ id, action, dueDate, done, doneAt, doneBy }],
+//   status, resolution, reportedBy, reportedAt, resolvedBy, resolvedAt }
+// chipNumber is the dog the report was written on; it also shows on the pages of the involved dogs.
+
+import { normalizeChipNumber } from "./dogValidation";
+import { isDateKey } from "./dates";
+
+export const INCIDENT_TYPES = {
+  BITE: "bite",
+  SCUFFLE: "scuffle",
+  INJURY: "injury",
+  ILLNESS: "illness",
+  GOOD_BEHAVIOUR: "good-behaviour",
+};
+
+export const TYPE_LABELS = {
+  [INCIDENT_TYPES.BITE]: "Bite",
+  [INCIDENT_TYPES.SCUFFLE]: "Scuffle",
+  [INCIDENT_TYPES.INJURY]: "Injury",
+  [INCIDENT_TYPES.ILLNESS]: "Illness",
+  [INCIDENT_TYPES.GOOD_BEHAVIOUR]: "Good behaviour",
+};
+
+// Lowest first
+export const SEVERITIES = ["none", "minor", "moderate", "serious"];
+
+export const SEVERITY_LABELS = {
+  none: "None",
+  minor: "Minor",
+  moderate: "Moderate",
+  serious: "Serious",
+};
+
+export const INCIDENT_STATUS = {
+  OPEN: "open",
+  RESOLVED: "resolved",
+};
+
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_LIST_LENGTH = 10;
+// Clocks on tablets drift, a report a few minutes "in the future" is still fine
+const FUTURE_SLACK_MS = 5 * 60 * 1000;
+
+function text(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function textList(value) {
+  return (Array.isArray(value) ? value : []).map(text).filter(Boolean);
+}
+
+// Serious first, then the newest
+export function compareIncidents(a, b) {
+  return SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) || b.occurredAt.localeCompare(a.occurredAt);
+}
+
+// Open follow-ups whose due day has passed (dueDate is "YYYY-MM-DD", today a day key)
+export function overdueFollowUps(incident, today) {
+  return incident.followUps.filter((f) => !f.done && f.dueDate && f.dueDate < today);
+}
+
+// Returns { followUp, errors } with followUp = { action, dueDate }
+export function validateFollowUp(input) {
+  const errors = {};
+  const followUp = { action: text(input?.action), dueDate: text(input?.dueDate) };
+
+  if (!followUp.action) errors.action = "Describe what needs to be done";
+  else if (followUp.action.length > 200) errors.action = "Keep the action to 200 characters or less";
+
+  if (followUp.dueDate && !isDateKey(followUp.dueDate)) errors.dueDate = "Due date must be a valid date";
+
+  return { followUp, errors };
+}
+
+// Turns raw form/body input into the reported details of an incident.
+// chipNumbers (server side) are the registered dogs, involved dogs must be among them.
+// Returns { incident, errors } where errors is keyed by field.
+export function validateIncident(input, { chipNumbers } = {}) {
+  const errors = {};
+  const occurredAt = new Date(text(input?.occurredAt));
+
+  const incident = {
+    type: text(input?.type),
+    severity: text(input?.severity),
+    occurredAt: Number.isNaN(occurredAt.getTime()) ? "" : occurredAt.toISOString(),
+    description: text(input?.description),
+    involvedDogs: [...new Set(textList(input?.involvedDogs).map(normalizeChipNumber))].filter(
+      (chip) => chip && chip !== normalizeChipNumber(input?.chipNumber)
+    ),
+    staff: [...new Set(textList(input?.staff))],
+    photos: textList(input?.photos),
+  };
+
+  if (!Object.values(INCIDENT_TYPES).includes(incident.type)) errors.type = "Choose what happened";
+  if (!SEVERITIES.includes(incident.severity)) errors.severity = "Choose how serious it was";
+
+  if (!incident.occurredAt) errors.occurredAt = "Enter when it happened";
+  else if (occurredAt.getTime() > Date.now() + FUTURE_SLACK_MS) errors.occurredAt = "This is in the future";
+
+  if (!incident.description) errors.description = "Describe what happened";
+  else if (incident.description.length > MAX_DESCRIPTION_LENGTH) {
+    errors.description = `Description must be ${MAX_DESCRIPTION_LENGTH} characters or less`;
+  }
+
+  const unknown = chipNumbers ? incident.involvedDogs.filter((chip) => !chipNumbers.includes(chip)) : [];
+  if (unknown.length > 0) errors.involvedDogs = `No dog has chip ${unknown.join(", ")}`;
+  else if (incident.involvedDogs.length > MAX_LIST_LENGTH) {
+    errors.involvedDogs = `At most ${MAX_LIST_LENGTH} other dogs`;
+  }
+
+  if (incident.staff.length > MAX_LIST_LENGTH) errors.staff = `At most ${MAX_LIST_LENGTH} staff members`;
+
+  if (incident.photos.length > MAX_LIST_LENGTH) errors.photos = `At most ${MAX_LIST_LENGTH} photos`;
+  else if (incident.photos.some((photo) => !/^(https?:\/\/|\/)/.test(photo))) {
+    errors.photos = "Photos must be links starting with http(s):// or /";
+  }
+
+  return { incident, errors };
+}
@@ -0,0 +1,133 @@
+// Incident and behaviour reports (server only), see incidentRules.js for the shape.
+// Ids look like "INC-1001" so staff can refer to a report on the phone.
+
+import { readCollection, updateCollection } from "./store";
+import { listDogs } from "./dogs";
+import { hasErrors } from "./dogValidation";
+import { INCIDENT_TYPES, INCIDENT_STATUS, compareIncidents, validateIncident, validateFollowUp } from "./incidentRules";
+
+const COLLECTION = "incidents";
+const FIRST_ID = 1001;
+
+function nextId(incidents) {
+  const highest = incidents.reduce((max, i) => Math.max(max, Number(i.id.replace(/\D/g, "")) || 0), FIRST_ID - 1);
+  return `INC-${highest + 1}`;
+}
+
+export function involvesDog(incident, chipNumber) {
+  return incident.chipNumber === chipNumber || incident.involvedDogs.includes(chipNumber);
+}
+
+// Serious first, then the newest. status filters on open/resolved, chipNumber on involved dogs.
+export async function listIncidents({ status, chipNumber } = {}) {
+  const incidents = await readCollection(COLLECTION, []);
+  return incidents
+    .filter((i) => (!status || i.status === status) && (!chipNumber || involvesDog(i, chipNumber)))
+    .sort(compareIncidents);
+}
+
+// { [chipNumber]: name } for every dog the incidents mention, archived dogs included
+export async function dogNamesFor(incidents) {
+  const dogs = await listDogs({ includeArchived: true });
+  const chips = new Set(incidents.flatMap((i) => [i.chipNumber, ...i.involvedDogs]));
+  return Object.fromEntries(dogs.filter((d) => chips.has(d.chipNumber)).map((d) => [d.chipNumber, d.name]));
+}
+
+export async function getIncident(id) {
+  const incidents = await readCollection(COLLECTION, []);
+  return incidents.find((i) => i.id === id) || null;
+}
+
+// Returns { incident } or { errors }. input.followUps may carry the first follow-up actions.
+// A good-behaviour note has nothing to follow up and is filed as resolved unless it has follow-ups.
+export async function createIncident(chipNumber, input, { chipNumbers, reportedBy = "" } = {}) {
+  const { incident, errors } = validateIncident({ ...input, chipNumber }, { chipNumbers });
+
+  const followUps = [];
+  (Array.isArray(input?.followUps) ? input.followUps : []).forEach((raw, index) => {
+    const { followUp, errors: followUpErrors } = validateFollowUp(raw);
+    for (const [field, message] of Object.entries(followUpErrors)) {
+      errors[`followUps.${index}.${field}`] = message;
+    }
+    followUps.push({ id: crypto.randomUUID(), ...followUp, done: false, doneAt: null, doneBy: "" });
+  });
+
+  if (hasErrors(errors)) return { errors };
+
+  const now = new Date().toISOString();
+  const resolved = incident.type === INCIDENT_TYPES.GOOD_BEHAVIOUR && followUps.length === 0;
+
+  return updateCollection(COLLECTION, [], (incidents) => {
+    const created = {
+      id: nextId(incidents),
+      chipNumber,
+      ...incident,
+      followUps,
+      status: resolved ? INCIDENT_STATUS.RESOLVED : INCIDENT_STATUS.OPEN,
+      resolution: "",
+      reportedBy,
+      reportedAt: now,
+      resolvedBy: resolved ? reportedBy : "",
+      resolvedAt: resolved ? now : null,
+    };
+    return { data: [...incidents, created], result: { incident: created } };
+  });
+}
+
+// change(incident) returns { incident } to save, { errors }, or null for "not found"
+function changeIncident(id, change) {
+  return updateCollection(COLLECTION, [], (incidents) => {
+    const index = incidents.findIndex((i) => i.id === id);
+    if (index === -1) return { data: incidents, result: null };
+
+    const result = change(incidents[index]);
+    if (!result || result.errors) return { data: incidents, result };
+
+    const next = [...incidents];
+    next[index] = result.incident;
+    return { data: next, result };
+  });
+}
+
+// Resolve (status "resolved", with what was done about it) or reopen an incident.
+// Returns { incident }, { errors }, or null when there is no such incident.
+export function setIncidentStatus(id, { status, resolution }, { staff = "" } = {}) {
+  return changeIncident(id, (incident) => {
+    if (!Object.values(INCIDENT_STATUS).includes(status)) {
+      return { errors: { status: "Status must be \"open\" or \"resolved\"" } };
+    }
+    if (status === INCIDENT_STATUS.OPEN) {
+      return { incident: { ...incident, status, resolution: "", resolvedBy: "", resolvedAt: null } };
+    }
+
+    const text = typeof resolution === "string" ? resolution.trim() : "";
+    if (text.length > 1000) return { errors: { resolution: "Keep it to 1000 characters or less" } };
+    return {
+      incident: { ...incident, status, resolution: text, resolvedBy: staff, resolvedAt: new Date().toISOString() },
+    };
+  });
+}
+
+// Returns { incident }, { errors }, or null when there is no such incident
+export function addFollowUp(id, input) {
+  return changeIncident(id, (incident) => {
+    const { followUp, errors } = validateFollowUp(input);
+    if (hasErrors(errors)) return { errors };
+
+    const added = { id: crypto.randomUUID(), ...followUp, done: false, doneAt: null, doneBy: "" };
+    return { incident: { ...incident, followUps: [...incident.followUps, added] } };
+  });
+}
+
+// Tick a follow-up off (done = true) or undo that. Returns { incident } or null when not found.
+export function setFollowUpDone(id, followUpId, done, { staff = "" } = {}) {
+  return changeIncident(id, (incident) => {
+    if (!incident.followUps.some((f) => f.id === followUpId)) return null;
+
+    const doneAt = done ? new Date().toISOString() : null;
+    const followUps = incident.followUps.map((f) =>
+      f.id === followUpId ? { ...f, done, doneAt, doneBy: done ? staff : "" } : f
+    );
+    return { incident: { ...incident, followUps } };
+  });
+}
@@ -0,0 +1,79 @@
+// Delivery channels for owner notifications (server only).
+// Each channel is { transport, send({ to, subject, body }) } and send throws when the message
+// could not be handed over. Without configuration every message goes to the outbox transport,
+// which appends it to DATA_DIR/outbox.log and prints it, so development needs no outside services.
+//
+// Email: SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" for port 465), SMTP_USER, SMTP_PASSWORD, SMTP_FROM
+// Text messages: SMS_PROVIDER picks an adapter from SMS_PROVIDERS below
+//   twilio - TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM
+
+import { promises as fs } from "fs";
+import path from "path";
+import nodemailer from "nodemailer";
+import { DATA_DIR } from "./store";
+import { CHANNELS } from "./notificationRules";
+
+const OUTBOX_FILE = path.join(DATA_DIR, "outbox.log");
+// Messages handed to this transport never reach the owner
+export const OUTBOX_TRANSPORT = "outbox";
+
+async function sendToOutbox(channel, { to, subject, body }) {
+  const line = JSON.stringify({ channel, to, subject, body, at: new Date().toISOString() });
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.appendFile(OUTBOX_FILE, `${line}\n`);
+  console.info(`[outbox] ${channel} to ${to}: ${subject ? `${subject} - ` : ""}${body}`);
+}
+
+let smtp = null;
+
+function smtpTransport() {
+  smtp ||= nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+  });
+  return smtp;
+}
+
+async function sendEmail({ to, subject, body }) {
+  await smtpTransport().sendMail({ from: process.env.SMTP_FROM || process.env.SMTP_USER, to, subject, text: body });
+}
+
+// A provider adapter gets { to, body } and throws when the provider refuses the message
+async function sendTwilioSms({ to, body }) {
+  const sid = process.env.TWILIO_ACCOUNT_SID;
+  const resp = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`, {
+    method: "POST",
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${sid}:${process.env.TWILIO_AUTH_TOKEN}`).toString("base64")}`,
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: new URLSearchParams({ To: to, From: process.env.TWILIO_FROM || "", Body: body }),
+  });
+
+  if (!resp.ok) {
+    const result = await resp.json().catch(() => ({}));
+    throw new Error(result.message || `Twilio answered with status ${resp.status}`);
+  }
+}
+
+const SMS_PROVIDERS = {
+  twilio: sendTwilioSms,
+};
+
+// The configured transport for a channel, the outbox when nothing is set up
+export function getChannel(channel) {
+  if (channel === CHANNELS.EMAIL && process.env.SMTP_HOST) {
+    return { transport: "smtp", send: sendEmail };
+  }
+
+  const provider = process.env.SMS_PROVIDER;
+  if (channel === CHANNELS.SMS && provider) {
+    const send = SMS_PROVIDERS[provider];
+    if (!send) throw new Error(`Unknown SMS_PROVIDER "${provider}"`);
+    return { transport: provider, send };
+  }
+
+  return { transport: OUTBOX_TRANSPORT, send: (message) => sendToOutbox(channel, message) };
+}
@@ -0,0 +1,111 @@
+// Owner notifications, shared by the owner pages, the portal and the /api/notifications routes.
+// Preferences per owner: { email: [event, ...], sms: [event, ...] } - the events sent on each channel.
+// Templates per event: { subject, body } with {placeholders} filled in when a message is sent.
+
+export const NOTIFICATION_EVENTS = {
+  CHECK_IN: "check-in",
+  CHECK_OUT: "check-out",
+  INCIDENT: "incident",
+};
+
+export const EVENT_LABELS = {
+  [NOTIFICATION_EVENTS.CHECK_IN]: "Check-in",
+  [NOTIFICATION_EVENTS.CHECK_OUT]: "Check-out",
+  [NOTIFICATION_EVENTS.INCIDENT]: "Incident report",
+};
+
+export const CHANNELS = {
+  EMAIL: "email",
+  SMS: "sms",
+};
+
+export const CHANNEL_LABELS = {
+  [CHANNELS.EMAIL]: "Email",
+  [CHANNELS.SMS]: "Text message",
+};
+
+// Owners who never chose get everything by email, and a text only when something happened
+export const DEFAULT_PREFERENCES = {
+  [CHANNELS.EMAIL]: Object.values(NOTIFICATION_EVENTS),
+  [CHANNELS.SMS]: [NOTIFICATION_EVENTS.INCIDENT],
+};
+
+// What each template may use, shown next to the template editor
+export const TEMPLATE_PLACEHOLDERS = {
+  [NOTIFICATION_EVENTS.CHECK_IN]: ["owner", "dog", "date", "time"],
+  [NOTIFICATION_EVENTS.CHECK_OUT]: ["owner", "dog", "date", "time", "collectedBy"],
+  [NOTIFICATION_EVENTS.INCIDENT]: ["owner", "dog", "date", "time", "severity", "summary"],
+};
+
+// Text messages only get the body
+export const DEFAULT_TEMPLATES = {
+  [NOTIFICATION_EVENTS.CHECK_IN]: {
+    subject: "{dog} has arrived at daycare",
+    body: "Hi {owner}, {dog} was checked in at {time} on {date}.",
+  },
+  [NOTIFICATION_EVENTS.CHECK_OUT]: {
+    subject: "{dog} has been picked up",
+    body: "Hi {owner}, {dog} was collected by {collectedBy} at {time} on {date}.",
+  },
+  [NOTIFICATION_EVENTS.INCIDENT]: {
+    subject: "Incident report for {dog}",
+    body: "Hi {owner}, we recorded an incident ({severity}) for {dog} at {time} on {date}: {summary}. Please call us if you have any questions.",
+  },
+};
+
+const MAX_SUBJECT_LENGTH = 150;
+const MAX_BODY_LENGTH = 1000;
+
+export function isNotificationEvent(value) {
+  return Object.values(NOTIFICATION_EVENTS).includes(value);
+}
+
+// Unknown placeholders are left as they are, so a typo shows up in the message instead of vanishing.
+// Only values' own keys count, so {constructor} or {toString} are unknown too.
+export function renderTemplate(text, values) {
+  return String(text || "").replace(/\{(\w+)\}/g, (match, name) =>
+    Object.hasOwn(values, name) && values[name] != null ? String(values[name]) : match
+  );
+}
+
+// Returns { preferences, errors }. Unknown events and channels are dropped.
+export function validatePreferences(input) {
+  const errors = {};
+  const preferences = {};
+
+  for (const channel of Object.values(CHANNELS)) {
+    const events = input?.[channel];
+    if (events !== undefined && !Array.isArray(events)) {
+      errors[channel] = "Choose the messages to send as a list";
+    }
+    preferences[channel] = Object.values(NOTIFICATION_EVENTS).filter((event) =>
+      Array.isArray(events) ? events.includes(event) : DEFAULT_PREFERENCES[channel].includes(event)
+    );
+  }
+
+  return { preferences, errors };
+}
+
+// Returns { templates, errors }. Errors are keyed "<event>.subject" / "<event>.body".
+export function validateTemplates(input) {
+  const errors = {};
+  const templates = {};
+
+  for (const event of Object.values(NOTIFICATION_EVENTS)) {
+    const subject = typeof input?.[event]?.subject === "string" ? input[event].subject.trim() : "";
+    const body = typeof input?.[event]?.body === "string" ? input[event].body.trim() : "";
+
+    if (!subject) errors[`${event}.subject`] = "Subject is required";
+    else if (subject.length > MAX_SUBJECT_LENGTH) {
+      errors[`${event}.subject`] = `Subject must be ${MAX_SUBJECT_LENGTH} characters or less`;
+    }
+    if (!body) errors[`${event}.body`] = "Message is required";
+    else if (body.length > MAX_BODY_LENGTH) {
+      errors[`${event}.body`] = `Message must be ${MAX_BODY_LENGTH} characters or less`;
+    }
+
+    templates[event] = { subject, body };
+  }
+
+  return { templates, errors };
+}
@@ -0,0 +1,177 @@
+// Owner notifications (server only): preferences, templates and the delivery log.
+// Deliveries: { id, event, channel, transport, ownerId, chipNumber, to, subject, body,
+//   status: "sent" | "outbox" | "failed" | "skipped", error, createdAt }
+// "outbox" means the message only went to the development outbox, the owner was not notified.
+// Sending never throws, a message that could not go out is logged as failed instead.
+
+import { readCollection, updateCollection } from "./store";
+import { getDog } from "./dogs";
+import { getOwner } from "./owners";
+import { getChannel, OUTBOX_TRANSPORT } from "./notificationChannels";
+import { hasErrors } from "./dogValidation";
+import { STATUS } from "./status";
+import {
+  NOTIFICATION_EVENTS,
+  CHANNELS,
+  DEFAULT_TEMPLATES,
+  validatePreferences,
+  validateTemplates,
+  renderTemplate,
+} from "./notificationRules";
+
+const PREFERENCES_COLLECTION = "notification-preferences";
+const TEMPLATES_COLLECTION = "notification-templates";
+const DELIVERIES_COLLECTION = "notification-deliveries";
+// The oldest deliveries are dropped beyond this
+const MAX_DELIVERIES = 2000;
+
+export const DELIVERY_STATUS = {
+  SENT: "sent",
+  OUTBOX: "outbox",
+  FAILED: "failed",
+  SKIPPED: "skipped",
+};
+
+// Shape on disk: { [ownerId]: { email: [event], sms: [event] } }
+export async function getPreferences(ownerId) {
+  const stored = await readCollection(PREFERENCES_COLLECTION, {});
+  return validatePreferences(stored[ownerId]).preferences;
+}
+
+// Returns { preferences } or { errors }
+export async function setPreferences(ownerId, input) {
+  const { preferences, errors } = validatePreferences(input);
+  if (hasErrors(errors)) return { errors };
+
+  return updateCollection(PREFERENCES_COLLECTION, {}, (stored) => ({
+    data: { ...stored, [ownerId]: preferences },
+    result: { preferences },
+  }));
+}
+
+// Saved templates over the defaults, so a new event type always has one
+export async function getTemplates() {
+  const stored = await readCollection(TEMPLATES_COLLECTION, {});
+  return Object.fromEntries(
+    Object.entries(DEFAULT_TEMPLATES).map(([event, template]) => [event, { ...template, ...stored[event] }])
+  );
+}
+
+// Returns { templates } or { errors }
+export async function setTemplates(input) {
+  const { templates, errors } = validateTemplates(input);
+  if (hasErrors(errors)) return { errors };
+
+  return updateCollection(TEMPLATES_COLLECTION, {}, () => ({ data: templates, result: { templates } }));
+}
+
+// Newest first, optionally for one owner or one dog
+export async function listDeliveries({ ownerId, chipNumber, limit } = {}) {
+  const deliveries = await readCollection(DELIVERIES_COLLECTION, []);
+  const selected = deliveries
+    .filter((d) => (!ownerId || d.ownerId === ownerId) && (!chipNumber || d.chipNumber === chipNumber))
+    .reverse();
+  return limit ? selected.slice(0, limit) : selected;
+}
+
+function logDeliveries(entries) {
+  const now = new Date().toISOString();
+  const logged = entries.map((entry) => ({ id: crypto.randomUUID(), ...entry, createdAt: now }));
+  return updateCollection(DELIVERIES_COLLECTION, [], (deliveries) => ({
+    data: [...deliveries, ...logged].slice(-MAX_DELIVERIES),
+    result: null,
+  }));
+}
+
+function addressFor(owner, channel) {
+  return channel === CHANNELS.EMAIL ? owner.email : owner.phoneNumber;
+}
+
+// Sends event about the dog to its owner on every channel the owner chose.
+// values fill the template placeholders, owner, dog, date and time are added here.
+async function notifyOwner(event, dog, values, at) {
+  const owner = await getOwner(dog.ownerId);
+  if (!owner) return;
+
+  const preferences = await getPreferences(owner.id);
+  const channels = Object.values(CHANNELS).filter((channel) => preferences[channel].includes(event));
+  if (channels.length === 0) return;
+
+  const template = (await getTemplates())[event];
+  const time = new Date(at || Date.now());
+  const filled = {
+    owner: owner.name,
+    dog: dog.name,
+    date: time.toLocaleDateString(undefined, { dateStyle: "medium" }),
+    time: time.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" }),
+    ...values,
+  };
+  const subject = renderTemplate(template.subject, filled);
+  const body = renderTemplate(template.body, filled);
+
+  const entries = [];
+  for (const channel of channels) {
+    const to = addressFor(owner, channel);
+    const entry = { event, channel, ownerId: owner.id, chipNumber: dog.chipNumber, to, subject, body };
+
+    if (!to) {
+      const missing = channel === CHANNELS.EMAIL ? "email address" : "phone number";
+      entries.push({ ...entry, status: DELIVERY_STATUS.SKIPPED, error: `No ${missing} on file` });
+      continue;
+    }
+
+    let transport = "";
+    try {
+      const { transport: name, send } = getChannel(channel);
+      transport = name;
+      await send({ to, subject: channel === CHANNELS.EMAIL ? subject : "", body });
+      const status = transport === OUTBOX_TRANSPORT ? DELIVERY_STATUS.OUTBOX : DELIVERY_STATUS.SENT;
+      entries.push({ ...entry, transport, status });
+    } catch (err) {
+      console.error(`Error sending ${channel} notification:`, err);
+      entries.push({ ...entry, transport, status: DELIVERY_STATUS.FAILED, error: err.message || String(err) });
+    }
+  }
+
+  await logDeliveries(entries);
+}
+
+async function safely(work) {
+  try {
+    await work();
+  } catch (err) {
+    console.error("Error sending owner notifications:", err);
+  }
+}
+
+// After a saved status change. record is the new { status, updatedAt }, previous the stored one
+// before it (null when none): a dog that did not actually arrive or leave sends nothing.
+export function notifyAttendance(chipNumber, record, { previous, collectedBy } = {}) {
+  return safely(async () => {
+    const dog = await getDog(chipNumber);
+    if (!dog) return;
+
+    const before = previous?.status ?? (dog.present ? STATUS.PRESENT : STATUS.ABSENT);
+    if (before === record.status) return;
+
+    if (record.status === STATUS.PRESENT) {
+      await notifyOwner(NOTIFICATION_EVENTS.CHECK_IN, dog, {}, record.updatedAt);
+    } else {
+      await notifyOwner(
+        NOTIFICATION_EVENTS.CHECK_OUT,
+        dog,
+        { collectedBy: collectedBy || "daycare staff" },
+        record.updatedAt
+      );
+    }
+  });
+}
+
+// After an incident involving the dog was reported: { severity, summary, occurredAt }
+export function notifyIncident(chipNumber, { severity, summary, occurredAt }) {
+  return safely(async () => {
+    const dog = await getDog(chipNumber);
+    if (!dog) return;
+    await notifyOwner(NOTIFICATION_EVENTS.INCIDENT, dog, { severity, summary }, occurredAt);
+  });
+}
@@ -0,0 +1,52 @@
+// Status changes made without a connection, kept in IndexedDB until they can be sent (browser only).
+// Each entry: { id, chipNumber, status, note, override, undo, endOfDay, expectedStatus, occurredAt }. ids grow, so id order is replay order.
+// Check-outs with a pickup are never queued, so no PIN is ever kept here.
+
+const DB_NAME = "doggy-daycare";
+const DB_VERSION = 1;
+const STORE = "status-queue";
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Runs one request in its own transaction and resolves with its result
+async function run(mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = makeRequest(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function enqueueStatusChange(change) {
+  return run("readwrite", (store) => store.add(change));
+}
+
+// Oldest first
+export async function listQueuedChanges() {
+  const changes = await run("readonly", (store) => store.getAll());
+  return changes.sort((a, b) => a.id - b.id);
+}
+
+export function removeQueuedChange(id) {
+  return run("readwrite", (store) => store.delete(id));
+}
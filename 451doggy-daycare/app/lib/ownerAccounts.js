@@ -0,0 +1,100 @@
+// Owner portal accounts (server only).
+// ownerKey is the id of the owner record (lib/owners.js); owners log in with its phone number.
+// Stored as { ownerKey, passwordHash, inviteCode, inviteExpiresAt, createdAt }.
+
+import { randomInt } from "crypto";
+import { readCollection, updateCollection } from "./store";
+import { hashPassword, verifyPassword } from "./passwords";
+import { listDogs } from "./dogs";
+import { listOwnerRecords, getOwner, findOwnerByPhone } from "./owners";
+import { ownerName } from "./ownerRules";
+
+const COLLECTION = "owner-accounts";
+const INVITE_DAYS = 7;
+const MIN_PASSWORD_LENGTH = 8;
+// No 0/O or 1/I so codes can be read out over the phone
+const INVITE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+export async function dogsForOwner(ownerKey) {
+  if (!ownerKey) return [];
+  const dogs = await listDogs();
+  return dogs.filter((dog) => dog.ownerId === ownerKey);
+}
+
+// Everyone who owns a dog, archived dogs included so past attendance can still be billed:
+// [{ ownerKey, name, lastName, phoneNumber, dogs: [{ chipNumber, name }] }] sorted by last name
+export async function listOwners() {
+  const [owners, dogs] = await Promise.all([listOwnerRecords(), listDogs({ includeArchived: true })]);
+  return owners
+    .map(({ id, name, lastName, phoneNumber }) => ({
+      ownerKey: id,
+      name,
+      lastName,
+      phoneNumber,
+      dogs: dogs.filter((dog) => dog.ownerId === id).map((dog) => ({ chipNumber: dog.chipNumber, name: dog.name })),
+    }))
+    .filter((owner) => owner.dogs.length > 0);
+}
+
+// Staff hand the owner a code, the owner uses it once to pick a password.
+// Returns { code, expiresAt } or null when the owner has no record or no phone number on file.
+export async function createOwnerInvite(ownerId) {
+  const owner = await getOwner(ownerId);
+  if (!owner?.phoneNumber) return null;
+  const ownerKey = owner.id;
+
+  const code = Array.from({ length: 8 }, () => INVITE_ALPHABET[randomInt(INVITE_ALPHABET.length)]).join("");
+  const expiresAt = new Date(Date.now() + INVITE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  return updateCollection(COLLECTION, [], (accounts) => {
+    const existing = accounts.find((a) => a.ownerKey === ownerKey);
+    const updated = { createdAt: new Date().toISOString(), ...existing, ownerKey, inviteCode: code, inviteExpiresAt: expiresAt };
+    return {
+      data: [...accounts.filter((a) => a.ownerKey !== ownerKey), updated],
+      result: { code, expiresAt },
+    };
+  });
+}
+
+// Returns { ownerKey } or { error }
+export async function registerOwner(phoneNumber, code, password) {
+  const ownerKey = (await findOwnerByPhone(phoneNumber))?.id;
+
+  if (String(password || "").length < MIN_PASSWORD_LENGTH) {
+    return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+
+  const passwordHash = await hashPassword(String(password));
+
+  return updateCollection(COLLECTION, [], (accounts) => {
+    const account = accounts.find((a) => a.ownerKey === ownerKey);
+    const codeMatches =
+      account?.inviteCode &&
+      account.inviteCode === String(code || "").trim().toUpperCase() &&
+      new Date(account.inviteExpiresAt) > new Date();
+
+    // Same message for every failure so the form does not reveal which numbers exist
+    if (!ownerKey || !codeMatches) {
+      return { data: accounts, result: { error: "Phone number or invite code is not valid" } };
+    }
+
+    const { inviteCode, inviteExpiresAt, ...rest } = account;
+    const updated = { ...rest, passwordHash };
+    return {
+      data: accounts.map((a) => (a.ownerKey === ownerKey ? updated : a)),
+      result: { ownerKey },
+    };
+  });
+}
+
+// Returns { ownerKey, name } on a correct phone/password, otherwise null
+export async function verifyOwnerCredentials(phoneNumber, password) {
+  const owner = await findOwnerByPhone(phoneNumber);
+  const accounts = await readCollection(COLLECTION, []);
+  const account = owner && accounts.find((a) => a.ownerKey === owner.id);
+
+  if (!account?.passwordHash || !(await verifyPassword(String(password || ""), account.passwordHash))) {
+    return null;
+  }
+  return { ownerKey: owner.id, name: ownerName(owner) };
+}
@@ -0,0 +1,67 @@
+// Owner records, shared by the owner pages, the DogForm and the /api/owners routes.
+// { id, name, lastName, phoneNumber, email, address,
+//   emergencyContacts: [{ name, relationship, phoneNumber }], createdAt, updatedAt }
+// Dogs point at their owner with dog.ownerId, so a family with three dogs is one record.
+
+import { PHONE_PATTERN } from "./dogValidation";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+export const MAX_EMERGENCY_CONTACTS = 5;
+
+export const EMPTY_OWNER = {
+  name: "",
+  lastName: "",
+  phoneNumber: "",
+  email: "",
+  address: "",
+  emergencyContacts: [],
+};
+
+export const EMPTY_EMERGENCY_CONTACT = { name: "", relationship: "", phoneNumber: "" };
+
+function text(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+// Phone numbers are compared on their digits, "070-123 45 67" is the same owner as "0701234567"
+export function phoneKey(phoneNumber) {
+  return String(phoneNumber || "").replace(/\D/g, "");
+}
+
+export function ownerName(owner) {
+  return [owner?.name, owner?.lastName].filter(Boolean).join(" ");
+}
+
+// Returns { owner, errors }. Errors are keyed by field, "emergencyContacts.<index>.<field>" for contacts.
+export function validateOwner(input) {
+  const errors = {};
+  const owner = {
+    name: text(input?.name),
+    lastName: text(input?.lastName),
+    phoneNumber: text(input?.phoneNumber),
+    email: text(input?.email).toLowerCase(),
+    address: text(input?.address),
+    // Rows left completely empty in the form are dropped
+    emergencyContacts: (Array.isArray(input?.emergencyContacts) ? input.emergencyContacts : [])
+      .map((c) => ({ name: text(c?.name), relationship: text(c?.relationship), phoneNumber: text(c?.phoneNumber) }))
+      .filter((c) => c.name || c.relationship || c.phoneNumber),
+  };
+
+  if (!owner.name) errors.name = "First name is required";
+  if (!owner.lastName) errors.lastName = "Last name is required";
+  if (!PHONE_PATTERN.test(owner.phoneNumber)) errors.phoneNumber = "Phone number must be 6-20 digits";
+  if (owner.email && !EMAIL_PATTERN.test(owner.email)) errors.email = "Email address is not valid";
+  if (owner.address.length > 200) errors.address = "Address must be 200 characters or less";
+
+  if (owner.emergencyContacts.length > MAX_EMERGENCY_CONTACTS) {
+    errors.emergencyContacts = `At most ${MAX_EMERGENCY_CONTACTS} emergency contacts`;
+  }
+  owner.emergencyContacts.forEach((contact, index) => {
+    if (!contact.name) errors[`emergencyContacts.${index}.name`] = "Name is required";
+    if (!PHONE_PATTERN.test(contact.phoneNumber)) {
+      errors[`emergencyContacts.${index}.phoneNumber`] = "Phone number must be 6-20 digits";
+    }
+  });
+
+  return { owner, errors };
+}
@@ -0,0 +1,162 @@
+// Owner records (server only), see ownerRules.js for the shape.
+// Ids look like "OWN-1001". The phone number is unique, owners log in to the portal with it.
+
+import { readCollection, updateCollection } from "./store";
+import { hasErrors } from "./dogValidation";
+import { validateOwner, phoneKey } from "./ownerRules";
+import seedDogs from "./seed/dogs.json";
+
+const COLLECTION = "owners";
+const FIRST_ID = 1001;
+
+// Collections that referred to an owner by the digits of their phone number before owners
+// had records of their own (portal accounts, billing packages and payments)
+const PHONE_KEYED_COLLECTIONS = ["owner-accounts", "packages", "payments"];
+
+function nextId(owners) {
+  const highest = owners.reduce((max, o) => Math.max(max, Number(o.id.replace(/\D/g, "")) || 0), FIRST_ID - 1);
+  return `OWN-${highest + 1}`;
+}
+
+function phoneTaken(owners, phoneNumber, exceptId) {
+  const key = phoneKey(phoneNumber);
+  return owners.some((o) => o.id !== exceptId && phoneKey(o.phoneNumber) === key);
+}
+
+async function readOwners() {
+  await ensureOwnerRecords();
+  return readCollection(COLLECTION, []);
+}
+
+// Sorted by last name, then first name
+export async function listOwnerRecords() {
+  const owners = await readOwners();
+  return [...owners].sort((a, b) => a.lastName.localeCompare(b.lastName) || a.name.localeCompare(b.name));
+}
+
+export async function getOwner(id) {
+  const owners = await readOwners();
+  return owners.find((o) => o.id === id) || null;
+}
+
+export async function findOwnerByPhone(phoneNumber) {
+  const key = phoneKey(phoneNumber);
+  if (!key) return null;
+  const owners = await readOwners();
+  return owners.find((o) => phoneKey(o.phoneNumber) === key) || null;
+}
+
+// Returns { owner } or { errors }
+export async function createOwner(input) {
+  const { owner, errors } = validateOwner(input);
+  if (hasErrors(errors)) return { errors };
+
+  await ensureOwnerRecords();
+  return updateCollection(COLLECTION, [], (owners) => {
+    if (phoneTaken(owners, owner.phoneNumber)) {
+      return { data: owners, result: { errors: { phoneNumber: "Another owner already has this phone number" } } };
+    }
+
+    const now = new Date().toISOString();
+    const created = { id: nextId(owners), ...owner, createdAt: now, updatedAt: now };
+    return { data: [...owners, created], result: { owner: created } };
+  });
+}
+
+// Returns { owner }, { errors }, or null when there is no such owner
+export async function updateOwner(id, input) {
+  await ensureOwnerRecords();
+  return updateCollection(COLLECTION, [], (owners) => {
+    const index = owners.findIndex((o) => o.id === id);
+    if (index === -1) return { data: owners, result: null };
+
+    const { owner, errors } = validateOwner(input);
+    if (!errors.phoneNumber && phoneTaken(owners, owner.phoneNumber, id)) {
+      errors.phoneNumber = "Another owner already has this phone number";
+    }
+    if (hasErrors(errors)) return { data: owners, result: { errors } };
+
+    const updated = { ...owners[index], ...owner, updatedAt: new Date().toISOString() };
+    const next = [...owners];
+    next[index] = updated;
+    return { data: next, result: { owner: updated } };
+  });
+}
+
+// The caller makes sure no dog belongs to the owner any more. Returns false when not found.
+export async function deleteOwner(id) {
+  await ensureOwnerRecords();
+  return updateCollection(COLLECTION, [], (owners) => {
+    if (!owners.some((o) => o.id === id)) return { data: owners, result: false };
+    return { data: owners.filter((o) => o.id !== id), result: true };
+  });
+}
+
+// ------------------------------------------------------------------
+// Migration from owners embedded in the dog records
+// ------------------------------------------------------------------
+
+// The bundled seed, and dogs saved before owners had records, keep the upstream dogs.json
+// shape with the owner embedded in every dog: owner: { name, lastName, phoneNumber }.
+// ensureOwnerRecords moves those owners to owner records (one per phone number), points the
+// dogs and the phone-keyed collections at the new ids, and does nothing once that is done.
+const DOGS_COLLECTION = "dogs";
+
+function embeddedOwnerKey(owner) {
+  return phoneKey(owner.phoneNumber) || `${owner.name} ${owner.lastName}`.trim().toLowerCase();
+}
+
+let migration = null;
+
+export async function ensureOwnerRecords() {
+  const dogs = await readCollection(DOGS_COLLECTION, seedDogs);
+  if (!dogs.some((dog) => dog.owner)) return;
+
+  // Requests arriving meanwhile wait for the same migration
+  migration ||= migrateEmbeddedOwners().finally(() => {
+    migration = null;
+  });
+  await migration;
+}
+
+async function migrateEmbeddedOwners() {
+  const dogs = await readCollection(DOGS_COLLECTION, seedDogs);
+
+  const ids = await updateCollection(COLLECTION, [], (owners) => {
+    const next = [...owners];
+    const ids = {};
+
+    for (const { owner: embedded } of dogs.filter((dog) => dog.owner)) {
+      const key = embeddedOwnerKey(embedded);
+      if (ids[key]) continue;
+
+      const existing = next.find((o) => embeddedOwnerKey(o) === key);
+      if (existing) {
+        ids[key] = existing.id;
+        continue;
+      }
+
+      const now = new Date().toISOString();
+      const created = { id: nextId(next), ...validateOwner(embedded).owner, createdAt: now, updatedAt: now };
+      next.push(created);
+      ids[key] = created.id;
+    }
+
+    return { data: next, result: ids };
+  });
+
+  await updateCollection(DOGS_COLLECTION, seedDogs, (current) => ({
+    data: current.map(({ owner, ...dog }) => (owner ? { ...dog, ownerId: ids[embeddedOwnerKey(owner)] } : dog)),
+    result: null,
+  }));
+
+  for (const name of PHONE_KEYED_COLLECTIONS) {
+    const records = await readCollection(name, []);
+    if (!records.some((r) => ids[r.ownerKey])) continue;
+
+    await updateCollection(name, [], (current) => ({
+      data: current.map((r) => (ids[r.ownerKey] ? { ...r, ownerKey: ids[r.ownerKey] } : r)),
+      result: null,
+    }));
+  }
+}
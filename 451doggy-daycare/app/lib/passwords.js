@@ -0,0 +1,22 @@
+// Password hashing with scrypt (server only). Stored as "salt:hash", both hex.
+
+import { randomBytes, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+
+export async function hashPassword(password) {
+  const salt = randomBytes(16).toString("hex");
+  const hash = await scryptAsync(password, salt, KEY_LENGTH);
+  return `${salt}:${hash.toString("hex")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [salt, hashHex] = (stored || "").split(":");
+  if (!salt || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = await scryptAsync(password, salt, expected.length);
+  return timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,50 @@
+// Who may collect a dog, shared by the PickupSection, the check-out chooser and the server.
+// Besides the dog's owner, staff keep a list of authorised people per dog:
+// { id, name, relationship, phoneNumber, photo, hasPin }. A person with a PIN has to give it at pickup.
+
+import { PHONE_PATTERN } from "./dogValidation";
+
+// The owner on the dog record may always collect it and has no entry in the list
+export const OWNER_PICKUP_ID = "owner";
+
+export const PIN_PATTERN = /^[0-9]{4,6}$/;
+
+function text(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+// Returns { person, errors }; person.pin is "" when no PIN is wanted
+export function validatePickupPerson(input) {
+  const errors = {};
+  const person = {
+    name: text(input?.name),
+    relationship: text(input?.relationship),
+    phoneNumber: text(input?.phoneNumber),
+    photo: text(input?.photo),
+    pin: text(input?.pin),
+  };
+
+  if (!person.name) errors.name = "Name is required";
+  else if (person.name.length > 80) errors.name = "Name must be 80 characters or less";
+
+  if (!person.relationship) errors.relationship = "Relationship is required, e.g. partner or dog walker";
+
+  if (!PHONE_PATTERN.test(person.phoneNumber)) {
+    errors.phoneNumber = "Phone number must be 6-20 digits";
+  }
+
+  if (person.photo && !/^(https?:\/\/|\/)/.test(person.photo)) {
+    errors.photo = "Photo must be a link starting with http(s):// or /";
+  }
+
+  if (person.pin && !PIN_PATTERN.test(person.pin)) {
+    errors.pin = "PIN must be 4-6 digits";
+  }
+
+  return { person, errors };
+}
+
+// "Anna Berg (grandmother)" for check-out notes and the refused pickups log
+export function describePickupPerson(person) {
+  return person.relationship ? `${person.name} (${person.relationship})` : person.name;
+}
@@ -0,0 +1,103 @@
+// Authorised pickup people per chipNumber and the log of refused pickups (server only).
+// pickup-people: { [chipNumber]: [{ id, name, relationship, phoneNumber, photo, pinHash, createdAt, createdBy }] }
+// pickup-refusals: [{ id, chipNumber, at, staff, personId, name, reason }]
+
+import { readCollection, updateCollection } from "./store";
+import { hashPassword, verifyPassword } from "./passwords";
+import { hasErrors } from "./dogValidation";
+import { OWNER_PICKUP_ID, validatePickupPerson, describePickupPerson } from "./pickupRules";
+
+const COLLECTION = "pickup-people";
+const REFUSALS_COLLECTION = "pickup-refusals";
+
+// A person's PIN for a dog is locked after this many refused attempts within PIN_LOCK_MS
+const PIN_MAX_ATTEMPTS = 5;
+const PIN_LOCK_MS = 15 * 60 * 1000;
+
+// The PIN hash never leaves the server
+function publicPerson({ pinHash, ...person }) {
+  return { ...person, hasPin: !!pinHash };
+}
+
+export async function listPickupPeople(chipNumber) {
+  const people = await readCollection(COLLECTION, {});
+  return (people[chipNumber] || []).map(publicPerson);
+}
+
+// Returns { person } or { errors }
+export async function addPickupPerson(chipNumber, input, { createdBy = "" } = {}) {
+  const { person, errors } = validatePickupPerson(input);
+  if (hasErrors(errors)) return { errors };
+
+  const { pin, ...details } = person;
+  const saved = {
+    id: crypto.randomUUID(),
+    ...details,
+    pinHash: pin ? await hashPassword(pin) : null,
+    createdAt: new Date().toISOString(),
+    createdBy,
+  };
+
+  return updateCollection(COLLECTION, {}, (people) => ({
+    data: { ...people, [chipNumber]: [...(people[chipNumber] || []), saved] },
+    result: { person: publicPerson(saved) },
+  }));
+}
+
+// Returns true, or false when the dog has no such person
+export function removePickupPerson(chipNumber, id) {
+  return updateCollection(COLLECTION, {}, (people) => {
+    const list = people[chipNumber] || [];
+    if (!list.some((person) => person.id === id)) return { data: people, result: false };
+    return { data: { ...people, [chipNumber]: list.filter((person) => person.id !== id) }, result: true };
+  });
+}
+
+// Checks who is collecting the dog at check-out. pickup: { personId, pin } for the owner
+// (OWNER_PICKUP_ID) or someone on the list, { name } for a person who is not on it.
+// Returns { collectedBy: "Name (relationship)" } or { refused: reason, name }.
+export async function verifyPickup(dog, pickup) {
+  if (pickup?.personId === OWNER_PICKUP_ID) {
+    return { collectedBy: describePickupPerson({ name: `${dog.owner.name} ${dog.owner.lastName}`, relationship: "owner" }) };
+  }
+
+  const people = await readCollection(COLLECTION, {});
+  const person = pickup?.personId && (people[dog.chipNumber] || []).find((p) => p.id === pickup.personId);
+
+  if (!person) {
+    const name = typeof pickup?.name === "string" && pickup.name.trim() ? pickup.name.trim() : "Unknown person";
+    return { refused: `${name} is not authorised to collect ${dog.name}`, name };
+  }
+
+  if (person.pinHash) {
+    // Every refusal for this person counts, attempts while locked keep the lock on
+    const since = new Date(Date.now() - PIN_LOCK_MS).toISOString();
+    const refusals = await readCollection(REFUSALS_COLLECTION, []);
+    const attempts = refusals.filter((r) => r.chipNumber === dog.chipNumber && r.personId === person.id && r.at >= since);
+    if (attempts.length >= PIN_MAX_ATTEMPTS) {
+      return {
+        refused: `PIN for ${describePickupPerson(person)} is locked after ${PIN_MAX_ATTEMPTS} refused attempts, try again in ${PIN_LOCK_MS / 60000} minutes`,
+        name: person.name,
+      };
+    }
+
+    if (!(typeof pickup.pin === "string" && (await verifyPassword(pickup.pin, person.pinHash)))) {
+      return { refused: `Wrong PIN for ${describePickupPerson(person)}`, name: person.name };
+    }
+  }
+
+  return { collectedBy: describePickupPerson(person) };
+}
+
+export function logRefusedPickup(chipNumber, { staff = "", personId = null, name, reason }) {
+  return updateCollection(REFUSALS_COLLECTION, [], (refusals) => {
+    const refusal = { id: crypto.randomUUID(), chipNumber, at: new Date().toISOString(), staff, personId, name, reason };
+    return { data: [...refusals, refusal], result: refusal };
+  });
+}
+
+// Newest first
+export async function listRefusedPickups(chipNumber) {
+  const refusals = await readCollection(REFUSALS_COLLECTION, []);
+  return refusals.filter((r) => r.chipNumber === chipNumber).sort((a, b) => b.at.localeCompare(a.at));
+}
@@ -0,0 +1,141 @@
+// Attendance reports built from the check-in/check-out log (server only)
+
+import { getAttendanceEvents, DIRECTION } from "./attendance";
+import { listDogs } from "./dogs";
+import { startOfDay, addDays, toDateKey } from "./dates";
+
+const HOUR = 60 * 60 * 1000;
+
+// Pairs each check-in with the next check-out. A dog that is still in is open until "now",
+// or until closeOpenStay(start) when that is earlier. Open stays are marked open: true.
+function toStays(events, now, closeOpenStay) {
+  const stays = [];
+  let openFrom = null;
+
+  for (const event of events) {
+    const time = new Date(event.timestamp);
+    if (event.direction === DIRECTION.IN) {
+      // A second check-in without a check-out keeps the first arrival time
+      if (!openFrom) openFrom = time;
+    } else if (openFrom) {
+      stays.push({ start: openFrom, end: time });
+      openFrom = null;
+    }
+  }
+
+  if (openFrom) {
+    const closed = closeOpenStay?.(openFrom);
+    stays.push({ start: openFrom, end: closed && closed < now ? closed : now, open: true });
+  }
+  return stays;
+}
+
+// Cuts a stay at midnight so every piece belongs to exactly one day
+function splitByDay({ start, end, open = false }) {
+  const pieces = [];
+  let pieceStart = start;
+
+  while (pieceStart < end) {
+    const nextMidnight = startOfDay(addDays(toDateKey(pieceStart), 1));
+    const pieceEnd = end < nextMidnight ? end : nextMidnight;
+    pieces.push({ date: toDateKey(pieceStart), start: pieceStart, end: pieceEnd, open });
+    pieceStart = pieceEnd;
+  }
+
+  return pieces;
+}
+
+const roundHours = (ms) => Math.round((ms / HOUR) * 100) / 100;
+
+// from/to are "YYYY-MM-DD", both included.
+// Returns { from, to, dogs: [{ chipNumber, name, owner, daysAttended, totalHours, firstIn, lastOut, days: [...] }] }
+// with days: [{ date, firstIn, lastOut, hours, open }], open when the dog was not checked out that day.
+// closeOpenStay(start) -> Date ends a stay nobody checked out (billing), otherwise it runs until now.
+export async function buildAttendanceReport(from, to, { now = new Date(), closeOpenStay } = {}) {
+  const rangeStart = startOfDay(from);
+  const rangeEnd = startOfDay(addDays(to, 1));
+
+  const [events, dogs] = await Promise.all([
+    getAttendanceEvents(),
+    listDogs({ includeArchived: true }),
+  ]);
+
+  const eventsByDog = {};
+  for (const event of events) {
+    (eventsByDog[event.chipNumber] ||= []).push(event);
+  }
+
+  const rows = [];
+
+  for (const dog of dogs) {
+    const pieces = toStays(eventsByDog[dog.chipNumber] || [], now, closeOpenStay)
+      .flatMap(splitByDay)
+      .filter((piece) => piece.start >= rangeStart && piece.start < rangeEnd);
+
+    if (pieces.length === 0) continue;
+
+    const byDay = {};
+    for (const piece of pieces) {
+      const day = (byDay[piece.date] ||= { date: piece.date, firstIn: piece.start, lastOut: piece.end, ms: 0, open: false });
+      if (piece.start < day.firstIn) day.firstIn = piece.start;
+      if (piece.end >= day.lastOut) {
+        day.lastOut = piece.end;
+        day.open = piece.open;
+      }
+      day.ms += piece.end - piece.start;
+    }
+
+    const days = Object.values(byDay)
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map((day) => ({
+        date: day.date,
+        firstIn: day.firstIn.toISOString(),
+        lastOut: day.lastOut.toISOString(),
+        hours: roundHours(day.ms),
+        open: day.open,
+      }));
+
+    rows.push({
+      chipNumber: dog.chipNumber,
+      name: dog.name,
+      owner: dog.owner ? `${dog.owner.name} ${dog.owner.lastName}` : "",
+      daysAttended: days.length,
+      totalHours: roundHours(pieces.reduce((sum, p) => sum + (p.end - p.start), 0)),
+      firstIn: days[0].firstIn,
+      lastOut: days[days.length - 1].lastOut,
+      days,
+    });
+  }
+
+  rows.sort((a, b) => a.name.localeCompare(b.name));
+  return { from, to, dogs: rows };
+}
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvTime = (iso) => {
+  const d = new Date(iso);
+  return `${toDateKey(d)} ${d.toTimeString().slice(0, 5)}`;
+};
+
+// One row per dog, or one row per dog and day when daily is true
+export function reportToCsv(report, { daily = false } = {}) {
+  const lines = daily
+    ? [["Chip number", "Dog", "Owner", "Date", "First in", "Last out", "Hours"]]
+    : [["Chip number", "Dog", "Owner", "Days attended", "Total hours", "First in", "Last out"]];
+
+  for (const dog of report.dogs) {
+    if (daily) {
+      for (const day of dog.days) {
+        lines.push([dog.chipNumber, dog.name, dog.owner, day.date, csvTime(day.firstIn), csvTime(day.lastOut), day.hours]);
+      }
+    } else {
+      lines.push([dog.chipNumber, dog.name, dog.owner, dog.daysAttended, dog.totalHours, csvTime(dog.firstIn), csvTime(dog.lastOut)]);
+    }
+  }
+
+  return lines.map((line) => line.map(csvCell).join(",")).join("\n") + "\n";
+}
@@ -0,0 +1,31 @@
+// Retry with exponential backoff: baseDelay, 2x, 4x ... plus a little jitter.
+// Only errors with retryable !== false are tried again, so a 403 or 400 fails straight away.
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export async function withRetry(fn, { retries = 3, baseDelay = 500 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries || err.retryable === false) throw err;
+      const delay = baseDelay * 2 ** attempt;
+      await wait(delay + Math.random() * delay * 0.2);
+    }
+  }
+}
+
+// fetch rejects with a TypeError when there is no connection at all
+export function isNetworkError(err) {
+  return err instanceof TypeError;
+}
+
+// Turns a failed fetch Response into an Error, retryable only for server-side failures
+export async function responseError(resp, fallbackMessage) {
+  const body = await resp.json().catch(() => ({}));
+  const err = new Error(body.error || `${fallbackMessage} (Status: ${resp.status})`);
+  err.status = resp.status;
+  err.body = body;
+  err.retryable = resp.status >= 500 || resp.status === 429;
+  return err;
+}
@@ -0,0 +1,79 @@
+// Staff roles and what each one may do. Shared by the api routes and the UI.
+
+export const ROLES = {
+  FRONT_DESK: "frontdesk",
+  HANDLER: "handler",
+  ADMIN: "admin",
+};
+
+// Dog owners log in to the portal. They are not staff and get none of the permissions below.
+export const OWNER_ROLE = "owner";
+
+export const ROLE_LABELS = {
+  [ROLES.FRONT_DESK]: "Front desk",
+  [ROLES.HANDLER]: "Handler",
+  [ROLES.ADMIN]: "Admin",
+  [OWNER_ROLE]: "Owner",
+};
+
+export const PERMISSIONS = {
+  TOGGLE_STATUS: "status:toggle",
+  EDIT_DOGS: "dogs:edit",
+  VIEW_OWNER_CONTACT: "owners:contact",
+  // Owner records: contact details, address and emergency contacts
+  EDIT_OWNERS: "owners:edit",
+  VIEW_REPORTS: "reports:view",
+  MANAGE_USERS: "users:manage",
+  EDIT_HEALTH: "health:edit",
+  // Check a dog in even though a required vaccination has expired
+  OVERRIDE_HEALTH: "health:override",
+  MANAGE_BOOKINGS: "bookings:manage",
+  MANAGE_CAPACITY: "capacity:manage",
+  // Check a dog in although the day is at capacity
+  OVERRIDE_CAPACITY: "capacity:override",
+  // Invoices, payments and prepaid packages
+  MANAGE_BILLING: "billing:manage",
+  EDIT_PRICES: "billing:prices",
+  // Check a dog out without choosing who collected it
+  OVERRIDE_PICKUP: "pickup:override",
+  // "Check out everyone" on the Dog List at closing time, without choosing who collected each dog
+  BULK_CHECK_OUT: "status:bulk-checkout",
+  // Owner notification templates and the delivery log of every owner
+  MANAGE_NOTIFICATIONS: "notifications:manage",
+  // Write incident and behaviour reports and work through their follow-ups
+  REPORT_INCIDENTS: "incidents:report",
+  // The open incidents dashboard, resolving and reopening incidents
+  MANAGE_INCIDENTS: "incidents:manage",
+  // Tick off meals, medication, walks and potty breaks in the daily care log
+  LOG_CARE: "care:log",
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.FRONT_DESK]: [
+    PERMISSIONS.TOGGLE_STATUS,
+    PERMISSIONS.EDIT_DOGS,
+    PERMISSIONS.VIEW_OWNER_CONTACT,
+    PERMISSIONS.EDIT_OWNERS,
+    PERMISSIONS.EDIT_HEALTH,
+    PERMISSIONS.MANAGE_BOOKINGS,
+    PERMISSIONS.MANAGE_BILLING,
+    PERMISSIONS.REPORT_INCIDENTS,
+    PERMISSIONS.LOG_CARE,
+  ],
+  [ROLES.HANDLER]: [PERMISSIONS.TOGGLE_STATUS, PERMISSIONS.REPORT_INCIDENTS, PERMISSIONS.LOG_CARE],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+};
+
+// Only staff roles, an owner is never a valid role for a staff account
+export function isValidRole(role) {
+  return Object.hasOwn(ROLE_PERMISSIONS, role);
+}
+
+export function isStaff(user) {
+  return !!user && isValidRole(user.role);
+}
+
+export function can(user, permission) {
+  if (!isStaff(user)) return false;
+  return ROLE_PERMISSIONS[user.role].includes(permission);
+}
@@ -0,0 +1,68 @@
+// Signed session cookie. Uses Web Crypto only, so it also runs in middleware (edge runtime).
+// Token format: base64url(JSON payload) + "." + base64url(HMAC-SHA256 signature)
+
+export const SESSION_COOKIE = "dd_session";
+export const SESSION_MAX_AGE = 12 * 60 * 60; // seconds, one long working day
+
+const encoder = new TextEncoder();
+
+function getSecret() {
+  const secret = process.env.SESSION_SECRET;
+  if (secret) return secret;
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("SESSION_SECRET must be set in production");
+  }
+  return "doggy-daycare-dev-secret";
+}
+
+function toBase64Url(bytes) {
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+async function getKey() {
+  return crypto.subtle.importKey(
+    "raw",
+    encoder.encode(getSecret()),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign", "verify"]
+  );
+}
+
+// payload: { sub, name, role }. Expiry is added here.
+export async function createSessionToken(payload) {
+  const body = toBase64Url(
+    encoder.encode(JSON.stringify({ ...payload, exp: Date.now() + SESSION_MAX_AGE * 1000 }))
+  );
+  const signature = await crypto.subtle.sign("HMAC", await getKey(), encoder.encode(body));
+  return `${body}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+// Returns the payload, or null for a missing, tampered or expired token
+export async function verifySessionToken(token) {
+  if (!token || !token.includes(".")) return null;
+
+  try {
+    const [body, signature] = token.split(".");
+    const valid = await crypto.subtle.verify(
+      "HMAC",
+      await getKey(),
+      fromBase64Url(signature),
+      encoder.encode(body)
+    );
+    if (!valid) return null;
+
+    const payload = JSON.parse(new TextDecoder().decode(fromBase64Url(body)));
+    if (!payload.exp || payload.exp < Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,12 @@
+// Shared between the client context and the server route handlers.
+// Kept out of DogStatusContext.js because that file is "use client".
+
+export const STATUS = {
+  PRESENT: "present",
+  ABSENT: "absent",
+  ALL: "all",
+};
+
+export function isValidStatus(status) {
+  return status === STATUS.PRESENT || status === STATUS.ABSENT;
+}
@@ -0,0 +1,139 @@
+// Checking one dog in or out for PUT /api/attendance/:chipNumber (server only).
+
+import { NextResponse, after } from "next/server";
+import { DIRECTION, getAttendance, getAttendanceEvents, setDogAttendance, statusOf } from "./attendance";
+import { STATUS, isValidStatus } from "./status";
+import { PERMISSIONS, can } from "./roles";
+import { getVaccinationCheck } from "./health";
+import { checkInGuard } from "./capacity";
+import { getDog } from "./dogs";
+import { verifyPickup, logRefusedPickup } from "./pickups";
+import { notifyAttendance } from "./notifications";
+
+// How long after a check-in the dog can be checked out again without choosing who collected it
+const CHECK_IN_UNDO_MS = 5 * 60 * 1000;
+
+// Whether user made the dog's current check-in (checkedInAt) less than CHECK_IN_UNDO_MS ago
+async function isOwnRecentCheckIn(chipNumber, checkedInAt, user) {
+  if (!checkedInAt || Date.now() - new Date(checkedInAt).getTime() >= CHECK_IN_UNDO_MS) return false;
+
+  const last = (await getAttendanceEvents(chipNumber)).at(-1);
+  return last?.direction === DIRECTION.IN && last.timestamp === checkedInAt && last.staffId === user.sub;
+}
+
+// Reads the request body and saves the change for user, answering with the saved record
+// or the reason it was refused (see the PUT route for the responses).
+export async function saveStatusChange(request, chipNumber, user) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  if (!isValidStatus(body?.status)) {
+    return NextResponse.json({ error: "Status must be \"present\" or \"absent\"" }, { status: 400 });
+  }
+
+  try {
+    let note = typeof body.note === "string" ? body.note : "";
+    let guard;
+    let collectedBy;
+    // An undone check-in is not news for the owner
+    let notify = true;
+
+    const dog = await getDog(chipNumber);
+    if (!dog) {
+      return NextResponse.json({ error: `Dog with ID ${chipNumber} not found` }, { status: 404 });
+    }
+
+    if (body.status === STATUS.PRESENT) {
+      if (dog.archived) {
+        return NextResponse.json({ error: "Cannot check in: this dog is archived", archived: true }, { status: 422 });
+      }
+
+      const { expired } = await getVaccinationCheck(chipNumber);
+
+      if (expired.length > 0) {
+        const list = expired.map((v) => `${v.label} (expired ${v.expiresAt})`).join(", ");
+
+        if (!(body.override === true && can(user, PERMISSIONS.OVERRIDE_HEALTH))) {
+          return NextResponse.json(
+            { error: `Cannot check in: required vaccination expired - ${list}`, expired },
+            { status: 422 }
+          );
+        }
+        note = [note, `Checked in despite expired vaccination: ${list}`].filter(Boolean).join(" / ");
+      }
+
+      guard = await checkInGuard(chipNumber);
+      if (body.override === true && can(user, PERMISSIONS.OVERRIDE_CAPACITY)) {
+        const limit = guard(await getAttendance());
+        if (limit) note = [note, `Checked in over ${limit}`].filter(Boolean).join(" / ");
+        guard = undefined;
+      }
+    } else {
+      // Only a dog that is here gets collected, marking an absent dog absent again needs no pickup
+      const attendance = await getAttendance();
+      if (statusOf(dog, attendance) === STATUS.PRESENT) {
+        const checkedInAt = attendance[chipNumber]?.updatedAt;
+
+        if (body.pickup) {
+          const pickup = await verifyPickup(dog, body.pickup);
+          if (pickup.refused) {
+            await logRefusedPickup(chipNumber, {
+              staff: user.name,
+              personId: body.pickup.personId || null,
+              name: pickup.name,
+              reason: pickup.refused,
+            });
+            return NextResponse.json({ error: `Pickup refused: ${pickup.refused}`, refused: true }, { status: 422 });
+          }
+          collectedBy = pickup.collectedBy;
+          note = [note, `Collected by ${collectedBy}`].filter(Boolean).join(" / ");
+        } else if (body.undo === true && (await isOwnRecentCheckIn(chipNumber, checkedInAt, user))) {
+          note = [note, "Check-in undone, the dog was not collected"].filter(Boolean).join(" / ");
+          notify = false;
+        } else if (body.override === true && can(user, PERMISSIONS.OVERRIDE_PICKUP)) {
+          note = [note, "Checked out without recording who collected the dog"].filter(Boolean).join(" / ");
+        } else if (body.endOfDay === true && can(user, PERMISSIONS.BULK_CHECK_OUT)) {
+          note = [note, "Checked out at closing without recording who collected the dog"].filter(Boolean).join(" / ");
+        } else {
+          return NextResponse.json(
+            { error: "Choose who is collecting the dog before checking it out", pickupRequired: true },
+            { status: 422 }
+          );
+        }
+      }
+    }
+
+    const result = await setDogAttendance(chipNumber, body.status, {
+      staff: user.name,
+      staffId: user.sub,
+      note,
+      expectedStatus: "expectedStatus" in body ? body.expectedStatus : undefined,
+      occurredAt: body.occurredAt,
+      guard,
+    });
+
+    if (result.conflict !== undefined) {
+      return NextResponse.json(
+        { error: "The status was changed by someone else", current: result.conflict },
+        { status: 409 }
+      );
+    }
+    if (result.rejected) {
+      return NextResponse.json(
+        { error: `Cannot check in: the daycare is at ${result.rejected}`, limit: result.rejected },
+        { status: 422 }
+      );
+    }
+    if (notify) {
+      after(() => notifyAttendance(chipNumber, result.record, { previous: result.previous, collectedBy }));
+    }
+    return NextResponse.json(result.record);
+  } catch (err) {
+    console.error("Error saving attendance:", err);
+    return NextResponse.json({ error: "Failed to save attendance" }, { status: 500 });
+  }
+}
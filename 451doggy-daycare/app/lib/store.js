@@ -0,0 +1,48 @@
+// Tiny JSON file store used by the route handlers (server only).
+// Every collection is one file in DATA_DIR, e.g. data/attendance.json.
+
+import { promises as fs } from "fs";
+import path from "path";
+
+export const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), "data");
+
+// Writes are chained so two requests never read-modify-write the same file at once.
+// The chain is kept on globalThis so every route bundle (and dev hot reloads) share one queue.
+const writes = (globalThis.__storeWrites ??= { queue: Promise.resolve() });
+
+function fileFor(name) {
+  return path.join(DATA_DIR, `${name}.json`);
+}
+
+export async function readCollection(name, fallback) {
+  try {
+    const raw = await fs.readFile(fileFor(name), "utf8");
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
+
+async function writeCollection(name, data) {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  // Write to a temp file first so a crash never leaves half a JSON file behind
+  const tmp = `${fileFor(name)}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.rename(tmp, fileFor(name));
+}
+
+// updater gets the current data and returns { data, result }.
+// data is written back, result is handed to the caller.
+export function updateCollection(name, fallback, updater) {
+  const run = writes.queue.then(async () => {
+    const current = await readCollection(name, fallback);
+    const { data, result } = await updater(current);
+    await writeCollection(name, data);
+    return result;
+  });
+
+  // Keep the queue alive even if this update failed
+  writes.queue = run.catch(() => {});
+  return run;
+}
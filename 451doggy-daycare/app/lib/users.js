@@ -0,0 +1,89 @@
+// Staff accounts (server only). Stored as { username, name, role, passwordHash, createdAt }.
+
+import { readCollection, updateCollection } from "./store";
+import { hashPassword, verifyPassword } from "./passwords";
+import { ROLES, isValidRole } from "./roles";
+
+const COLLECTION = "users";
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Never send the hash to the browser
+export function publicUser({ passwordHash, ...user }) {
+  return user;
+}
+
+// With no accounts yet, the first admin comes from ADMIN_USERNAME / ADMIN_PASSWORD
+async function ensureBootstrapAdmin() {
+  const users = await readCollection(COLLECTION, []);
+  if (users.length > 0) return users;
+
+  const username = process.env.ADMIN_USERNAME || "admin";
+  let password = process.env.ADMIN_PASSWORD;
+  if (!password) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("ADMIN_PASSWORD must be set to create the first admin account");
+    }
+    password = "changeme";
+    console.warn(`No users yet: created "${username}" with the development password "changeme"`);
+  }
+
+  return updateCollection(COLLECTION, [], async (current) => {
+    if (current.length > 0) return { data: current, result: current };
+    const admin = {
+      username,
+      name: "Administrator",
+      role: ROLES.ADMIN,
+      passwordHash: await hashPassword(password),
+      createdAt: new Date().toISOString(),
+    };
+    return { data: [admin], result: [admin] };
+  });
+}
+
+export async function listUsers() {
+  const users = await ensureBootstrapAdmin();
+  return users.map(publicUser);
+}
+
+// Returns the public user on a correct username/password, otherwise null
+export async function verifyCredentials(username, password) {
+  const users = await ensureBootstrapAdmin();
+  const user = users.find((u) => u.username === String(username || "").trim().toLowerCase());
+
+  if (!user || !(await verifyPassword(String(password || ""), user.passwordHash))) {
+    return null;
+  }
+  return publicUser(user);
+}
+
+// Returns { user } or { errors } keyed by field
+export async function createUser(input) {
+  await ensureBootstrapAdmin();
+
+  const username = String(input?.username || "").trim().toLowerCase();
+  const name = String(input?.name || "").trim();
+  const role = input?.role;
+  const password = String(input?.password || "");
+
+  const errors = {};
+  if (!USERNAME_PATTERN.test(username)) {
+    errors.username = "Username must be 3-32 lowercase letters, digits, dots, dashes or underscores";
+  }
+  if (!name) errors.name = "Name is required";
+  if (!isValidRole(role)) errors.role = "Unknown role";
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    errors.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (Object.keys(errors).length > 0) return { errors };
+
+  const passwordHash = await hashPassword(password);
+
+  return updateCollection(COLLECTION, [], (users) => {
+    if (users.some((u) => u.username === username)) {
+      return { data: users, result: { errors: { username: "Username is already taken" } } };
+    }
+    const user = { username, name, role, passwordHash, createdAt: new Date().toISOString() };
+    return { data: [...users, user], result: { user: publicUser(user) } };
+  });
+}
@@ -0,0 +1,82 @@
+"use client";
+
+import { Suspense, useState } from "react";
+import { useRouter, useSearchParams } from "next/navigation";
+import { useSession } from "../context/SessionContext";
+
+function LoginForm() {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { login } = useSession();
+  const router = useRouter();
+  const searchParams = useSearchParams();
+
+  // Only follow local paths, never an absolute url someone put in the link
+  const nextParam = searchParams.get("next") || "";
+  const next = nextParam.startsWith("/") && !nextParam.startsWith("//") ? nextParam : "/dogs";
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+
+    const loginError = await login(username, password);
+    setIsSubmitting(false);
+
+    if (loginError) {
+      setError(loginError);
+      setPassword("");
+      return;
+    }
+    router.push(next);
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div>
+        <label>
+          Username
+          <input
+            type="text"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            required
+          />
+        </label>
+      </div>
+      <div>
+        <label>
+          Password
+          <input
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+          />
+        </label>
+      </div>
+
+      {error && <p role="alert">{error}</p>}
+
+      <button type="submit" disabled={isSubmitting}>
+        {isSubmitting ? "Logging in..." : "Log in"}
+      </button>
+    </form>
+  );
+}
+
+export default function LoginPage() {
+  return (
+    <div>
+      <h1>Staff Login</h1>
+      {/* useSearchParams needs a Suspense boundary in the app router */}
+      <Suspense fallback={<div>Loading...</div>}>
+        <LoginForm />
+      </Suspense>
+    </div>
+  );
+}
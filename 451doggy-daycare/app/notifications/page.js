@@ -0,0 +1,208 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+import { EVENT_LABELS, CHANNEL_LABELS, TEMPLATE_PLACEHOLDERS } from "../lib/notificationRules";
+import styles from "../reports/styles.module.css";
+
+const NOTIFICATIONS_API_URL = "/api/notifications";
+const TEMPLATES_API_URL = "/api/notifications/templates";
+
+const formatTime = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+
+// Message templates and the delivery log of every owner notification
+export default function Notifications() {
+  const [templates, setTemplates] = useState(null);
+  const [templateErrors, setTemplateErrors] = useState({});
+  const [deliveries, setDeliveries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState(null);
+  const router = useRouter();
+
+  const fetchAll = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const [templatesResp, deliveriesResp] = await Promise.all([
+        fetch(TEMPLATES_API_URL),
+        fetch(NOTIFICATIONS_API_URL),
+      ]);
+
+      if (!templatesResp.ok || !deliveriesResp.ok) {
+        throw new Error(
+          `Failed to load notifications (Status: ${templatesResp.ok ? deliveriesResp.status : templatesResp.status})`
+        );
+      }
+      setTemplates(await templatesResp.json());
+      setDeliveries(await deliveriesResp.json());
+    } catch (err) {
+      console.error("Error fetching notifications:", err);
+      setError(err.message || "Failed to load notifications");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll]);
+
+  const setTemplateField = (event, field, value) => {
+    setSaved(false);
+    setTemplates((prev) => ({ ...prev, [event]: { ...prev[event], [field]: value } }));
+  };
+
+  const saveTemplates = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setError(null);
+
+      const resp = await fetch(TEMPLATES_API_URL, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(templates),
+      });
+      const body = await resp.json().catch(() => ({}));
+
+      if (resp.status === 400 && body.fields) {
+        setTemplateErrors(body.fields);
+        return;
+      }
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to save templates (Status: ${resp.status})`);
+      }
+      setTemplates(body);
+      setTemplateErrors({});
+      setSaved(true);
+    } catch (err) {
+      console.error("Error saving templates:", err);
+      setError(err.message || "Failed to save templates");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const fieldError = (field) =>
+    templateErrors[field] && (
+      <span role="alert" id={`${field}-error`}>
+        {templateErrors[field]}
+      </span>
+    );
+
+  return (
+    <div>
+      <h1>Owner notifications</h1>
+      <button onClick={() => router.push("/dogs")}>← Back to Dog List</button>
+
+      {error && (
+        <div>
+          <span>
+            Oops! Something went wrong. Please try again in a moment.
+            <br />
+            If the problem persists, please contact support and provide them with the error message: {error}
+          </span>
+          <button onClick={fetchAll}>Try Again</button>
+        </div>
+      )}
+
+      {isLoading && <div>Loading...</div>}
+
+      {templates && (
+        <form onSubmit={saveTemplates} noValidate>
+          <h2>Message templates</h2>
+          <p>
+            <small>Text messages only use the message. Words in braces are filled in when a message is sent.</small>
+          </p>
+
+          {Object.entries(templates).map(([event, template]) => (
+            <fieldset key={event}>
+              <legend>{EVENT_LABELS[event]}</legend>
+              <div>
+                <label>
+                  Subject
+                  <input
+                    type="text"
+                    value={template.subject}
+                    onChange={(e) => setTemplateField(event, "subject", e.target.value)}
+                    aria-invalid={!!templateErrors[`${event}.subject`]}
+                  />
+                </label>
+                {fieldError(`${event}.subject`)}
+              </div>
+              <div>
+                <label>
+                  Message
+                  <textarea
+                    rows={3}
+                    value={template.body}
+                    onChange={(e) => setTemplateField(event, "body", e.target.value)}
+                    aria-invalid={!!templateErrors[`${event}.body`]}
+                  />
+                </label>
+                {fieldError(`${event}.body`)}
+              </div>
+              <small>Available: {TEMPLATE_PLACEHOLDERS[event].map((name) => `{${name}}`).join(" ")}</small>
+            </fieldset>
+          ))}
+
+          <button type="submit" disabled={isSaving}>
+            {isSaving ? "Saving..." : "Save templates"}
+          </button>
+          {saved && <span role="status"> Saved.</span>}
+        </form>
+      )}
+
+      {!isLoading && !error && (
+        <>
+          <h2>Delivery log</h2>
+          {deliveries.length === 0 ? (
+            <p>No messages sent yet.</p>
+          ) : (
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Message</th>
+                  <th>Owner</th>
+                  <th>Dog</th>
+                  <th>Sent by</th>
+                  <th>To</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {deliveries.map((d) => (
+                  <tr key={d.id}>
+                    <td>{formatTime(d.createdAt)}</td>
+                    <td title={d.body}>{d.subject || EVENT_LABELS[d.event]}</td>
+                    <td>
+                      <Link href={`/owners/${d.ownerId}`}>{d.ownerId}</Link>
+                    </td>
+                    <td>
+                      <Link href={`/dogs/${d.chipNumber}`}>{d.chipNumber}</Link>
+                    </td>
+                    <td>
+                      {CHANNEL_LABELS[d.channel]}
+                      {d.transport && ` (${d.transport})`}
+                    </td>
+                    <td>{d.to}</td>
+                    <td>
+                      {d.status}
+                      {d.error && `: ${d.error}`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+"use client";
+
+import { use, useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+import { useSession } from "../../context/SessionContext";
+import { PERMISSIONS } from "../../lib/roles";
+import { ownerName } from "../../lib/ownerRules";
+import OwnerForm from "../../components/OwnerForm";
+import NotificationPreferences from "../../components/NotificationPreferences";
+
+const OWNERS_API_URL = "/api/owners";
+
+export default function OwnerDetails({ params }) {
+  const { id } = use(params);
+  const [owner, setOwner] = useState(null);
+  const [dogs, setDogs] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const { can } = useSession();
+  const router = useRouter();
+
+  const fetchOwner = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const resp = await fetch(`${OWNERS_API_URL}/${encodeURIComponent(id)}`);
+      const body = await resp.json().catch(() => ({}));
+
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to load owner (Status: ${resp.status})`);
+      }
+      setOwner(body.owner);
+      setDogs(body.dogs);
+    } catch (err) {
+      console.error("Error fetching owner:", err);
+      setError(err.message || "Failed to load owner");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchOwner();
+  }, [fetchOwner]);
+
+  // Returns field errors to the form when the server rejects the changes
+  const saveOwner = async (values) => {
+    try {
+      setError(null);
+
+      const resp = await fetch(`${OWNERS_API_URL}/${encodeURIComponent(id)}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(values),
+      });
+
+      const body = await resp.json().catch(() => ({}));
+
+      if (resp.status === 400 && body.fields) {
+        return body.fields;
+      }
+
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to save owner (Status: ${resp.status})`);
+      }
+
+      setOwner(body.owner);
+      setIsEditing(false);
+    } catch (err) {
+      console.error("Error saving owner:", err);
+      setError(err.message || "Failed to save owner");
+    }
+  };
+
+  const deleteOwner = async () => {
+    if (!window.confirm(`Delete ${ownerName(owner)}? This cannot be undone.`)) return;
+
+    try {
+      setError(null);
+
+      const resp = await fetch(`${OWNERS_API_URL}/${encodeURIComponent(id)}`, { method: "DELETE" });
+      const body = await resp.json().catch(() => ({}));
+
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to delete owner (Status: ${resp.status})`);
+      }
+      router.push("/owners");
+    } catch (err) {
+      console.error("Error deleting owner:", err);
+      setError(err.message || "Failed to delete owner");
+    }
+  };
+
+  return (
+    <div>
+      <button onClick={() => router.push("/owners")}>← Back to Owners</button>
+
+      {error && (
+        <div>
+          <span>
+            Oops! Something went wrong. Please try again in a moment.
+            <br />
+            If the problem persists, please contact support and provide them with the error message: {error}
+          </span>
+          <button onClick={fetchOwner}>Try Again</button>
+        </div>
+      )}
+
+      {isLoading && <div>Loading...</div>}
+
+      {!isLoading && owner && isEditing && (
+        <>
+          <h1>Edit {ownerName(owner)}</h1>
+          <OwnerForm
+            initialOwner={owner}
+            submitLabel="Save changes"
+            onSubmit={saveOwner}
+            onCancel={() => setIsEditing(false)}
+          />
+        </>
+      )}
+
+      {!isLoading && owner && !isEditing && (
+        <>
+          <h1>{ownerName(owner)}</h1>
+
+          <p>
+            <strong>Phone:</strong> {owner.phoneNumber}
+          </p>
+          {owner.email && (
+            <p>
+              <strong>Email:</strong> <a href={`mailto:${owner.email}`}>{owner.email}</a>
+            </p>
+          )}
+          {owner.address && (
+            <p>
+              <strong>Address:</strong> {owner.address}
+            </p>
+          )}
+
+          <h2>Emergency contacts</h2>
+          {owner.emergencyContacts.length === 0 ? (
+            <p>No emergency contacts on file.</p>
+          ) : (
+            <ul>
+              {owner.emergencyContacts.map((contact, index) => (
+                <li key={index}>
+                  {contact.name}
+                  {contact.relationship && ` (${contact.relationship})`}: {contact.phoneNumber}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <h2>Dogs</h2>
+          {dogs.length === 0 ? (
+            <p>No dogs yet.</p>
+          ) : (
+            <ul>
+              {dogs.map((dog) => (
+                <li key={dog.chipNumber}>
+                  <Link href={`/dogs/${dog.chipNumber}`}>{dog.name}</Link> ({dog.breed}, chip {dog.chipNumber})
+                  {dog.archived && " · archived"}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {can(PERMISSIONS.EDIT_DOGS) && (
+            <button onClick={() => router.push(`/dogs/new?ownerId=${encodeURIComponent(owner.id)}`)}>
+              + Add a dog
+            </button>
+          )}
+          {can(PERMISSIONS.MANAGE_BILLING) && dogs.length > 0 && (
+            <button onClick={() => router.push(`/billing/${owner.id}`)}>Invoices and payments</button>
+          )}
+          {can(PERMISSIONS.EDIT_OWNERS) && (
+            <>
+              <button onClick={() => setIsEditing(true)}>Edit owner</button>
+              {/* The server refuses while dogs still point at this owner */}
+              {dogs.length === 0 && <button onClick={deleteOwner}>Delete owner</button>}
+            </>
+          )}
+
+          <NotificationPreferences
+            url={`${OWNERS_API_URL}/${encodeURIComponent(owner.id)}/notifications`}
+            canEdit={can(PERMISSIONS.EDIT_OWNERS)}
+          />
+        </>
+      )}
+    </div>
+  );
+}
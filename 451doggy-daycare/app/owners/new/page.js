@@ -0,0 +1,56 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import OwnerForm from "../../components/OwnerForm";
+
+export default function NewOwner() {
+  const [error, setError] = useState(null);
+  const router = useRouter();
+
+  // Returns field errors to the form when the server rejects the owner
+  const createOwner = async (owner) => {
+    try {
+      setError(null);
+
+      const resp = await fetch("/api/owners", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(owner),
+      });
+
+      const body = await resp.json().catch(() => ({}));
+
+      if (resp.status === 400 && body.fields) {
+        return body.fields;
+      }
+
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to save owner (Status: ${resp.status})`);
+      }
+
+      router.push(`/owners/${body.owner.id}`);
+    } catch (err) {
+      console.error("Error creating owner:", err);
+      setError(err.message || "Failed to save owner");
+    }
+  };
+
+  return (
+    <div>
+      <h1>New Owner</h1>
+
+      {error && (
+        <div>
+          <span>
+            Oops! Something went wrong. Please try again in a moment.
+            <br />
+            If the problem persists, please contact support and provide them with the error message: {error}
+          </span>
+        </div>
+      )}
+
+      <OwnerForm submitLabel="Add owner" onSubmit={createOwner} onCancel={() => router.push("/owners")} />
+    </div>
+  );
+}
@@ -0,0 +1,124 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+import { useSession } from "../context/SessionContext";
+import { PERMISSIONS } from "../lib/roles";
+import { phoneKey } from "../lib/ownerRules";
+import styles from "../reports/styles.module.css";
+
+const OWNERS_API_URL = "/api/owners";
+
+// Matches names, phone numbers (digits only, so any formatting works), emails and dog names
+function matches(owner, search) {
+  const needle = search.trim().toLowerCase();
+  if (!needle) return true;
+  const digits = phoneKey(needle);
+  return (
+    `${owner.name} ${owner.lastName} ${owner.email}`.toLowerCase().includes(needle) ||
+    owner.dogs.some((dog) => dog.name.toLowerCase().includes(needle)) ||
+    (digits.length > 0 && phoneKey(owner.phoneNumber).includes(digits))
+  );
+}
+
+export default function Owners() {
+  const [owners, setOwners] = useState([]);
+  const [search, setSearch] = useState("");
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { can } = useSession();
+  const router = useRouter();
+
+  const fetchOwners = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const resp = await fetch(OWNERS_API_URL);
+      const body = await resp.json().catch(() => ({}));
+
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to load owners (Status: ${resp.status})`);
+      }
+      setOwners(body);
+    } catch (err) {
+      console.error("Error fetching owners:", err);
+      setError(err.message || "Failed to load owners");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchOwners();
+  }, [fetchOwners]);
+
+  const shown = owners.filter((owner) => matches(owner, search));
+
+  return (
+    <div>
+      <h1>Owners</h1>
+
+      {can(PERMISSIONS.EDIT_OWNERS) && <button onClick={() => router.push("/owners/new")}>+ New owner</button>}
+
+      <label>
+        Search
+        <input
+          type="search"
+          value={search}
+          placeholder="Name, phone, email or dog"
+          onChange={(e) => setSearch(e.target.value)}
+        />
+      </label>
+
+      {error && (
+        <div>
+          <span>
+            Oops! Something went wrong. Please try again in a moment.
+            <br />
+            If the problem persists, please contact support and provide them with the error message: {error}
+          </span>
+          <button onClick={fetchOwners}>Try Again</button>
+        </div>
+      )}
+
+      {isLoading && <div>Loading...</div>}
+
+      {!isLoading && !error && shown.length === 0 && <div>No owners found.</div>}
+
+      {shown.length > 0 && (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th>Owner</th>
+              <th>Phone</th>
+              <th>Email</th>
+              <th>Dogs</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map((owner) => (
+              <tr key={owner.id}>
+                <td>
+                  <Link href={`/owners/${owner.id}`}>
+                    {owner.lastName}, {owner.name}
+                  </Link>
+                </td>
+                <td>{owner.phoneNumber}</td>
+                <td>{owner.email}</td>
+                <td>
+                  {owner.dogs.length === 0
+                    ? "—"
+                    : owner.dogs.map((dog) => `${dog.name}${dog.archived ? " (archived)" : ""}`).join(", ")}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <button onClick={() => router.push("/dogs")}>← Back to Dog List</button>
+    </div>
+  );
+}
@@ -8,6 +8,7 @@ export default function HomePage() {
     <div>
       <h1>Welcome to Doggy Daycare</h1>
       <button onClick={() => router.push("/dogs")}>View Dogs</button>
+      <button onClick={() => router.push("/portal")}>Owner Portal</button>
     </div>
   );
 }
@@ -0,0 +1,61 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import BookingCalendar from "../../components/BookingCalendar";
+
+const PORTAL_DOGS_API_URL = "/api/portal/dogs";
+const PORTAL_BOOKINGS_API_URL = "/api/portal/bookings";
+
+export default function OwnerBookings() {
+  const [dogs, setDogs] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const router = useRouter();
+
+  const fetchDogs = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const resp = await fetch(PORTAL_DOGS_API_URL);
+
+      if (!resp.ok) {
+        throw new Error(`Failed to fetch your dogs (Status: ${resp.status})`);
+      }
+      setDogs(await resp.json());
+    } catch (err) {
+      console.error("Error fetching owner dogs:", err);
+      setError(err.message || "Failed to load your dogs");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDogs();
+  }, [fetchDogs]);
+
+  return (
+    <div>
+      <h1>Book Daycare</h1>
+
+      {error && (
+        <div>
+          <span>
+            Oops! Something went wrong. Please try again in a moment.
+            <br />
+            If the problem persists, please call the daycare and mention this message: {error}
+          </span>
+          <button onClick={fetchDogs}>Try Again</button>
+        </div>
+      )}
+
+      {isLoading && <div>Loading...</div>}
+
+      {!isLoading && !error && <BookingCalendar apiUrl={PORTAL_BOOKINGS_API_URL} dogs={dogs} canManage />}
+
+      <button onClick={() => router.push("/portal")}>← Back to My Dogs</button>
+    </div>
+  );
+}
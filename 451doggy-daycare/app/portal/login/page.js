@@ -0,0 +1,73 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { useSession } from "../../context/SessionContext";
+
+export default function OwnerLogin() {
+  const [phoneNumber, setPhoneNumber] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { loginOwner } = useSession();
+  const router = useRouter();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+
+    const loginError = await loginOwner(phoneNumber, password);
+    setIsSubmitting(false);
+
+    if (loginError) {
+      setError(loginError);
+      setPassword("");
+      return;
+    }
+    router.push("/portal");
+  };
+
+  return (
+    <div>
+      <h1>Owner Login</h1>
+      <form onSubmit={handleSubmit}>
+        <div>
+          <label>
+            Phone number
+            <input
+              type="tel"
+              autoComplete="tel"
+              value={phoneNumber}
+              onChange={(e) => setPhoneNumber(e.target.value)}
+              required
+            />
+          </label>
+        </div>
+        <div>
+          <label>
+            Password
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+            />
+          </label>
+        </div>
+
+        {error && <p role="alert">{error}</p>}
+
+        <button type="submit" disabled={isSubmitting}>
+          {isSubmitting ? "Logging in..." : "Log in"}
+        </button>
+      </form>
+
+      <p>
+        First time here? Ask the front desk for an invite code, then{" "}
+        <button onClick={() => router.push("/portal/register")}>set your password</button>.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import { useDogStatus } from "../context/DogStatusContext";
+import NotificationPreferences from "../components/NotificationPreferences";
+import styles from "../dogs/styles.module.css";
+
+const PORTAL_DOGS_API_URL = "/api/portal/dogs";
+
+const formatTime = (iso) =>
+  new Date(iso).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+
+export default function OwnerPortal() {
+  // ------------------------------------------------------
+  // ============ Const declaration and initializations ======
+  // ------------------------------------------------------
+  const [dogs, setDogs] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { changedDogs, STATUS } = useDogStatus();
+  const router = useRouter();
+
+  // ------------------------------------------------------------------
+  // ================= API FETCH ======================================
+  // ------------------------------------------------------------------
+  const fetchDogs = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const resp = await fetch(PORTAL_DOGS_API_URL);
+
+      if (!resp.ok) {
+        throw new Error(`Failed to fetch your dogs (Status: ${resp.status})`);
+      }
+
+      setDogs(await resp.json());
+    } catch (err) {
+      console.error("Error fetching owner dogs:", err);
+      setError(err.message || "Failed to load your dogs");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDogs();
+  }, [fetchDogs]);
+
+  // ------------------------------------------------------
+  // ============ Start Return ============================
+  // ------------------------------------------------------
+  return (
+    <div>
+      <h1>My Dogs</h1>
+
+      <button onClick={() => router.push("/portal/bookings")}>Book daycare days</button>
+
+      {error && (
+        <div>
+          <span>
+            Oops! Something went wrong. Please try again in a moment.
+            <br />
+            If the problem persists, please call the daycare and mention this message: {error}
+          </span>
+          <button onClick={fetchDogs}>Try Again</button>
+        </div>
+      )}
+
+      {isLoading && <div>Loading...</div>}
+
+      {!isLoading && !error && dogs.length === 0 && (
+        <div>We could not find any dogs registered to your phone number.</div>
+      )}
+
+      {dogs.map((dog) => {
+        // Same rule as the staff list: saved attendance wins over the registry default
+        const status =
+          dog.chipNumber in changedDogs
+            ? changedDogs[dog.chipNumber]
+            : dog.present
+            ? STATUS.PRESENT
+            : STATUS.ABSENT;
+
+        return (
+          <div
+            key={dog.chipNumber}
+            className={status === STATUS.PRESENT ? styles.presentDog : styles.absentDog}
+          >
+            <div>
+              {dog.img ? (
+                <img src={dog.img} alt={`Photo of ${dog.name}`} width="300" height="300" />
+              ) : (
+                <div>No image available</div>
+              )}
+            </div>
+
+            <h3>{dog.name}</h3>
+            <p>{status === STATUS.PRESENT ? "At daycare now" : "Not at daycare"}</p>
+
+            <h4>Recent visits</h4>
+            {dog.recentEvents.length === 0 ? (
+              <p>No visits recorded yet.</p>
+            ) : (
+              <ul>
+                {dog.recentEvents.map((event) => (
+                  <li key={event.id}>
+                    {event.direction === "in" ? "Dropped off" : "Picked up"} {formatTime(event.timestamp)}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        );
+      })}
+
+      <NotificationPreferences url="/api/portal/notifications" />
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+
+export default function OwnerRegister() {
+  const [values, setValues] = useState({ phoneNumber: "", code: "", password: "" });
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isDone, setIsDone] = useState(false);
+  const router = useRouter();
+
+  const setField = (field, value) => setValues((prev) => ({ ...prev, [field]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSubmitting(true);
+      setError(null);
+
+      const resp = await fetch("/api/portal/register", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(values),
+      });
+      const body = await resp.json().catch(() => ({}));
+
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to register (Status: ${resp.status})`);
+      }
+      setIsDone(true);
+    } catch (err) {
+      console.error("Error registering owner:", err);
+      setError(err.message || "Failed to register");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (isDone) {
+    return (
+      <div>
+        <h1>All set!</h1>
+        <p>Your password has been saved.</p>
+        <button onClick={() => router.push("/portal/login")}>Go to login</button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h1>Set Up Owner Access</h1>
+      <form onSubmit={handleSubmit}>
+        <div>
+          <label>
+            Phone number (the one the daycare has on file)
+            <input
+              type="tel"
+              value={values.phoneNumber}
+              onChange={(e) => setField("phoneNumber", e.target.value)}
+              required
+            />
+          </label>
+        </div>
+        <div>
+          <label>
+            Invite code
+            <input
+              type="text"
+              value={values.code}
+              onChange={(e) => setField("code", e.target.value)}
+              autoComplete="off"
+              required
+            />
+          </label>
+        </div>
+        <div>
+          <label>
+            New password
+            <input
+              type="password"
+              autoComplete="new-password"
+              value={values.password}
+              onChange={(e) => setField("password", e.target.value)}
+              required
+            />
+          </label>
+        </div>
+
+        {error && <p role="alert">{error}</p>}
+
+        <button type="submit" disabled={isSubmitting}>
+          {isSubmitting ? "Saving..." : "Save password"}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import { toDateKey } from "../lib/dates";
+import styles from "./styles.module.css";
+
+const REPORTS_API_URL = "/api/reports/attendance";
+
+const formatTime = (iso) =>
+  new Date(iso).toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+
+const formatDateTime = (iso) =>
+  new Date(iso).toLocaleString(undefined, { dateStyle: "short", timeStyle: "short" });
+
+export default function AttendanceReport() {
+  // ------------------------------------------------------
+  // ============ Const declaration and initializations ======
+  // ------------------------------------------------------
+  const today = toDateKey(new Date());
+  const [from, setFrom] = useState(today);
+  const [to, setTo] = useState(today);
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showDaily, setShowDaily] = useState(false);
+  const router = useRouter();
+
+  const query = `from=${from}&to=${to}`;
+
+  // ------------------------------------------------------------------
+  // ================= API FETCH ======================================
+  // ------------------------------------------------------------------
+  const fetchReport = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const res = await fetch(`${REPORTS_API_URL}?${query}`);
+      const body = await res.json().catch(() => ({}));
+
+      if (!res.ok) {
+        throw new Error(body.error || `Failed to load report (Status: ${res.status})`);
+      }
+
+      setReport(body);
+    } catch (err) {
+      console.error("Error fetching report:", err);
+      setError(err.message || "Failed to load report");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const totals = report
+    ? report.dogs.reduce(
+        (sum, dog) => ({ days: sum.days + dog.daysAttended, hours: sum.hours + dog.totalHours }),
+        { days: 0, hours: 0 }
+      )
+    : null;
+
+  // ------------------------------------------------------
+  // ============ Start Return ============================
+  // ------------------------------------------------------
+  return (
+    <div className={styles.report}>
+      <h1>Attendance Report</h1>
+      <p>
+        {from === to ? from : `${from} – ${to}`}
+      </p>
+
+      <div className={styles.noPrint}>
+        <label>
+          From
+          <input type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} />
+        </label>
+        <label>
+          To
+          <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} />
+        </label>
+        <label>
+          <input type="checkbox" checked={showDaily} onChange={(e) => setShowDaily(e.target.checked)} />
+          Show each day
+        </label>
+
+        <div>
+          <a href={`${REPORTS_API_URL}?${query}&format=csv`}>Export CSV</a>{" "}
+          <a href={`${REPORTS_API_URL}?${query}&format=csv&detail=daily`}>Export daily CSV</a>{" "}
+          <button onClick={() => window.print()}>Print / Save as PDF</button>
+        </div>
+      </div>
+
+      {error && (
+        <div className={styles.noPrint}>
+          <span>
+            Oops! Something went wrong. Please try again in a moment.
+            <br />
+            If the problem persists, please contact support and provide them with the error message: {error}
+          </span>
+          <button onClick={fetchReport}>Try Again</button>
+        </div>
+      )}
+
+      {isLoading && <div>Loading...</div>}
+
+      {!isLoading && report && report.dogs.length === 0 && (
+        <div>No dogs attended in this period.</div>
+      )}
+
+      {report && report.dogs.length > 0 && (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th>Dog</th>
+              <th>Owner</th>
+              <th>Days</th>
+              <th>Hours</th>
+              <th>First in</th>
+              <th>Last out</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.dogs.map((dog) => (
+              <DogRows key={dog.chipNumber} dog={dog} showDaily={showDaily} />
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <th colSpan={2}>Total ({report.dogs.length} dogs)</th>
+              <th>{totals.days}</th>
+              <th>{Math.round(totals.hours * 100) / 100}</th>
+              <th colSpan={2}></th>
+            </tr>
+          </tfoot>
+        </table>
+      )}
+
+      <button className={styles.noPrint} onClick={() => router.push("/dogs")}>
+        ← Back to Dog List
+      </button>
+    </div>
+  );
+}
+
+function DogRows({ dog, showDaily }) {
+  return (
+    <>
+      <tr>
+        <td>
+          {dog.name} <small>({dog.chipNumber})</small>
+        </td>
+        <td>{dog.owner}</td>
+        <td>{dog.daysAttended}</td>
+        <td>{dog.totalHours}</td>
+        <td>{formatDateTime(dog.firstIn)}</td>
+        <td>{formatDateTime(dog.lastOut)}</td>
+      </tr>
+      {showDaily &&
+        dog.days.map((day) => (
+          <tr key={day.date}>
+            <td colSpan={3}>&nbsp;&nbsp;{day.date}</td>
+            <td>{day.hours}</td>
+            <td>{formatTime(day.firstIn)}</td>
+            <td>{formatTime(day.lastOut)}</td>
+          </tr>
+        ))}
+    </>
+  );
+}
@@ -0,0 +1,175 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import { useSession } from "../context/SessionContext";
+import { PERMISSIONS } from "../lib/roles";
+import { hasErrors } from "../lib/dogValidation";
+import { validateCapacity } from "../lib/capacityRules";
+
+const CAPACITY_API_URL = "/api/settings/capacity";
+
+export default function CapacitySettings() {
+  const [values, setValues] = useState({ daily: "", playGroups: [] });
+  const [errors, setErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const { can } = useSession();
+  const router = useRouter();
+  const canEdit = can(PERMISSIONS.MANAGE_CAPACITY);
+
+  const fetchCapacity = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const resp = await fetch(CAPACITY_API_URL);
+      const body = await resp.json().catch(() => ({}));
+
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to load capacity (Status: ${resp.status})`);
+      }
+      setValues({ daily: body.daily ?? "", playGroups: body.playGroups });
+    } catch (err) {
+      console.error("Error fetching capacity:", err);
+      setError(err.message || "Failed to load capacity");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCapacity();
+  }, [fetchCapacity]);
+
+  const setGroup = (index, field, value) => {
+    setValues((prev) => ({
+      ...prev,
+      playGroups: prev.playGroups.map((g, i) => (i === index ? { ...g, [field]: value } : g)),
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaved(false);
+
+    const { capacity, errors: fieldErrors } = validateCapacity(values);
+    setErrors(fieldErrors);
+    if (hasErrors(fieldErrors)) return;
+
+    try {
+      setIsSaving(true);
+      setError(null);
+
+      const resp = await fetch(CAPACITY_API_URL, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(capacity),
+      });
+      const body = await resp.json().catch(() => ({}));
+
+      if (resp.status === 400 && body.fields) {
+        setErrors(body.fields);
+        return;
+      }
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to save capacity (Status: ${resp.status})`);
+      }
+      setValues({ daily: body.daily ?? "", playGroups: body.playGroups });
+      setSaved(true);
+    } catch (err) {
+      console.error("Error saving capacity:", err);
+      setError(err.message || "Failed to save capacity");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <h1>Daycare Capacity</h1>
+      <p>
+        Bookings past a limit go on the waitlist, and check-ins past it are refused. Leave the daily
+        capacity empty for no limit. A play group limit only counts dogs in that play group.
+      </p>
+
+      {error && (
+        <div>
+          <span>
+            Oops! Something went wrong. Please try again in a moment.
+            <br />
+            If the problem persists, please contact support and provide them with the error message: {error}
+          </span>
+          <button onClick={fetchCapacity}>Try Again</button>
+        </div>
+      )}
+
+      {isLoading && <div>Loading...</div>}
+
+      {!isLoading && (
+        <form onSubmit={handleSubmit} noValidate>
+          <fieldset disabled={!canEdit}>
+            <div>
+              <label>
+                Dogs per day
+                <input
+                  type="number"
+                  min="1"
+                  value={values.daily}
+                  onChange={(e) => setValues((prev) => ({ ...prev, daily: e.target.value }))}
+                  aria-invalid={!!errors.daily}
+                />
+              </label>
+              {errors.daily && <span role="alert">{errors.daily}</span>}
+            </div>
+
+            <h2>Play groups</h2>
+            {values.playGroups.map((group, index) => (
+              <div key={index}>
+                <label>
+                  Name
+                  <input type="text" value={group.name} onChange={(e) => setGroup(index, "name", e.target.value)} />
+                </label>
+                <label>
+                  Dogs per day
+                  <input
+                    type="number"
+                    min="1"
+                    value={group.limit ?? ""}
+                    onChange={(e) => setGroup(index, "limit", e.target.value)}
+                  />
+                </label>
+                <button
+                  type="button"
+                  onClick={() =>
+                    setValues((prev) => ({ ...prev, playGroups: prev.playGroups.filter((_, i) => i !== index) }))
+                  }
+                >
+                  Remove
+                </button>
+                {errors[`playGroups.${index}`] && <span role="alert">{errors[`playGroups.${index}`]}</span>}
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => setValues((prev) => ({ ...prev, playGroups: [...prev.playGroups, { name: "", limit: "" }] }))}
+            >
+              + Play group
+            </button>
+
+            <div>
+              <button type="submit" disabled={isSaving}>
+                {isSaving ? "Saving..." : "Save"}
+              </button>
+              {saved && <span role="status">Saved</span>}
+            </div>
+          </fieldset>
+        </form>
+      )}
+
+      <button onClick={() => router.push("/dogs")}>← Back to Dog List</button>
+    </div>
+  );
+}
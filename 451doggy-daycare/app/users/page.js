@@ -0,0 +1,130 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import { ROLES, ROLE_LABELS } from "../lib/roles";
+
+const USERS_API_URL = "/api/users";
+
+const EMPTY_USER = { username: "", name: "", role: ROLES.FRONT_DESK, password: "" };
+
+export default function UserList() {
+  const [users, setUsers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [newUser, setNewUser] = useState(EMPTY_USER);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const router = useRouter();
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const resp = await fetch(USERS_API_URL);
+      const body = await resp.json().catch(() => ({}));
+
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to fetch users (Status: ${resp.status})`);
+      }
+
+      setUsers(body);
+    } catch (err) {
+      console.error("Error fetching users:", err);
+      setError(err.message || "Failed to load users");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const setField = (field, value) => setNewUser((prev) => ({ ...prev, [field]: value }));
+
+  const createUser = async (e) => {
+    e.preventDefault();
+
+    try {
+      setError(null);
+      setFieldErrors({});
+
+      const resp = await fetch(USERS_API_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(newUser),
+      });
+      const body = await resp.json().catch(() => ({}));
+
+      if (resp.status === 400 && body.fields) {
+        setFieldErrors(body.fields);
+        return;
+      }
+      if (!resp.ok) {
+        throw new Error(body.error || `Failed to save user (Status: ${resp.status})`);
+      }
+
+      setUsers((prev) => [...prev, body.user]);
+      setNewUser(EMPTY_USER);
+    } catch (err) {
+      console.error("Error creating user:", err);
+      setError(err.message || "Failed to save user");
+    }
+  };
+
+  return (
+    <div>
+      <h1>Staff Accounts</h1>
+
+      {error && <p role="alert">{error}</p>}
+      {isLoading && <div>Loading...</div>}
+
+      <ul>
+        {users.map((user) => (
+          <li key={user.username}>
+            {user.name} ({user.username}) – {ROLE_LABELS[user.role] || user.role}
+          </li>
+        ))}
+      </ul>
+
+      <h2>Add staff member</h2>
+      <form onSubmit={createUser}>
+        {[
+          ["username", "Username", "text"],
+          ["name", "Full name", "text"],
+          ["password", "Password", "password"],
+        ].map(([field, label, type]) => (
+          <div key={field}>
+            <label>
+              {label}
+              <input
+                type={type}
+                value={newUser[field]}
+                onChange={(e) => setField(field, e.target.value)}
+                autoComplete={type === "password" ? "new-password" : "off"}
+              />
+            </label>
+            {fieldErrors[field] && <span role="alert">{fieldErrors[field]}</span>}
+          </div>
+        ))}
+        <div>
+          <label>
+            Role
+            <select value={newUser.role} onChange={(e) => setField("role", e.target.value)}>
+              {Object.values(ROLES).map((role) => (
+                <option key={role} value={role}>
+                  {ROLE_LABELS[role]}
+                </option>
+              ))}
+            </select>
+          </label>
+          {fieldErrors.role && <span role="alert">{fieldErrors.role}</span>}
+        </div>
+        <button type="submit">Add</button>
+      </form>
+
+      <button onClick={() => router.push("/dogs")}>← Back to Dog List</button>
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import { NextResponse } from "next/server";
+import { SESSION_COOKIE, verifySessionToken } from "./app/lib/session";
+import { isStaff, OWNER_ROLE } from "./app/lib/roles";
+
+// Owners sign in and sign up here, so these stay open
+const PUBLIC_PORTAL_PATHS = ["/portal/login", "/portal/register", "/api/portal/login", "/api/portal/register"];
+
+// Staff pages need a staff session, the owner portal an owner session.
+// Role checks beyond that happen in the route handlers.
+export async function middleware(request) {
+  const { pathname } = request.nextUrl;
+  if (PUBLIC_PORTAL_PATHS.includes(pathname)) return NextResponse.next();
+
+  const isPortal = pathname.startsWith("/portal") || pathname.startsWith("/api/portal");
+  const user = await verifySessionToken(request.cookies.get(SESSION_COOKIE)?.value);
+  const allowed = isPortal ? user?.role === OWNER_ROLE : isStaff(user);
+
+  if (allowed) return NextResponse.next();
+
+  if (pathname.startsWith("/api/")) {
+    return NextResponse.json({ error: "Please log in" }, { status: 401 });
+  }
+
+  const loginUrl = new URL(isPortal ? "/portal/login" : "/login", request.url);
+  loginUrl.searchParams.set("next", pathname + request.nextUrl.search);
+  return NextResponse.redirect(loginUrl);
+}
+
+export const config = {
+  matcher: [
+    "/dogs/:path*",
+    "/reports/:path*",
+    "/users/:path*",
+    "/health/:path*",
+    "/bookings/:path*",
+    "/settings/:path*",
+    "/billing/:path*",
+    "/portal/:path*",
+    "/kiosk/:path*",
+    "/owners/:path*",
+    "/notifications/:path*",
+    "/incidents/:path*",
+    "/care/:path*",
+    "/api/dogs/:path*",
+    "/api/attendance/:path*",
+    "/api/reports/:path*",
+    "/api/users/:path*",
+    "/api/health/:path*",
+    "/api/bookings/:path*",
+    "/api/settings/:path*",
+    "/api/billing/:path*",
+    "/api/portal/:path*",
+    "/api/owners/:path*",
+    "/api/notifications/:path*",
+    "/api/incidents/:path*",
+    "/api/care/:path*",
+  ],
+};